@@ -1,58 +1,628 @@
 // Background script for tunnl.ai Chrome Extension
 
+importScripts('providers.js', 'llm-schemas.js', 'url-patterns.js', 'classifier.js', 'event-store.js', 'key-vault.js', 'policy-packs.js');
+
+// How a block verdict is enforced:
+// - suggest: record the verdict and show an in-page toast, the page keeps loading
+// - soft: redirect to blocked.html, which lets the user continue after a countdown
+// - hard: redirect to blocked.html with no way through except the unblock actions
+const ENFORCEMENT_MODES = ['suggest', 'soft', 'hard'];
+
+// Where verdicts come from:
+// - hybrid: local rules first, ambiguous URLs go to the AI
+// - ai: every URL goes to the AI
+// - offline: local rules only, no API key needed
+const CLASSIFICATION_MODES = ['hybrid', 'ai', 'offline'];
+
+// Persistent verdict cache (chrome.storage.local), evicted least-recently-used first
+const ANALYSIS_CACHE_MAX_ENTRIES = 500;
+const ANALYSIS_CACHE_STORAGE_KEY = 'analysisCache';
+
+// Focus sessions (Pomodoro): alarms drive phase changes and the badge countdown
+const SESSION_PHASE_ALARM = 'tunnl-session-phase';
+const SESSION_TICK_ALARM = 'tunnl-session-tick';
+const SESSION_HISTORY_LIMIT = 200;
+
+// Working-hours schedule is re-checked every minute for the badge and default tasks
+const SCHEDULE_ALARM = 'tunnl-schedule-check';
+
+// Feedback needed on the same task + host before it becomes a learned rule
+const LEARNED_RULE_MIN_FEEDBACK = 2;
+// Learned rules share one sync item as well (8KB, key plus JSON); when they outgrow it the rules confirmed
+// longest ago are dropped, the feedback behind them stays in the event log
+const LEARNED_RULES_SYNC_MAX_BYTES = 8000;
+const FEEDBACK_EXAMPLES_LIMIT = 5;
+
+// Tasks are { id, title, notes, priority, dueDate ('YYYY-MM-DD' or null), estimateMinutes (or null), status, tags,
+// createdAt, completedAt, allowlist, blocklist }. Notes and tags are capped to stay within the sync quota per item.
+const TASK_PRIORITIES = ['low', 'normal', 'high'];
+const TASK_STATUSES = ['open', 'done'];
+const TASK_NOTES_MAX_CHARS = 500;
+const TASK_TAGS_MAX = 10;
+// All tasks share one sync item, capped at 8KB (key plus JSON); fields at their default value are left out of it
+// and a list that still does not fit is refused instead of half-saved
+const TASKS_SYNC_MAX_BYTES = 8000;
+const TASK_DEFAULTS = {
+    notes: '', priority: 'normal', dueDate: null, estimateMinutes: null, status: 'open', tags: [], completedAt: null,
+    allowlist: [], blocklist: []
+};
+
+// Daily rollover: on the first check of a new day, tasks completed on an earlier day are archived to the event log
+// ('task_archived'), and so are unfinished tasks unless carryOverUnfinishedTasks keeps them on the list.
+// Locked policy pack tasks are archived too but stay on the list, reopened.
+const TASK_ROLLOVER_ALARM = 'tunnl-task-rollover';
+const TASK_ROLLOVER_STORAGE_KEY = 'taskRolloverDay';
+const TASK_HISTORY_LIMIT = 500;
+
+// Multi-task analysis: after this many confident verdicts in a row attributed to another task
+// (within the window), the popup offers to switch to it; "Not now" hides the offer for that task for a while
+const TASK_SWITCH_MIN_MATCHES = 3;
+const TASK_SWITCH_MIN_CONFIDENCE = 0.7;
+const TASK_SWITCH_WINDOW_MS = 10 * 60000;
+const TASK_SWITCH_SNOOZE_MS = 30 * 60000;
+
+// Page content analysis: how long to wait for the content script before falling back to
+// the URL-only verdict, and how much of each extracted field is sent to the AI
+const CONTENT_ANALYSIS_WAIT_MS = 8000;
+const CONTENT_TEXT_SAMPLE_CHARS = 1500;
+const CONTENT_FIELD_CHARS = 300;
+
+// Single-page app navigations (pushState, #fragment routing) settle before they are analyzed
+const SPA_NAVIGATION_DEBOUNCE_MS = 500;
+
+// Open tabs are judged again when what they were judged against changes (task switch, extension turned on,
+// focus session start); triggers that fire together are run once
+const TAB_REEVALUATION_DEBOUNCE_MS = 1000;
+
+// AI usage: per-day totals plus the latest calls, kept in chrome.storage.local
+const USAGE_STORAGE_KEY = 'aiUsage';
+const USAGE_RECENT_CALLS_LIMIT = 200;
+const USAGE_DAYS_KEPT = 400;
+
+// Only these settings go to chrome.storage.sync; history lives in the IndexedDB event log
+// (event-store.js), counters in chrome.storage.local and the API key in the key vault (key-vault.js)
+const SYNC_SETTING_KEYS = [
+    'llmProvider', 'tasks', 'extensionEnabled', 'allowlist', 'blocklist',
+    'taskValidationEnabled', 'currentTask', 'enforcementMode', 'softBlockCountdownSeconds',
+    'classificationMode', 'customRules', 'cacheTtlHours', 'aiFailurePolicy', 'aiRequestsPerMinute',
+    'monthlyBudgetUsd', 'modelPrices', 'schedule', 'learnedRules', 'contentAnalysisEnabled',
+    'eventRetentionDays', 'bypassFriction', 'multiTaskAnalysis', 'carryOverUnfinishedTasks'
+];
+const STATS_STORAGE_KEY = 'stats';
+
+// Event log retention: events older than eventRetentionDays (0 = forever) are pruned daily.
+// Feedback is exempt because learned rules are built from it; only the newest entries are kept.
+const EVENT_PRUNE_ALARM = 'tunnl-event-prune';
+const FEEDBACK_EVENTS_KEPT = 1000;
+const HISTORY_RECENT_LIMIT = 50;
+
+// Focus analytics: visits and active time per day, kept in chrome.storage.local. Days older than
+// eventRetentionDays are pruned with the event log; ACTIVITY_DAYS_KEPT caps it when history is kept forever.
+const ACTIVITY_STORAGE_KEY = 'activityLog';
+const ACTIVITY_DAYS_KEPT = 400;
+const ACTIVITY_ALARM = 'tunnl-activity-flush';
+const ACTIVITY_IDLE_SECONDS = 60;
+const ACTIVITY_MAX_SLICE_MS = 2 * 60000; // never credit more than this per flush (missed sleep/idle events)
+
+// Admin policy from chrome.storage.managed (managed_schema.json). A valid managed value replaces the user's
+// setting of the same name and locks it; managed allow/block lists are checked before every other list.
+// allowDisable: false keeps the extension on, allowBypass: false turns off every way past a block.
+const MANAGED_SETTING_VALIDATORS = {
+    llmProvider: value => !!value && typeof value === 'object' && !Array.isArray(value),
+    enforcementMode: value => ENFORCEMENT_MODES.includes(value),
+    softBlockCountdownSeconds: value => Number.isFinite(value) && value >= 3 && value <= 300,
+    classificationMode: value => CLASSIFICATION_MODES.includes(value),
+    aiFailurePolicy: value => AI_FAILURE_POLICIES.includes(value),
+    monthlyBudgetUsd: value => Number.isFinite(value) && value >= 0
+};
+
+// Friction before a block can be bypassed from the blocked page (bypassFriction setting):
+// - challenge: 'none', 'countdown' (wait challengeSeconds) or 'typing' (type a sentence back)
+// - durations: minutes offered for a temporary unblock
+// - dailyLimitPerSite / dailyLimitTotal: bypasses allowed per day (0 = no limit)
+// - cooldownMinutes: wait after a site's bypass ends before the next one; doubles with each bypass of that site today
+const BYPASS_CHALLENGES = ['none', 'countdown', 'typing'];
+const BYPASS_REASON_MIN_CHARS = 5;
+const BYPASS_MAX_MINUTES = 240;
+// Active temporary unblocks, one per origin: { [origin]: { origin, url, until, reason, grantedAt } } in chrome.storage.local.
+// content.js reads the same key for its countdown banner.
+const BYPASSES_STORAGE_KEY = 'activeBypasses';
+const BYPASS_EXPIRY_ALARM = 'tunnl-bypass-expiry';
+const DEFAULT_BYPASS_FRICTION = {
+    requireReason: true,
+    challenge: 'none',
+    challengeSeconds: 10,
+    durations: [5, 10, 30],
+    dailyLimitPerSite: 0,
+    dailyLimitTotal: 0,
+    cooldownMinutes: 0
+};
+
+// Team policy packs (policy-packs.js), kept in chrome.storage.local; packs subscribed by URL are re-fetched on this alarm
+const POLICY_PACKS_STORAGE_KEY = 'policyPacks';
+const POLICY_PACK_ALARM = 'tunnl-policy-packs';
+const POLICY_PACK_UPDATE_MINUTES = 60;
+const POLICY_PACK_FETCH_TIMEOUT_MS = 15000;
+
+// Query parameters that never change what a page is about
+const TRACKING_PARAMS = ['fbclid', 'gclid', 'dclid', 'msclkid', 'yclid', 'igshid', 'mc_cid', 'mc_eid', 'ref', 'ref_src', 'si', '_ga', '_gl'];
+
+// Shared AI client: every provider call goes through one queue with these limits
+const AI_REQUEST_TIMEOUT_MS = 20000;
+const AI_MAX_RETRIES = 3;
+const AI_RETRY_BASE_DELAY_MS = 1000;
+const AI_RETRY_MAX_DELAY_MS = 20000;
+const AI_MAX_CONCURRENT_REQUESTS = 2;
+const AI_RATE_WINDOW_MS = 60000;
+
+// What a page gets when the AI gives no usable answer (unreachable, rate limited, malformed reply):
+// - open: leave the page open
+// - closed: block it (the verdict is not cached, so the page is judged again next visit)
+const AI_FAILURE_POLICIES = ['open', 'closed'];
+
+// Queues provider requests behind a concurrency limit and a per-minute rate cap, times them out,
+// retries 429/5xx/network failures with exponential backoff (honoring Retry-After) and shares
+// the result of identical in-flight jobs.
+class TunnlAiClient {
+    constructor(getRequestsPerMinute) {
+        this.getRequestsPerMinute = getRequestsPerMinute;
+        this.activeRequests = 0;
+        this.waiting = []; // resolvers queued for a free request slot
+        this.requestTimes = []; // start times inside the current rate window
+        this.inFlight = new Map(); // dedupe key -> promise
+    }
+
+    // Run a job once per key; callers arriving while it is pending share its promise
+    dedupe(key, job) {
+        if (!key) return job();
+        if (this.inFlight.has(key)) {
+            console.log('🔗 Joining in-flight AI request:', key);
+            return this.inFlight.get(key);
+        }
+        const promise = Promise.resolve()
+            .then(job)
+            .finally(() => this.inFlight.delete(key));
+        this.inFlight.set(key, promise);
+        return promise;
+    }
+
+    // POST a provider request and return the parsed JSON body
+    async send(request, { label = 'AI provider', maxRetries = AI_MAX_RETRIES, timeoutMs = AI_REQUEST_TIMEOUT_MS } = {}) {
+        for (let attempt = 0; ; attempt++) {
+            await this.acquireSlot();
+            let retryAfterMs = null;
+            let error;
+            try {
+                const response = await this.fetchWithTimeout(request, timeoutMs);
+                if (response.ok) {
+                    return await response.json();
+                }
+                error = new Error(`${label} API error: ${response.status}`);
+                error.status = response.status;
+                error.retryable = response.status === 429 || response.status >= 500;
+                retryAfterMs = this.parseRetryAfter(response.headers?.get('Retry-After'));
+            } catch (fetchError) {
+                error = fetchError.name === 'AbortError'
+                    ? new Error(`${label} did not answer within ${Math.round(timeoutMs / 1000)}s`)
+                    : new Error(`${label} unreachable: ${fetchError.message}`);
+                error.retryable = true;
+            } finally {
+                this.releaseSlot();
+            }
+
+            if (!error.retryable || attempt >= maxRetries) {
+                throw error;
+            }
+
+            const backoff = AI_RETRY_BASE_DELAY_MS * 2 ** attempt + Math.random() * AI_RETRY_BASE_DELAY_MS;
+            const delay = Math.min(retryAfterMs ?? backoff, AI_RETRY_MAX_DELAY_MS);
+            console.log(`🔁 ${error.message} - retry ${attempt + 1}/${maxRetries} in ${Math.round(delay)}ms`);
+            await this.sleep(delay);
+        }
+    }
+
+    async fetchWithTimeout(request, timeoutMs) {
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), timeoutMs);
+        try {
+            return await fetch(request.url, {
+                method: 'POST',
+                headers: request.headers,
+                body: JSON.stringify(request.body),
+                signal: controller.signal
+            });
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    // Retry-After is either seconds or an HTTP date
+    parseRetryAfter(value) {
+        if (!value) return null;
+        const seconds = Number(value);
+        if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+        const date = Date.parse(value);
+        return Number.isFinite(date) ? Math.max(0, date - Date.now()) : null;
+    }
+
+    // Wait for a concurrency slot, then for room in the per-minute rate window
+    async acquireSlot() {
+        if (this.activeRequests < AI_MAX_CONCURRENT_REQUESTS) {
+            this.activeRequests++;
+        } else {
+            await new Promise(resolve => this.waiting.push(resolve)); // slot handed over by releaseSlot
+        }
+
+        for (;;) {
+            const now = Date.now();
+            this.requestTimes = this.requestTimes.filter(time => now - time < AI_RATE_WINDOW_MS);
+            const limit = Math.max(1, this.getRequestsPerMinute() || 1);
+            if (this.requestTimes.length < limit) {
+                this.requestTimes.push(now);
+                return;
+            }
+            const wait = this.requestTimes[0] + AI_RATE_WINDOW_MS - now;
+            console.log(`⏳ AI rate limit (${limit}/min) reached, waiting ${Math.ceil(wait / 1000)}s`);
+            await this.sleep(wait);
+        }
+    }
+
+    releaseSlot() {
+        const next = this.waiting.shift();
+        if (next) {
+            next();
+        } else {
+            this.activeRequests--;
+        }
+    }
+
+    sleep(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+}
+
 class TunnlBackground {
     constructor() {
         this.settings = {
-            openaiApiKey: '',
+            llmProvider: { type: 'openai', baseUrl: '', model: '', apiVersion: '' },
             tasks: [],
             extensionEnabled: true,
-            blockedSites: [],
-            stats: { blockedCount: 0, analyzedCount: 0 },
             taskValidationEnabled: true,
             currentTask: null,
+            enforcementMode: 'suggest', // 'suggest' | 'soft' | 'hard'
+            softBlockCountdownSeconds: 15,
+            classificationMode: 'hybrid',
+            customRules: [], // [{ action: 'allow' | 'block', pattern }]
+            cacheTtlHours: 24,
+            aiFailurePolicy: 'open', // 'open' | 'closed'
+            aiRequestsPerMinute: 20,
+            monthlyBudgetUsd: 0, // 0 = no limit
+            modelPrices: {}, // { model: { input, output } } USD per 1M tokens; empty = defaults from providers.js
+            schedule: { enabled: false, days: {}, exceptions: [] },
+            learnedRules: [], // [{ task, host, action: 'allow' | 'block', count, updatedAt }]
+            contentAnalysisEnabled: false,
+            eventRetentionDays: 90,
+            bypassFriction: { ...DEFAULT_BYPASS_FRICTION },
+            multiTaskAnalysis: false, // Judge URLs against every task, not just the current one
+            carryOverUnfinishedTasks: true // Keep unfinished tasks on the list at the daily rollover
         };
-        this.urlCache = new Map(); // Cache for analyzed URLs
+        this.stats = { blockedCount: 0, analyzedCount: 0 }; // Mirrored in chrome.storage.local
+        this.feedback = []; // Feedback events from the event log, oldest first
+        this.eventStore = new TunnlEventStore();
+        this.keyVault = new TunnlKeyVault(); // Holds the decrypted API key in memory
+        this.classifier = new TunnlLocalClassifier();
+        this.aiClient = new TunnlAiClient(() => this.settings.aiRequestsPerMinute);
+        this.focusSession = null; // Active focus session, mirrored in chrome.storage.local
+        this.analysisCache = null; // Loaded lazily from chrome.storage.local
+        this.cachePersistTimer = null;
+        this.usage = null; // AI usage totals, loaded from chrome.storage.local
+        this.activity = null; // Focus analytics, loaded from chrome.storage.local
+        this.policyPacks = []; // Installed team policy packs, mirrored in chrome.storage.local
+        this.managed = {}; // Admin policy from chrome.storage.managed
+        this.managedLists = { allowlist: [], blocklist: [] }; // Normalized managed lists
+        this.bypasses = {}; // Active temporary unblocks by origin, mirrored in chrome.storage.local
+        this.activityPersistTimer = null;
+        this.userIdle = false;
+        this.tabVerdicts = new Map(); // tabId -> { url, blocked, oneTimeBypass? } of the last verdict enforced in the tab
         this.lastSuggestionPopupMs = 0; // Debounce popup suggestions
         this.recentUrls = []; // Track last 5 URLs for context
+        this.pendingContentAnalysis = new Map(); // tabId -> { url, urlVerdict, timer }
+        this.pageContents = new Map(); // tabId -> latest PAGE_CONTENT from the content script
+        this.spaNavigationTimers = new Map(); // tabId -> debounce timer for history/fragment navigations
+        this.lastNavigations = new Map(); // tabId -> { url, spa } of the last navigation handled
+        this.tabReevaluationTimer = null;
+        this.taskAttributions = []; // [{ task, url, at }] recent confident multi-task verdicts, oldest first
+        this.taskSuggestionSnoozes = {}; // task title -> time until which no switch is offered
         this.init();
     }
 
     async init() {
         console.log('tunnl.ai background script loaded');
         await this.loadSettings();
+        await this.migrateLegacyTasks().catch(error => console.error('Error migrating tasks:', error));
+        await this.loadApiKey();
+        // The event log must never keep blocking from starting
+        await this.migrateLegacyHistory().catch(error => console.error('Error migrating history:', error));
+        await this.loadStats();
+        await this.loadFeedback().catch(error => console.error('Error loading feedback:', error));
+        await this.loadFocusSession();
+        await this.loadUsage();
+        await this.loadActivity();
+        await this.loadPolicyPacks();
+        await this.loadBypasses();
+        await this.syncPolicyTasks().catch(error => console.error('Error applying policy pack tasks:', error));
+        await this.rolloverTasks().catch(error => console.error('Error rolling over tasks:', error));
         this.setupEventListeners();
         this.setupNavigationListener();
         this.setupStorageListener();
-        this.updateBadge(this.settings.extensionEnabled);
+        this.setupAlarmListener();
+        this.setupActivityTracking();
+        chrome.alarms.create(SCHEDULE_ALARM, { periodInMinutes: 1 });
+        chrome.alarms.create(EVENT_PRUNE_ALARM, { periodInMinutes: 24 * 60 });
+        chrome.alarms.create(POLICY_PACK_ALARM, { periodInMinutes: POLICY_PACK_UPDATE_MINUTES });
+        this.pruneEvents().catch(error => console.error('Error pruning event log:', error));
+        await this.checkSchedule();
+        this.updateBadge();
         console.log('tunnl.ai initialized, extension enabled:', this.settings.extensionEnabled);
     }
 
     async loadSettings() {
-        const result = await chrome.storage.sync.get([
-            'openaiApiKey',
-            'tasks',
-            'extensionEnabled',
-            'blockedSites',
-            'stats',
-            'allowlist',
-            'taskValidationEnabled',
-            'currentTask',
-        ]);
+        await this.loadManagedPolicy();
+        const result = await chrome.storage.sync.get(SYNC_SETTING_KEYS);
 
         this.settings = {
-            openaiApiKey: result.openaiApiKey || '',
-            tasks: result.tasks || [],
+            llmProvider: { type: 'openai', baseUrl: '', model: '', apiVersion: '', ...(result.llmProvider || {}) },
+            tasks: this.normalizeTasks(result.tasks),
             currentTask: result.currentTask || null,
             extensionEnabled: result.extensionEnabled !== false,
-            blockedSites: result.blockedSites || [],
-            stats: result.stats || { blockedCount: 0, analyzedCount: 0 },
-            allowlist: Array.isArray(result.allowlist) ? result.allowlist : [],
-            taskValidationEnabled: result.taskValidationEnabled !== false
+            allowlist: this.normalizePatternList(result.allowlist),
+            blocklist: this.normalizePatternList(result.blocklist),
+            taskValidationEnabled: result.taskValidationEnabled !== false,
+            enforcementMode: ENFORCEMENT_MODES.includes(result.enforcementMode) ? result.enforcementMode : 'suggest',
+            softBlockCountdownSeconds: Number.isFinite(result.softBlockCountdownSeconds) ? result.softBlockCountdownSeconds : 15,
+            classificationMode: CLASSIFICATION_MODES.includes(result.classificationMode) ? result.classificationMode : 'hybrid',
+            customRules: Array.isArray(result.customRules) ? result.customRules : [],
+            cacheTtlHours: Number.isFinite(result.cacheTtlHours) ? result.cacheTtlHours : 24,
+            aiFailurePolicy: AI_FAILURE_POLICIES.includes(result.aiFailurePolicy) ? result.aiFailurePolicy : 'open',
+            aiRequestsPerMinute: Number.isFinite(result.aiRequestsPerMinute) ? result.aiRequestsPerMinute : 20,
+            monthlyBudgetUsd: Number.isFinite(result.monthlyBudgetUsd) ? result.monthlyBudgetUsd : 0,
+            modelPrices: result.modelPrices && typeof result.modelPrices === 'object' ? result.modelPrices : {},
+            schedule: this.normalizeSchedule(result.schedule),
+            learnedRules: Array.isArray(result.learnedRules) ? result.learnedRules : [],
+            contentAnalysisEnabled: result.contentAnalysisEnabled === true,
+            eventRetentionDays: Number.isFinite(result.eventRetentionDays) ? result.eventRetentionDays : 90,
+            bypassFriction: this.normalizeBypassFriction(result.bypassFriction),
+            multiTaskAnalysis: result.multiTaskAnalysis === true,
+            carryOverUnfinishedTasks: result.carryOverUnfinishedTasks !== false
+        };
+        this.applyManagedSettings();
+    }
+
+    // Older versions stored plain strings or objects without the task details; missing fields get their defaults
+    normalizeTasks(tasks) {
+        if (!Array.isArray(tasks)) return [];
+        return tasks
+            .map(task => (typeof task === 'string' ? { title: task } : task))
+            .filter(task => task && typeof task.title === 'string' && task.title.trim())
+            .map(task => {
+                const status = TASK_STATUSES.includes(task.status) ? task.status : 'open';
+                return {
+                    ...task,
+                    id: task.id || this.generateTaskId(),
+                    title: task.title.trim(),
+                    notes: typeof task.notes === 'string' ? task.notes.trim().slice(0, TASK_NOTES_MAX_CHARS) : '',
+                    priority: TASK_PRIORITIES.includes(task.priority) ? task.priority : 'normal',
+                    dueDate: typeof task.dueDate === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(task.dueDate) ? task.dueDate : null,
+                    estimateMinutes: Number.isFinite(task.estimateMinutes) && task.estimateMinutes > 0 ? Math.round(task.estimateMinutes) : null,
+                    status,
+                    tags: this.normalizeTaskTags(task.tags),
+                    createdAt: Number.isFinite(task.createdAt) ? task.createdAt : Date.now(),
+                    completedAt: status === 'done' ? (Number.isFinite(task.completedAt) ? task.completedAt : Date.now()) : null,
+                    allowlist: this.normalizePatternList(task.allowlist),
+                    blocklist: this.normalizePatternList(task.blocklist)
+                };
+            });
+    }
+
+    // Lowercase, without a leading '#', no duplicates
+    normalizeTaskTags(tags) {
+        if (!Array.isArray(tags)) return [];
+        const normalized = tags
+            .map(tag => String(tag || '').trim().replace(/^#+/, '').toLowerCase())
+            .filter(tag => tag.length > 0);
+        return [...new Set(normalized)].slice(0, TASK_TAGS_MAX);
+    }
+
+    // normalizeTasks runs on every load, so ids and creation times of migrated tasks are only stable once written back
+    async migrateLegacyTasks() {
+        const { tasks } = await chrome.storage.sync.get(['tasks']);
+        if (!Array.isArray(tasks)) return;
+        const current = task => task && typeof task === 'object' && task.id && Number.isFinite(task.createdAt);
+        if (tasks.every(current)) return;
+        await chrome.storage.sync.set({ tasks: this.compactTasks(this.settings.tasks) });
+        console.log('📦 Migrated tasks to the current format, count:', this.settings.tasks.length);
+    }
+
+    // List entries are URL patterns (see url-patterns.js). Older versions stored loose
+    // substrings such as "https://foo.com" or ".bar.com"; convert those and drop anything unparseable.
+    normalizePatternList(list) {
+        if (!Array.isArray(list)) return [];
+        const entries = [];
+        for (const raw of list) {
+            let entry = String(raw || '').trim();
+            if (entry.startsWith('.')) entry = `*${entry}`;
+            try {
+                entry = TunnlUrlPattern.normalize(entry);
+            } catch (error) {
+                console.warn('Dropping invalid list entry:', raw, error.message);
+                continue;
+            }
+            if (!entries.includes(entry)) entries.push(entry);
+        }
+        return entries;
+    }
+
+    generateTaskId() {
+        return `task-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+    }
+
+    // The task object behind currentTask (matched by id, falling back to title)
+    getCurrentTaskObject() {
+        const current = this.settings.currentTask;
+        if (!current) return null;
+        return this.settings.tasks.find(task => task.id === current.taskId)
+            || this.settings.tasks.find(task => task.title === current.text)
+            || null;
+    }
+
+    // Completed tasks stay listed until the daily rollover, but pages are no longer judged against them
+    openTasks() {
+        return this.settings.tasks.filter(task => task.status !== 'done');
+    }
+
+    // Judge URLs against the whole task list instead of only the current task
+    isMultiTaskAnalysis() {
+        return this.settings.multiTaskAnalysis === true && this.openTasks().length > 0;
+    }
+
+    buildTaskListPrompt() {
+        const current = this.settings.currentTask?.text;
+        const lines = this.openTasks().map((task, i) => ` ${i + 1}. "${task.title}"${task.title === current ? ' (current)' : ''}`);
+        return ` Today's tasks (the user switches between them${current ? '; the current one is marked' : ''}):\n${lines.join('\n')}`;
+    }
+
+    // The model's matchedTask, mapped onto a task title (null for none or an unknown title)
+    resolveMatchedTask(title) {
+        if (typeof title !== 'string' || !title.trim()) return null;
+        const wanted = title.trim().toLowerCase().replace(/^"|"$/g, '');
+        return this.openTasks().find(task => task.title.toLowerCase() === wanted)?.title || null;
+    }
+
+    // Remember which task confident verdicts were credited to, for the popup's "switch task?" offer
+    noteTaskAttribution(url, verdict) {
+        if (!this.isMultiTaskAnalysis() || !verdict.matchedTask || verdict.shouldBlock) return;
+        if ((verdict.confidence ?? 0) < TASK_SWITCH_MIN_CONFIDENCE) return;
+        const since = Date.now() - TASK_SWITCH_WINDOW_MS;
+        this.taskAttributions = this.taskAttributions.filter(entry => entry.at >= since).slice(-(TASK_SWITCH_MIN_MATCHES * 3));
+        this.taskAttributions.push({ task: verdict.matchedTask, url, at: Date.now() });
+    }
+
+    // A task the latest browsing keeps matching instead of the current one, or null
+    getTaskSuggestion() {
+        if (!this.isMultiTaskAnalysis()) return null;
+        const since = Date.now() - TASK_SWITCH_WINDOW_MS;
+        const recent = this.taskAttributions.filter(entry => entry.at >= since);
+        const last = recent[recent.length - 1];
+        if (!last || last.task === this.settings.currentTask?.text) return null;
+        if ((this.taskSuggestionSnoozes[last.task] || 0) > Date.now()) return null;
+
+        let run = 0;
+        for (let i = recent.length - 1; i >= 0 && recent[i].task === last.task; i--) run++;
+        const index = this.settings.tasks.findIndex(task => task.title === last.task);
+        if (run < TASK_SWITCH_MIN_MATCHES || index === -1) return null;
+        return { index, title: last.task, matches: run };
+    }
+
+    snoozeTaskSuggestion(title) {
+        this.taskSuggestionSnoozes[title] = Date.now() + TASK_SWITCH_SNOOZE_MS;
+    }
+
+    // schedule: { enabled, days: { '0'..'6': [{ start: 'HH:MM', end: 'HH:MM', task }] }, exceptions: ['YYYY-MM-DD'] }
+    normalizeSchedule(schedule) {
+        return {
+            enabled: !!schedule?.enabled,
+            days: schedule?.days && typeof schedule.days === 'object' ? schedule.days : {},
+            exceptions: Array.isArray(schedule?.exceptions) ? schedule.exceptions : []
+        };
+    }
+
+    normalizeBypassFriction(friction) {
+        const count = (value, fallback, max) => (Number.isFinite(value) && value >= 0 ? Math.min(Math.round(value), max) : fallback);
+        const durations = (Array.isArray(friction?.durations) ? friction.durations : [])
+            .filter(minutes => Number.isFinite(minutes) && minutes >= 1 && minutes <= BYPASS_MAX_MINUTES)
+            .map(minutes => Math.round(minutes));
+        return {
+            requireReason: friction?.requireReason !== false,
+            challenge: BYPASS_CHALLENGES.includes(friction?.challenge) ? friction.challenge : DEFAULT_BYPASS_FRICTION.challenge,
+            challengeSeconds: count(friction?.challengeSeconds, DEFAULT_BYPASS_FRICTION.challengeSeconds, 300),
+            durations: durations.length > 0 ? [...new Set(durations)].sort((a, b) => a - b) : [...DEFAULT_BYPASS_FRICTION.durations],
+            dailyLimitPerSite: count(friction?.dailyLimitPerSite, 0, 100),
+            dailyLimitTotal: count(friction?.dailyLimitTotal, 0, 100),
+            cooldownMinutes: count(friction?.cooldownMinutes, 0, 24 * 60)
         };
     }
 
     async saveSettings() {
-        await chrome.storage.sync.set(this.settings);
+        // Managed values are never written back, so the user's own choice returns if the policy is lifted
+        const locked = this.lockedSettingKeys();
+        const preferences = {};
+        SYNC_SETTING_KEYS.forEach(key => {
+            if (this.settings[key] !== undefined && !locked.includes(key)) preferences[key] = this.settings[key];
+        });
+        if (preferences.tasks) {
+            preferences.tasks = this.compactTasks(preferences.tasks);
+        }
+        if (preferences.learnedRules) {
+            this.settings.learnedRules = preferences.learnedRules = this.fitLearnedRules(preferences.learnedRules);
+        }
+        await chrome.storage.sync.set(preferences);
+    }
+
+    // The most recently confirmed learned rules that fit in their sync item
+    fitLearnedRules(rules) {
+        const encoder = new TextEncoder();
+        let bytes = encoder.encode('learnedRules[]').length;
+        const kept = [];
+        [...rules].sort((a, b) => (b.updatedAt || 0) - (a.updatedAt || 0)).forEach(rule => {
+            const ruleBytes = encoder.encode(JSON.stringify(rule)).length + 1; // plus the separating comma
+            if (bytes + ruleBytes > LEARNED_RULES_SYNC_MAX_BYTES) return;
+            bytes += ruleBytes;
+            kept.push(rule);
+        });
+        if (kept.length < rules.length) {
+            console.log('🎓 Learned rules over the sync quota, dropped the oldest:', rules.length - kept.length);
+        }
+        return kept;
+    }
+
+    // Tasks without their default-valued fields (normalizeTasks puts them back); throws when the list is over the quota
+    compactTasks(tasks) {
+        const compact = tasks.map(task => {
+            const stored = { ...task };
+            Object.entries(TASK_DEFAULTS).forEach(([key, value]) => {
+                if (JSON.stringify(stored[key]) === JSON.stringify(value)) delete stored[key];
+            });
+            return stored;
+        });
+        const bytes = new TextEncoder().encode(`tasks${JSON.stringify(compact)}`).length;
+        if (bytes > TASKS_SYNC_MAX_BYTES) {
+            throw new Error(`Your task list is too large to sync (${Math.ceil(bytes / 1024)} KB of 8 KB). Shorten notes or remove tasks.`);
+        }
+        return compact;
+    }
+
+    // Older versions kept the API key in plain text in chrome.storage.sync; encrypt it once and drop it from sync
+    async loadApiKey() {
+        try {
+            const legacy = await chrome.storage.sync.get(['openaiApiKey']);
+            if (legacy.openaiApiKey) {
+                await this.keyVault.store(legacy.openaiApiKey);
+                await chrome.storage.sync.remove('openaiApiKey');
+                console.log('🔐 API key moved from sync storage to the encrypted vault');
+            }
+            await this.keyVault.load();
+        } catch (error) {
+            console.error('Error loading API key:', error);
+        }
+    }
+
+    async loadStats() {
+        const local = await chrome.storage.local.get([STATS_STORAGE_KEY]);
+        this.stats = { blockedCount: 0, analyzedCount: 0, ...(local[STATS_STORAGE_KEY] || {}) };
+    }
+
+    async saveStats() {
+        await chrome.storage.local.set({ [STATS_STORAGE_KEY]: this.stats });
     }
 
     setupEventListeners() {
@@ -64,12 +634,20 @@ class TunnlBackground {
 
         // Removed tabs.onUpdated - using only webNavigation.onCommitted
 
+        chrome.tabs.onRemoved.addListener((tabId) => {
+            this.clearPendingContentAnalysis(tabId);
+            this.cancelSpaNavigation(tabId);
+            this.pageContents.delete(tabId);
+            this.lastNavigations.delete(tabId);
+            this.tabVerdicts.delete(tabId);
+        });
+
         // Toggle on toolbar icon click
         chrome.action.onClicked.addListener(async () => {
             this.settings.extensionEnabled = !this.settings.extensionEnabled;
             console.log('Extension toggled to:', this.settings.extensionEnabled ? 'ON' : 'OFF');
             await this.saveSettings();
-            this.updateBadge(this.settings.extensionEnabled);
+            this.updateBadge();
 
             // Optional: notify popup/options if open
             chrome.runtime.sendMessage({
@@ -83,9 +661,55 @@ class TunnlBackground {
         // Use webNavigation API to track navigation - single event
         chrome.webNavigation.onCommitted.addListener((details) => {
             if (details.frameId === 0) { // Main frame only
+                this.cancelSpaNavigation(details.tabId);
                 this.handleNavigation(details);
             }
         });
+
+        // In-app navigations on single-page apps (YouTube, X, Reddit, Gmail) never commit a new document
+        const onSpaNavigation = (details) => {
+            if (details.frameId === 0) {
+                this.scheduleSpaNavigation(details);
+            }
+        };
+        chrome.webNavigation.onHistoryStateUpdated.addListener(onSpaNavigation);
+        chrome.webNavigation.onReferenceFragmentUpdated.addListener(onSpaNavigation);
+    }
+
+    // Apps often push several history states in a row (redirects, query tweaks); judge only where they settle
+    scheduleSpaNavigation(details) {
+        this.cancelSpaNavigation(details.tabId);
+        const timer = setTimeout(() => {
+            this.spaNavigationTimers.delete(details.tabId);
+            if (this.lastNavigations.get(details.tabId)?.url === details.url) {
+                console.log('↩️ SPA navigation to the same URL, skipping:', details.url);
+                return;
+            }
+            this.handleNavigation({ ...details, spa: true });
+        }, SPA_NAVIGATION_DEBOUNCE_MS);
+        this.spaNavigationTimers.set(details.tabId, timer);
+    }
+
+    cancelSpaNavigation(tabId) {
+        const timer = this.spaNavigationTimers.get(tabId);
+        if (timer) {
+            clearTimeout(timer);
+            this.spaNavigationTimers.delete(tabId);
+        }
+    }
+
+    // Messages that can reach the API key are only answered for the options page; content scripts run on every site
+    isOptionsPage(sender) {
+        const optionsUrl = chrome.runtime.getURL('options.html');
+        return sender?.id === chrome.runtime.id && typeof sender.url === 'string'
+            && (sender.url === optionsUrl || sender.url.startsWith(`${optionsUrl}?`) || sender.url.startsWith(`${optionsUrl}#`));
+    }
+
+    // The saved key belongs to the server it was entered for: another provider type or base URL needs its own key
+    llmEndpointChanged(before, after) {
+        const previous = resolveLlmProviderConfig(before);
+        const next = resolveLlmProviderConfig(after);
+        return previous.type !== next.type || previous.baseUrl !== next.baseUrl;
     }
 
     async handleMessage(message, sender, sendResponse) {
@@ -101,7 +725,9 @@ class TunnlBackground {
                     const { index, text } = message; // allow either index into tasks[] or raw text
                     let selected = null;
                     if (typeof index === 'number' && this.settings.tasks[index]) {
-                        selected = { text: this.settings.tasks[index], index, setAt: Date.now() };
+                        const task = this.settings.tasks[index];
+                        if (task.status === 'done') throw new Error('Reopen this task before selecting it');
+                        selected = { text: task.title, taskId: task.id, index, setAt: Date.now() };
                     } else if (typeof text === 'string' && text.trim()) {
                         selected = { text: text.trim(), setAt: Date.now() };
                     } else {
@@ -114,10 +740,32 @@ class TunnlBackground {
                     sendResponse({ success: false, error: e.message });
                 }
                 break;
+            case 'SET_TASK_DONE':
+                try {
+                    const task = await this.setTaskDone(message.taskId, message.done !== false);
+                    sendResponse({ success: true, task, currentTask: this.settings.currentTask });
+                } catch (error) {
+                    sendResponse({ success: false, error: error.message });
+                }
+                break;
+
+            case 'GET_TASK_HISTORY':
+                try {
+                    const entries = await this.eventStore.query({ type: 'task_archived', limit: TASK_HISTORY_LIMIT });
+                    sendResponse({ success: true, entries });
+                } catch (error) {
+                    sendResponse({ success: false, error: error.message });
+                }
+                break;
+
             case 'TOGGLE_EXTENSION':
+                if (!message.enabled && this.managed.allowDisable === false) {
+                    sendResponse({ success: false, error: 'Your organization does not allow turning tunnl.ai off' });
+                    break;
+                }
                 this.settings.extensionEnabled = message.enabled;
                 await this.saveSettings();
-                this.updateBadge(this.settings.extensionEnabled);
+                this.updateBadge();
                 sendResponse({ success: true });
                 break;
 
@@ -139,121 +787,1014 @@ class TunnlBackground {
                 }
                 break;
 
-            case 'GET_SETTINGS':
-                sendResponse({ success: true, settings: this.settings });
+            case 'TEST_PROVIDER':
+                try {
+                    if (!this.isOptionsPage(sender)) throw new Error('Only the options page can test the provider');
+                    // The stored key only goes to the stored server; testing another one needs its key in the form
+                    if (!message.apiKey && message.llmProvider
+                        && resolveLlmProviderConfig(message.llmProvider).baseUrl !== resolveLlmProviderConfig(this.settings.llmProvider).baseUrl) {
+                        throw new Error('Enter the API key to test a different server');
+                    }
+                    // Unsaved form values can be tested before they replace the stored ones
+                    const reply = await this.callChatCompletion([
+                        { role: 'user', content: 'Reply with the single word OK.' }
+                    ], {
+                        temperature: 0,
+                        maxTokens: 5,
+                        maxRetries: 0,
+                        purpose: 'test',
+                        apiKey: message.apiKey || undefined,
+                        llmProvider: message.llmProvider || undefined
+                    });
+                    sendResponse({ success: true, reply: reply.content.trim() });
+                } catch (error) {
+                    sendResponse({ success: false, error: error.message });
+                }
                 break;
 
-            case 'UPDATE_SETTINGS':
-                this.settings = { ...this.settings, ...message.settings };
-                await this.saveSettings();
-                sendResponse({ success: true });
+            case 'START_FOCUS_SESSION':
+                try {
+                    const session = await this.startFocusSession(message);
+                    sendResponse({ success: true, session });
+                } catch (error) {
+                    sendResponse({ success: false, error: error.message });
+                }
                 break;
 
-            case 'OPEN_SETTINGS':
-                chrome.runtime.openOptionsPage();
-                sendResponse({ success: true });
+            case 'STOP_FOCUS_SESSION':
+                try {
+                    await this.stopFocusSession('stopped');
+                    sendResponse({ success: true });
+                } catch (error) {
+                    sendResponse({ success: false, error: error.message });
+                }
                 break;
 
-            case 'BLOCK_FEEDBACK':
+            case 'GET_FOCUS_SESSION':
                 try {
-                    const { url, reason, correct } = message.data || {};
-                    if (!this.settings.feedback) this.settings.feedback = [];
-                    this.settings.feedback.push({ url, reason, correct, timestamp: Date.now() });
-                    // Keep last 200 feedback entries
-                    if (this.settings.feedback.length > 200) {
-                        this.settings.feedback = this.settings.feedback.slice(-200);
-                    }
-                    await this.saveSettings();
-                    sendResponse({ success: true });
+                    const local = await chrome.storage.local.get(['sessionHistory']);
+                    sendResponse({
+                        success: true,
+                        session: this.focusSession,
+                        history: local.sessionHistory || []
+                    });
                 } catch (error) {
                     sendResponse({ success: false, error: error.message });
                 }
                 break;
 
-            case 'ADD_TO_ALLOWLIST':
+            case 'GET_USAGE':
                 try {
-                    let { host, url } = message;
-                    if (!host && url) {
-                        try { host = new URL(url).hostname; } catch { }
-                    }
-                    if (!host) throw new Error('host is required');
-                    const normalized = String(host).toLowerCase().trim();
-                    if (!Array.isArray(this.settings.allowlist)) this.settings.allowlist = [];
-                    if (!this.settings.allowlist.some(h => String(h).toLowerCase().trim() === normalized)) {
-                        this.settings.allowlist.push(normalized);
-                        await this.saveSettings();
-                    }
-                    sendResponse({ success: true, allowlist: this.settings.allowlist });
+                    sendResponse({ success: true, usage: await this.getUsageSummary() });
                 } catch (error) {
                     sendResponse({ success: false, error: error.message });
                 }
                 break;
 
-            default:
-                sendResponse({ success: false, error: 'Unknown message type' });
-        }
-    }
+            case 'GET_ACTIVITY':
+                try {
+                    const activity = await this.flushActivity();
+                    const local = await chrome.storage.local.get(['sessionHistory']);
+                    sendResponse({
+                        success: true,
+                        activity: { days: activity.days },
+                        sessionHistory: local.sessionHistory || []
+                    });
+                } catch (error) {
+                    sendResponse({ success: false, error: error.message });
+                }
+                break;
 
-    updateBadge(enabled) {
-        const text = enabled ? 'ON' : 'OFF';
-        const color = enabled ? '#6b46c1' /* purple-ish */ : '#9ca3af' /* gray */;
-        chrome.action.setBadgeText({ text });
-        chrome.action.setBadgeBackgroundColor({ color });
-    }
+            case 'CLEAR_ACTIVITY':
+                try {
+                    const activity = await this.loadActivity();
+                    activity.days = {};
+                    await this.persistActivity();
+                    sendResponse({ success: true });
+                } catch (error) {
+                    sendResponse({ success: false, error: error.message });
+                }
+                break;
 
-    setupStorageListener() {
-        chrome.storage.onChanged.addListener((changes, area) => {
-            if (area !== 'sync') return;
+            case 'GET_HISTORY':
+                try {
+                    sendResponse({ success: true, history: await this.getHistory() });
+                } catch (error) {
+                    sendResponse({ success: false, error: error.message });
+                }
+                break;
 
-            if (changes.currentTask) {
-                this.settings.currentTask = changes.currentTask.newValue || null;
-                +               console.log('Current task updated:', this.settings.currentTask);
-            }
+            case 'GET_EVENTS':
+                try {
+                    const { eventType, host, since, until, limit } = message;
+                    const events = await this.eventStore.query({
+                        type: eventType,
+                        host,
+                        since,
+                        until,
+                        limit: Math.min(Number.isFinite(limit) ? limit : 500, 5000)
+                    });
+                    sendResponse({ success: true, events });
+                } catch (error) {
+                    sendResponse({ success: false, error: error.message });
+                }
+                break;
 
-            if (changes.openaiApiKey) {
-                this.settings.openaiApiKey = changes.openaiApiKey.newValue || '';
-                console.log('API key updated (masked):', this.settings.openaiApiKey ? '***' : '(empty)');
-            }
+            case 'CLEAR_BLOCK_HISTORY':
+                try {
+                    await this.eventStore.deleteWhere({ type: 'block' });
+                    await this.eventStore.deleteWhere({ type: 'analysis_failed' });
+                    this.stats.blockedCount = 0;
+                    await this.saveStats();
+                    sendResponse({ success: true });
+                } catch (error) {
+                    sendResponse({ success: false, error: error.message });
+                }
+                break;
 
-            if (changes.tasks) {
-                this.settings.tasks = Array.isArray(changes.tasks.newValue) ? changes.tasks.newValue : [];
-                console.log('Tasks updated, count:', this.settings.tasks.length);
-            }
+            case 'RESET_STATS':
+                try {
+                    this.stats = { blockedCount: 0, analyzedCount: 0 };
+                    await this.saveStats();
+                    sendResponse({ success: true });
+                } catch (error) {
+                    sendResponse({ success: false, error: error.message });
+                }
+                break;
 
-            if (changes.extensionEnabled) {
-                this.settings.extensionEnabled = changes.extensionEnabled.newValue !== false;
-                this.updateBadge(this.settings.extensionEnabled);
-                console.log('Extension enabled updated via storage:', this.settings.extensionEnabled);
-            }
+            case 'GET_POLICY_PACKS':
+                sendResponse({ success: true, packs: this.policyPacks });
+                break;
 
-            if (changes.stats) {
-                this.settings.stats = changes.stats.newValue || this.settings.stats;
-            }
+            case 'INSTALL_POLICY_PACK':
+                try {
+                    // From a file the options page sends the pack; from a URL it is fetched and then kept in sync
+                    const url = String(message.url || '').trim();
+                    const pack = url ? await this.fetchPolicyPack(url) : parseTunnlPolicyPack(message.pack);
+                    const record = await this.installPolicyPack(pack, url);
+                    sendResponse({ success: true, pack: record, packs: this.policyPacks });
+                } catch (error) {
+                    sendResponse({ success: false, error: error.message });
+                }
+                break;
 
-            if (changes.blockedSites) {
-                this.settings.blockedSites = changes.blockedSites.newValue || this.settings.blockedSites;
-            }
+            case 'REMOVE_POLICY_PACK':
+                try {
+                    await this.removePolicyPack(message.id);
+                    sendResponse({ success: true, packs: this.policyPacks });
+                } catch (error) {
+                    sendResponse({ success: false, error: error.message });
+                }
+                break;
 
-            if (changes.allowlist) {
-                this.settings.allowlist = Array.isArray(changes.allowlist.newValue) ? changes.allowlist.newValue : [];
-                console.log('Allowlist updated, count:', this.settings.allowlist.length);
-            }
-        });
-    }
+            case 'CHECK_POLICY_PACKS':
+                try {
+                    await this.updatePolicyPacks();
+                    sendResponse({ success: true, packs: this.policyPacks });
+                } catch (error) {
+                    sendResponse({ success: false, error: error.message });
+                }
+                break;
 
-    // Removed handleTabUpdate - using only handleNavigation
+            case 'DISMISS_POLICY_ENTRY':
+                try {
+                    await this.dismissPolicyEntry(message.id, message.kind, message.entry);
+                    sendResponse({ success: true, packs: this.policyPacks });
+                } catch (error) {
+                    sendResponse({ success: false, error: error.message });
+                }
+                break;
 
-    // Track recent URLs for context
-    addToRecentUrls(url) {
-        // Skip chrome://, devtools:// and extension URLs
-        if (url.startsWith('chrome://') || url.startsWith('chrome-extension://') || url.startsWith('devtools://')) {
-            console.log('🔒 Skipping system URL:', url);
-            return;
-        }
-        
-        const wasAlreadyTracked = this.recentUrls.includes(url);
-        
-        // Remove if already exists to avoid duplicates
+            case 'RESTORE_POLICY_ENTRIES':
+                try {
+                    const record = this.policyPacks.find(pack => pack.id === message.id);
+                    if (!record) throw new Error('Policy pack not found');
+                    record.dismissed = [];
+                    record.offeredTasks = [];
+                    await this.savePolicyPacks();
+                    await this.syncPolicyTasks();
+                    await this.clearAnalysisCache('policy entries restored');
+                    sendResponse({ success: true, packs: this.policyPacks });
+                } catch (error) {
+                    sendResponse({ success: false, error: error.message });
+                }
+                break;
+
+            case 'RESTORE_STATS':
+                try {
+                    const { blockedCount, analyzedCount } = message.stats || {};
+                    if (!Number.isFinite(blockedCount) || !Number.isFinite(analyzedCount)) {
+                        throw new Error('Stats must have numeric blockedCount and analyzedCount');
+                    }
+                    this.stats = { blockedCount, analyzedCount };
+                    await this.saveStats();
+                    sendResponse({ success: true });
+                } catch (error) {
+                    sendResponse({ success: false, error: error.message });
+                }
+                break;
+
+            case 'CLEAR_EVENTS':
+                try {
+                    await this.eventStore.clear();
+                    this.feedback = [];
+                    sendResponse({ success: true });
+                } catch (error) {
+                    sendResponse({ success: false, error: error.message });
+                }
+                break;
+
+            case 'GET_CACHE_STATS':
+                try {
+                    const cache = await this.loadAnalysisCache();
+                    sendResponse({
+                        success: true,
+                        stats: { ...cache.stats, entries: Object.keys(cache.entries).length }
+                    });
+                } catch (error) {
+                    sendResponse({ success: false, error: error.message });
+                }
+                break;
+
+            case 'CLEAR_CACHE':
+                try {
+                    this.analysisCache = { entries: {}, stats: { hits: 0, misses: 0 } };
+                    await this.persistAnalysisCache();
+                    sendResponse({ success: true });
+                } catch (error) {
+                    sendResponse({ success: false, error: error.message });
+                }
+                break;
+
+            case 'GET_SETTINGS':
+                sendResponse({
+                    success: true,
+                    settings: this.settings,
+                    apiKeyStatus: this.keyVault.status(),
+                    aiConfigured: this.isAiConfigured(),
+                    managed: this.managedStatus()
+                });
+                break;
+
+            case 'UPDATE_SETTINGS':
+                try {
+                    const previousProvider = this.settings.llmProvider;
+                    this.settings = { ...this.settings, ...message.settings };
+                    delete this.settings.openaiApiKey; // The API key only changes through SET_API_KEY
+                    // Imported tasks may lack ids and lists may hold loose entries; persist the normalized form
+                    this.settings.tasks = this.normalizeTasks(this.settings.tasks);
+                    const currentTaskObject = this.getCurrentTaskObject();
+                    if (currentTaskObject?.status === 'done') {
+                        this.settings.currentTask = null; // Marked done in the options page
+                    } else if (currentTaskObject && this.settings.currentTask.index !== this.settings.tasks.indexOf(currentTaskObject)) {
+                        // An earlier task was removed or the list reordered
+                        this.settings.currentTask = { ...this.settings.currentTask, index: this.settings.tasks.indexOf(currentTaskObject) };
+                    }
+                    this.settings.allowlist = this.normalizePatternList(this.settings.allowlist);
+                    this.settings.blocklist = this.normalizePatternList(this.settings.blocklist);
+                    this.settings.bypassFriction = this.normalizeBypassFriction(this.settings.bypassFriction);
+                    this.applyManagedSettings(); // Settings locked by the admin cannot be changed
+                    await this.saveSettings();
+                    await this.syncPolicyTasks(); // Puts back locked tasks from policy packs
+                    if (this.keyVault.record && this.llmEndpointChanged(previousProvider, this.settings.llmProvider)) {
+                        // Never send the saved key to a server it was not entered for
+                        await this.keyVault.clear();
+                        await this.clearAnalysisCache('API key removed');
+                        console.log('🔐 API key removed: the provider or base URL changed');
+                    }
+                    sendResponse({ success: true, apiKeyStatus: this.keyVault.status() });
+                } catch (error) {
+                    // Nothing was saved (e.g. over the sync quota): go back to the stored settings
+                    await this.loadSettings().catch(loadError => console.error('Error reloading settings:', loadError));
+                    sendResponse({ success: false, error: error.message });
+                }
+                break;
+
+            case 'SET_API_KEY':
+                try {
+                    const apiKey = String(message.apiKey || '').trim();
+                    if (!apiKey) throw new Error('API key is required');
+                    await this.keyVault.store(apiKey, message.passphrase || '');
+                    await this.clearAnalysisCache('API key changed');
+                    console.log('🔐 API key saved, protection:', this.keyVault.status().protection);
+                    sendResponse({ success: true, apiKeyStatus: this.keyVault.status(), aiConfigured: this.isAiConfigured() });
+                } catch (error) {
+                    sendResponse({ success: false, error: error.message });
+                }
+                break;
+
+            case 'SET_API_KEY_PASSPHRASE':
+                try {
+                    // Re-encrypt the current key; an empty passphrase switches back to the device key
+                    if (!this.keyVault.apiKey) throw new Error(this.keyVault.record ? 'Unlock the API key first' : 'No API key saved');
+                    await this.keyVault.store(this.keyVault.apiKey, message.passphrase || '');
+                    sendResponse({ success: true, apiKeyStatus: this.keyVault.status() });
+                } catch (error) {
+                    sendResponse({ success: false, error: error.message });
+                }
+                break;
+
+            case 'UNLOCK_API_KEY':
+                try {
+                    await this.keyVault.unlock(String(message.passphrase || ''));
+                    sendResponse({ success: true, apiKeyStatus: this.keyVault.status(), aiConfigured: this.isAiConfigured() });
+                } catch (error) {
+                    sendResponse({ success: false, error: error.message });
+                }
+                break;
+
+            case 'LOCK_API_KEY':
+                try {
+                    await this.keyVault.lock();
+                    sendResponse({ success: true, apiKeyStatus: this.keyVault.status(), aiConfigured: this.isAiConfigured() });
+                } catch (error) {
+                    sendResponse({ success: false, error: error.message });
+                }
+                break;
+
+            case 'CLEAR_API_KEY':
+                try {
+                    await this.keyVault.clear();
+                    await this.clearAnalysisCache('API key removed');
+                    sendResponse({ success: true, apiKeyStatus: this.keyVault.status(), aiConfigured: this.isAiConfigured() });
+                } catch (error) {
+                    sendResponse({ success: false, error: error.message });
+                }
+                break;
+
+            case 'EXPORT_API_KEY':
+                // Only for exports the user explicitly opted into on the options page
+                if (!this.isOptionsPage(sender)) {
+                    sendResponse({ success: false, error: 'Only the options page can export the API key' });
+                } else if (message.confirmed === true && this.keyVault.apiKey) {
+                    sendResponse({ success: true, apiKey: this.keyVault.apiKey });
+                } else {
+                    sendResponse({ success: false, error: this.keyVault.record ? 'Unlock the API key first' : 'No API key saved' });
+                }
+                break;
+
+            case 'OPEN_SETTINGS':
+                chrome.runtime.openOptionsPage();
+                sendResponse({ success: true });
+                break;
+
+            case 'GET_BYPASS_STATUS':
+                try {
+                    sendResponse({ success: true, status: await this.getBypassStatus(message.url) });
+                } catch (error) {
+                    sendResponse({ success: false, error: error.message });
+                }
+                break;
+
+            case 'REQUEST_BYPASS':
+                try {
+                    sendResponse({ success: true, bypass: await this.grantBypass(message) });
+                } catch (error) {
+                    sendResponse({ success: false, error: error.message });
+                }
+                break;
+
+            case 'GET_TASK_SUGGESTION':
+                sendResponse({ success: true, suggestion: this.getTaskSuggestion() });
+                break;
+
+            case 'DISMISS_TASK_SUGGESTION':
+                this.snoozeTaskSuggestion(String(message.title || ''));
+                sendResponse({ success: true });
+                break;
+
+            case 'GET_BYPASSES':
+                try {
+                    await this.pruneBypasses();
+                    sendResponse({ success: true, bypasses: this.listBypasses() });
+                } catch (error) {
+                    sendResponse({ success: false, error: error.message });
+                }
+                break;
+
+            case 'REVOKE_BYPASS':
+                try {
+                    await this.revokeBypass(message.origin);
+                    sendResponse({ success: true, bypasses: this.listBypasses() });
+                } catch (error) {
+                    sendResponse({ success: false, error: error.message });
+                }
+                break;
+
+            case 'BLOCK_FEEDBACK':
+                try {
+                    const { url, reason, correct } = message.data || {};
+                    const entry = {
+                        url,
+                        host: this.hostOf(url),
+                        task: this.settings.currentTask?.text || null,
+                        reason,
+                        correct,
+                        timestamp: Date.now()
+                    };
+                    await this.eventStore.add('feedback', entry, entry.timestamp);
+                    this.feedback.push(entry);
+                    if (this.feedback.length > FEEDBACK_EVENTS_KEPT) {
+                        this.feedback = this.feedback.slice(-FEEDBACK_EVENTS_KEPT);
+                    }
+                    this.updateLearnedRules();
+                    await this.saveSettings();
+                    if (!correct) {
+                        // The cached block is what the user just disagreed with
+                        await this.invalidateCacheForHost(this.hostOf(url));
+                    }
+                    sendResponse({ success: true });
+                } catch (error) {
+                    sendResponse({ success: false, error: error.message });
+                }
+                break;
+
+            case 'REVOKE_LEARNED_RULE':
+                try {
+                    const { task, host } = message;
+                    // Forget the feedback behind the rule so it is not learned again
+                    await this.eventStore.deleteWhere({ type: 'feedback', filter: entry => entry.task === task && entry.host === host });
+                    this.feedback = this.feedback.filter(entry => !(entry.task === task && entry.host === host));
+                    this.updateLearnedRules();
+                    await this.saveSettings();
+                    await this.clearAnalysisCache('learned rule revoked'); // Verdicts cached from the rule must go too
+                    sendResponse({ success: true, learnedRules: this.settings.learnedRules });
+                } catch (error) {
+                    sendResponse({ success: false, error: error.message });
+                }
+                break;
+
+            case 'ADD_TASK_RULE':
+                try {
+                    const { list, url } = message;
+                    const task = this.getCurrentTaskObject();
+                    if (!task) throw new Error('Select a task first');
+                    if (list !== 'allow' && list !== 'block') throw new Error('list must be "allow" or "block"');
+                    const host = this.hostOf(url);
+                    if (!host) throw new Error('A valid URL is required');
+
+                    // A site is either always allowed or always blocked for a task, never both
+                    const target = list === 'allow' ? 'allowlist' : 'blocklist';
+                    const other = list === 'allow' ? 'blocklist' : 'allowlist';
+                    task[other] = task[other].filter(entry => entry !== host);
+                    if (!task[target].includes(host)) task[target].push(host);
+
+                    await this.saveSettings();
+                    sendResponse({ success: true, task });
+                } catch (error) {
+                    sendResponse({ success: false, error: error.message });
+                }
+                break;
+
+            case 'PAGE_CONTENT':
+                try {
+                    const tabId = sender?.tab?.id;
+                    if (typeof tabId !== 'number' || sender.frameId !== 0) {
+                        throw new Error('PAGE_CONTENT must come from a top-level frame');
+                    }
+                    await this.handlePageContent(tabId, message.content);
+                    sendResponse({ success: true });
+                } catch (error) {
+                    sendResponse({ success: false, error: error.message });
+                }
+                break;
+
+            case 'ADD_TO_ALLOWLIST':
+                try {
+                    // Accepts a pattern (see url-patterns.js), a bare host, or a page URL (reduced to its host)
+                    const { pattern, host, url } = message;
+                    let input = pattern || host || url;
+                    if (!input) throw new Error('pattern, host or url is required');
+                    if (!pattern && !host) {
+                        try {
+                            input = new URL(url).hostname; // normalize would keep the page's path
+                        } catch { }
+                    }
+                    const entry = TunnlUrlPattern.normalize(input); // throws on invalid patterns
+                    if (!Array.isArray(this.settings.allowlist)) this.settings.allowlist = [];
+                    if (!this.settings.allowlist.includes(entry)) {
+                        this.settings.allowlist.push(entry);
+                        await this.saveSettings();
+                    }
+                    sendResponse({ success: true, entry, allowlist: this.settings.allowlist });
+                } catch (error) {
+                    sendResponse({ success: false, error: error.message });
+                }
+                break;
+
+            default:
+                sendResponse({ success: false, error: 'Unknown message type' });
+        }
+    }
+
+    updateBadge() {
+        let text = 'ON';
+        let color = '#6b46c1'; /* purple-ish */
+        const session = this.focusSession;
+
+        if (!this.settings.extensionEnabled || !this.isWithinSchedule()) {
+            text = 'OFF';
+            color = '#9ca3af'; /* gray */
+        } else if (session) {
+            const minutesLeft = Math.max(0, Math.ceil((session.phaseEndsAt - Date.now()) / 60000));
+            text = `${minutesLeft}m`;
+            color = session.phase === 'break' ? '#10b981' /* green */ : '#6b46c1';
+        }
+
+        chrome.action.setBadgeText({ text });
+        chrome.action.setBadgeBackgroundColor({ color });
+    }
+
+    setupAlarmListener() {
+        chrome.alarms.onAlarm.addListener((alarm) => {
+            this.handleAlarm(alarm).catch(error => console.error('Error handling alarm:', alarm.name, error));
+        });
+    }
+
+    async handleAlarm(alarm) {
+        switch (alarm.name) {
+            case SESSION_PHASE_ALARM:
+                await this.advanceFocusSession();
+                break;
+            case SESSION_TICK_ALARM:
+                this.updateBadge();
+                break;
+            case SCHEDULE_ALARM:
+                await this.checkSchedule();
+                break;
+            case ACTIVITY_ALARM:
+                await this.flushActivity();
+                break;
+            case EVENT_PRUNE_ALARM:
+                await this.pruneEvents();
+                break;
+            case POLICY_PACK_ALARM:
+                await this.updatePolicyPacks();
+                break;
+            case BYPASS_EXPIRY_ALARM:
+                await this.expireBypasses();
+                break;
+            case TASK_ROLLOVER_ALARM:
+                await this.rolloverTasks();
+                break;
+        }
+    }
+
+    // --- Task completion and daily rollover ---
+
+    // Completing the current task clears it, so nothing is judged against finished work
+    async setTaskDone(taskId, done) {
+        const task = this.settings.tasks.find(candidate => candidate.id === taskId);
+        if (!task) throw new Error('Task not found');
+        const wasCurrent = this.getCurrentTaskObject() === task;
+        task.status = done ? 'done' : 'open';
+        task.completedAt = done ? Date.now() : null;
+        if (done && wasCurrent) {
+            this.settings.currentTask = null;
+        }
+        await this.saveSettings();
+        console.log(done ? '✅ Task completed:' : '↩️ Task reopened:', task.title);
+        return task;
+    }
+
+    // Runs at startup and at local midnight; the day of the last rollover is kept so a browser closed overnight catches up
+    async rolloverTasks() {
+        const today = this.localDateKey();
+        const local = await chrome.storage.local.get([TASK_ROLLOVER_STORAGE_KEY]);
+        const lastDay = local[TASK_ROLLOVER_STORAGE_KEY];
+        if (lastDay !== today) {
+            if (lastDay) await this.archiveTasks(today, lastDay);
+            await chrome.storage.local.set({ [TASK_ROLLOVER_STORAGE_KEY]: today });
+        }
+
+        const midnight = new Date();
+        midnight.setHours(24, 0, 5, 0);
+        chrome.alarms.create(TASK_ROLLOVER_ALARM, { when: midnight.getTime() });
+    }
+
+    async archiveTasks(today, lastDay) {
+        const dayOf = timestamp => this.localDateKey(new Date(timestamp));
+        const archived = [];
+        const kept = [];
+        this.settings.tasks.forEach(task => {
+            // Tasks done or added today always stay
+            const keep = task.status === 'done'
+                ? dayOf(task.completedAt) === today
+                : this.settings.carryOverUnfinishedTasks || dayOf(task.createdAt) === today;
+            if (keep) {
+                kept.push(task);
+                return;
+            }
+            archived.push(task);
+            if (task.locked) {
+                kept.push({ ...task, status: 'open', completedAt: null, createdAt: Date.now() });
+            }
+        });
+        if (archived.length === 0) return;
+
+        // Log first: if the event log fails, the tasks stay and the rollover is retried
+        const now = Date.now();
+        await this.eventStore.addMany(archived.map(task => ({
+            type: 'task_archived',
+            timestamp: now,
+            day: task.status === 'done' ? dayOf(task.completedAt) : lastDay,
+            taskId: task.id,
+            title: task.title,
+            notes: task.notes,
+            priority: task.priority,
+            dueDate: task.dueDate,
+            estimateMinutes: task.estimateMinutes,
+            status: task.status,
+            tags: task.tags,
+            createdAt: task.createdAt,
+            completedAt: task.completedAt
+        })));
+
+        const current = this.getCurrentTaskObject();
+        this.settings.tasks = kept;
+        if (current) {
+            const index = kept.findIndex(task => task.id === current.id);
+            this.settings.currentTask = index >= 0 && kept[index].status !== 'done'
+                ? { ...this.settings.currentTask, index }
+                : null;
+        }
+        await this.saveSettings();
+        console.log('🗂️ Archived tasks from', lastDay, 'count:', archived.length);
+    }
+
+    // --- Working-hours schedule ---
+
+    // Returns { active, range } - active is true when blocking should run right now
+    getActiveScheduleRange(now = new Date()) {
+        const schedule = this.settings.schedule;
+        if (!schedule?.enabled) {
+            return { active: true, range: null };
+        }
+
+        const pad = n => String(n).padStart(2, '0');
+        const today = this.localDateKey(now);
+        if (schedule.exceptions.includes(today)) {
+            return { active: false, range: null };
+        }
+
+        const time = `${pad(now.getHours())}:${pad(now.getMinutes())}`;
+        const ranges = schedule.days[String(now.getDay())] || [];
+        const range = ranges.find(r => r.start <= time && time < r.end) || null;
+        return { active: !!range, range, date: today };
+    }
+
+    // Outside working hours blocking is off, which an admin who forbids turning tunnl.ai off (allowDisable: false) also rules out;
+    // the schedule then only selects default tasks
+    isWithinSchedule() {
+        if (this.managed.allowDisable === false) return true;
+        return this.getActiveScheduleRange().active;
+    }
+
+    // Refresh the badge and, when entering a time range with a default task, select that task
+    async checkSchedule() {
+        this.updateBadge();
+
+        const { range, date } = this.getActiveScheduleRange();
+        if (!range?.task || this.focusSession) return;
+
+        const rangeKey = `${date}|${range.start}-${range.end}`;
+        const local = await chrome.storage.local.get(['lastScheduleRangeKey']);
+        if (local.lastScheduleRangeKey === rangeKey) return;
+
+        await chrome.storage.local.set({ lastScheduleRangeKey: rangeKey });
+
+        const index = this.settings.tasks.findIndex(task => task.title === range.task);
+        this.settings.currentTask = index >= 0
+            ? { text: range.task, taskId: this.settings.tasks[index].id, index, setAt: Date.now() }
+            : { text: range.task, setAt: Date.now() };
+        await this.saveSettings();
+        console.log('🗓️ Scheduled default task selected:', this.settings.currentTask);
+    }
+
+    // --- Focus sessions ---
+
+    async loadFocusSession() {
+        const local = await chrome.storage.local.get(['focusSession']);
+        this.focusSession = local.focusSession || null;
+    }
+
+    async saveFocusSession() {
+        if (this.focusSession) {
+            await chrome.storage.local.set({ focusSession: this.focusSession });
+        } else {
+            await chrome.storage.local.remove('focusSession');
+        }
+    }
+
+    isOnBreak() {
+        return this.focusSession?.phase === 'break';
+    }
+
+    // The task is found by id (or is the current task): indexes shift when an earlier task is removed
+    async startFocusSession({ taskId, focusMinutes = 25, breakMinutes = 5, autoAdvance = false }) {
+        const task = taskId
+            ? this.settings.tasks.find(candidate => candidate.id === taskId)
+            : this.getCurrentTaskObject();
+        const taskText = task?.title;
+        if (!taskText) {
+            throw new Error('Select a task before starting a focus session');
+        }
+        if (task.status === 'done') {
+            throw new Error(`"${taskText}" is completed; pick an open task for the focus session`);
+        }
+        if (!(focusMinutes >= 1 && focusMinutes <= 180) || !(breakMinutes >= 1 && breakMinutes <= 60)) {
+            throw new Error('Focus must be 1-180 minutes and breaks 1-60 minutes');
+        }
+
+        if (this.focusSession) {
+            await this.stopFocusSession('replaced');
+        }
+
+        const now = Date.now();
+        this.focusSession = {
+            id: `session-${now}`,
+            taskText,
+            taskId: task.id,
+            phase: 'focus',
+            phaseStartedAt: now,
+            phaseEndsAt: now + focusMinutes * 60000,
+            focusMinutes,
+            breakMinutes,
+            autoAdvance: !!autoAdvance,
+            cycle: 1,
+            startedAt: now,
+            blocks: 0
+        };
+
+        this.settings.currentTask = { text: taskText, taskId: task.id, index: this.settings.tasks.indexOf(task), setAt: now };
+        await this.saveSettings();
+        await this.saveFocusSession();
+        this.scheduleFocusSessionAlarms();
+        this.updateBadge();
+
+        console.log('🍅 Focus session started:', this.focusSession);
+        this.scheduleOpenTabsReevaluation('focus session started');
+        return this.focusSession;
+    }
+
+    scheduleFocusSessionAlarms() {
+        chrome.alarms.create(SESSION_PHASE_ALARM, { when: this.focusSession.phaseEndsAt });
+        chrome.alarms.create(SESSION_TICK_ALARM, { periodInMinutes: 1 });
+    }
+
+    async stopFocusSession(endedBy) {
+        if (!this.focusSession) return;
+
+        if (this.focusSession.phase === 'focus') {
+            await this.recordFocusBlock(endedBy);
+        }
+
+        console.log('🛑 Focus session ended:', { id: this.focusSession.id, endedBy });
+        this.focusSession = null;
+        await this.saveFocusSession();
+        await chrome.alarms.clear(SESSION_PHASE_ALARM);
+        await chrome.alarms.clear(SESSION_TICK_ALARM);
+        this.updateBadge();
+    }
+
+    // One history entry per focus block - the task may change between blocks
+    async recordFocusBlock(endedBy) {
+        const session = this.focusSession;
+        const local = await chrome.storage.local.get(['sessionHistory']);
+        const history = local.sessionHistory || [];
+
+        history.push({
+            sessionId: session.id,
+            taskText: session.taskText,
+            cycle: session.cycle,
+            start: session.phaseStartedAt,
+            end: Math.min(Date.now(), session.phaseEndsAt),
+            plannedMinutes: session.focusMinutes,
+            blocks: session.blocks,
+            endedBy
+        });
+
+        await chrome.storage.local.set({ sessionHistory: history.slice(-SESSION_HISTORY_LIMIT) });
+    }
+
+    async advanceFocusSession() {
+        const session = this.focusSession;
+        if (!session) return;
+
+        const now = Date.now();
+        if (session.phase === 'focus') {
+            await this.recordFocusBlock('completed');
+            session.phase = 'break';
+            session.phaseStartedAt = now;
+            session.phaseEndsAt = now + session.breakMinutes * 60000;
+            session.blocks = 0;
+            this.notify('Focus block complete', `Nice work on "${session.taskText}". Take a ${session.breakMinutes}-minute break - blocking is paused.`);
+        } else {
+            const tasks = this.settings.tasks;
+            if (session.autoAdvance && tasks.some(task => task.status !== 'done')) {
+                // The next open task after the session's one (from the top when it was removed)
+                const position = tasks.findIndex(task => task.id === session.taskId);
+                let nextIndex = position;
+                do {
+                    nextIndex = (nextIndex + 1) % tasks.length;
+                } while (tasks[nextIndex].status === 'done');
+                const nextTask = tasks[nextIndex];
+                session.taskId = nextTask.id;
+                session.taskText = nextTask.title;
+                this.settings.currentTask = { text: nextTask.title, taskId: nextTask.id, index: nextIndex, setAt: now };
+                await this.saveSettings();
+            }
+            session.phase = 'focus';
+            session.phaseStartedAt = now;
+            session.phaseEndsAt = now + session.focusMinutes * 60000;
+            session.cycle++;
+            this.notify('Break is over', `Back to "${session.taskText}" for ${session.focusMinutes} minutes.`);
+            this.scheduleOpenTabsReevaluation('break over');
+        }
+
+        console.log('🔁 Focus session phase changed:', { phase: session.phase, cycle: session.cycle });
+        await this.saveFocusSession();
+        this.scheduleFocusSessionAlarms();
+        this.updateBadge();
+    }
+
+    notify(title, message) {
+        try {
+            chrome.notifications.create(`tunnl-${Date.now()}`, {
+                type: 'basic',
+                iconUrl: chrome.runtime.getURL('icons/icon128.png'),
+                title,
+                message
+            });
+        } catch (error) {
+            console.log('❌ Failed to show notification:', error.message);
+        }
+    }
+
+    setupStorageListener() {
+        chrome.storage.onChanged.addListener((changes, area) => {
+            if (area === 'managed') {
+                this.loadManagedPolicy().then(() => {
+                    this.applyManagedSettings();
+                    this.updateBadge();
+                    this.clearAnalysisCache('managed policy changed');
+                    console.log('🏢 Managed policy updated, locked settings:', this.lockedSettingKeys());
+                }).catch(error => console.error('Error applying managed policy:', error));
+                return;
+            }
+            if (area === 'local' && changes[BYPASSES_STORAGE_KEY]) {
+                this.bypasses = changes[BYPASSES_STORAGE_KEY].newValue || {}; // e.g. cleared from the options page
+                return;
+            }
+            if (area !== 'sync') return;
+
+            if (changes.currentTask) {
+                this.settings.currentTask = changes.currentTask.newValue || null;
+                if ((changes.currentTask.oldValue?.text || '') !== (this.settings.currentTask?.text || '')) {
+                    this.invalidateCacheForTask(this.analysisCacheTask()); // Multi-task verdicts do not depend on the current task
+                    this.scheduleOpenTabsReevaluation('task changed');
+                }
+                +               console.log('Current task updated:', this.settings.currentTask);
+            }
+
+            if (changes.llmProvider) {
+                this.settings.llmProvider = { type: 'openai', baseUrl: '', model: '', apiVersion: '', ...(changes.llmProvider.newValue || {}) };
+                console.log('LLM provider updated:', this.settings.llmProvider.type);
+                this.clearAnalysisCache('provider changed');
+            }
+
+            if (changes.tasks) {
+                this.settings.tasks = this.normalizeTasks(changes.tasks.newValue);
+                console.log('Tasks updated, count:', this.settings.tasks.length);
+                this.syncPolicyTasks().catch(error => console.error('Error applying policy pack tasks:', error));
+            }
+
+            if (changes.extensionEnabled) {
+                this.settings.extensionEnabled = changes.extensionEnabled.newValue !== false;
+                this.updateBadge();
+                if (changes.extensionEnabled.oldValue === false && this.settings.extensionEnabled) {
+                    this.scheduleOpenTabsReevaluation('extension enabled');
+                }
+                console.log('Extension enabled updated via storage:', this.settings.extensionEnabled);
+            }
+
+            if (changes.enforcementMode) {
+                const mode = changes.enforcementMode.newValue;
+                this.settings.enforcementMode = ENFORCEMENT_MODES.includes(mode) ? mode : 'suggest';
+                console.log('Enforcement mode updated:', this.settings.enforcementMode);
+            }
+
+            if (changes.softBlockCountdownSeconds) {
+                const seconds = changes.softBlockCountdownSeconds.newValue;
+                this.settings.softBlockCountdownSeconds = Number.isFinite(seconds) ? seconds : 15;
+            }
+
+            if (changes.multiTaskAnalysis) {
+                this.settings.multiTaskAnalysis = changes.multiTaskAnalysis.newValue === true;
+                this.taskAttributions = [];
+                console.log('Multi-task analysis updated:', this.settings.multiTaskAnalysis);
+            }
+
+            if (changes.bypassFriction) {
+                this.settings.bypassFriction = this.normalizeBypassFriction(changes.bypassFriction.newValue);
+            }
+
+            if (changes.carryOverUnfinishedTasks) {
+                this.settings.carryOverUnfinishedTasks = changes.carryOverUnfinishedTasks.newValue !== false;
+            }
+
+            if (changes.classificationMode) {
+                const mode = changes.classificationMode.newValue;
+                this.settings.classificationMode = CLASSIFICATION_MODES.includes(mode) ? mode : 'hybrid';
+                console.log('Classification mode updated:', this.settings.classificationMode);
+                this.clearAnalysisCache('classification mode changed');
+            }
+
+            if (changes.customRules) {
+                this.settings.customRules = Array.isArray(changes.customRules.newValue) ? changes.customRules.newValue : [];
+                console.log('Custom rules updated, count:', this.settings.customRules.length);
+                this.clearAnalysisCache('custom rules changed');
+            }
+
+            if (changes.learnedRules) {
+                this.settings.learnedRules = Array.isArray(changes.learnedRules.newValue) ? changes.learnedRules.newValue : [];
+                this.clearAnalysisCache('learned rules changed');
+            }
+
+            if (changes.cacheTtlHours) {
+                const hours = changes.cacheTtlHours.newValue;
+                this.settings.cacheTtlHours = Number.isFinite(hours) ? hours : 24;
+            }
+
+            if (changes.aiFailurePolicy) {
+                const policy = changes.aiFailurePolicy.newValue;
+                this.settings.aiFailurePolicy = AI_FAILURE_POLICIES.includes(policy) ? policy : 'open';
+                console.log('AI failure policy updated:', this.settings.aiFailurePolicy);
+            }
+
+            if (changes.aiRequestsPerMinute) {
+                const perMinute = changes.aiRequestsPerMinute.newValue;
+                this.settings.aiRequestsPerMinute = Number.isFinite(perMinute) ? perMinute : 20;
+            }
+
+            if (changes.monthlyBudgetUsd) {
+                const budget = changes.monthlyBudgetUsd.newValue;
+                this.settings.monthlyBudgetUsd = Number.isFinite(budget) ? budget : 0;
+                console.log('Monthly AI budget updated:', this.settings.monthlyBudgetUsd);
+                this.checkBudget().catch(error => console.error('Error checking budget:', error));
+            }
+
+            if (changes.modelPrices) {
+                const prices = changes.modelPrices.newValue;
+                this.settings.modelPrices = prices && typeof prices === 'object' ? prices : {};
+            }
+
+            if (changes.schedule) {
+                this.settings.schedule = this.normalizeSchedule(changes.schedule.newValue);
+                console.log('Schedule updated, enabled:', this.settings.schedule.enabled);
+                this.checkSchedule().catch(error => console.error('Error checking schedule:', error));
+            }
+
+            if (changes.allowlist) {
+                this.settings.allowlist = this.normalizePatternList(changes.allowlist.newValue);
+                console.log('Allowlist updated, count:', this.settings.allowlist.length);
+            }
+
+            if (changes.blocklist) {
+                this.settings.blocklist = this.normalizePatternList(changes.blocklist.newValue);
+                console.log('Blocklist updated, count:', this.settings.blocklist.length);
+            }
+
+            if (changes.contentAnalysisEnabled) {
+                this.settings.contentAnalysisEnabled = changes.contentAnalysisEnabled.newValue === true;
+                console.log('Content analysis updated:', this.settings.contentAnalysisEnabled);
+            }
+
+            if (changes.eventRetentionDays) {
+                const days = changes.eventRetentionDays.newValue;
+                this.settings.eventRetentionDays = Number.isFinite(days) ? days : 90;
+                console.log('Event retention updated, days:', this.settings.eventRetentionDays);
+                this.pruneEvents().catch(error => console.error('Error pruning event log:', error));
+            }
+
+            // A change synced from another device must not undo a managed value
+            this.applyManagedSettings();
+        });
+    }
+
+    // Removed handleTabUpdate - using only handleNavigation
+
+    // Track recent URLs for context
+    addToRecentUrls(url) {
+        // Skip chrome://, devtools:// and extension URLs
+        if (url.startsWith('chrome://') || url.startsWith('chrome-extension://') || url.startsWith('devtools://')) {
+            console.log('🔒 Skipping system URL:', url);
+            return;
+        }
+        
+        const wasAlreadyTracked = this.recentUrls.includes(url);
+        
+        // Remove if already exists to avoid duplicates
         this.recentUrls = this.recentUrls.filter(u => u !== url);
         
         // Add to beginning of array
@@ -263,149 +1804,1206 @@ class TunnlBackground {
         if (this.recentUrls.length > 5) {
             this.recentUrls = this.recentUrls.slice(0, 5);
         }
-        
-        console.log(`📝 URL History ${wasAlreadyTracked ? 'updated' : 'added'}:`, {
-            newUrl: url,
-            totalUrls: this.recentUrls.length,
-            recentUrls: this.recentUrls
-        });
+        
+        console.log(`📝 URL History ${wasAlreadyTracked ? 'updated' : 'added'}:`, {
+            newUrl: url,
+            totalUrls: this.recentUrls.length,
+            recentUrls: this.recentUrls
+        });
+    }
+
+    async handleNavigation(details) {
+        console.log('🚀 Navigation detected:', {
+            url: details.url,
+            tabId: details.tabId,
+            frameId: details.frameId,
+            extensionEnabled: this.settings.extensionEnabled
+        });
+
+        // A pending content analysis belongs to the page this tab is leaving
+        this.clearPendingContentAnalysis(details.tabId);
+        this.lastNavigations.set(details.tabId, { url: details.url, spa: !!details.spa });
+        this.tabVerdicts.delete(details.tabId);
+        this.trackFocusedTab().catch(error => console.error('Error tracking active time:', error));
+
+        if (!this.settings.extensionEnabled) {
+            console.log('⏸️ Extension disabled, skipping analysis');
+            return;
+        }
+
+        if (!this.isWithinSchedule()) {
+            console.log('🌙 Outside scheduled working hours, skipping analysis');
+            await this.enforceManagedLists(details.url, details.tabId);
+            return;
+        }
+
+        if (this.isOnBreak()) {
+            console.log('☕ Focus session break, blocking paused');
+            await this.enforceManagedLists(details.url, details.tabId);
+            return;
+        }
+
+        // Skip chrome://, devtools:// and extension URLs
+        if (details.url.startsWith('chrome://') || details.url.startsWith('chrome-extension://') || details.url.startsWith('devtools://')) {
+            console.log('🔒 Skipping system URL:', details.url);
+            return;
+        }
+
+        // Track this URL for context
+        this.addToRecentUrls(details.url);
+        this.logEvent('navigation', { url: details.url, host: this.hostOf(details.url), tabId: details.tabId, spa: !!details.spa });
+
+        // Bypasses only count while the admin allows them (managed allowBypass)
+        if (this.isBypassAllowed()) {
+            // Honor temporary bypasses from the blocked page (every page of the origin until it expires)
+            const bypass = this.activeBypassFor(details.url);
+            if (bypass) {
+                console.log('⏰ Temporary bypass active:', {
+                    origin: bypass.origin,
+                    currentUrl: details.url,
+                    until: new Date(bypass.until).toISOString()
+                });
+                this.logEvent('bypass', { url: details.url, host: this.hostOf(details.url), kind: 'temporary' });
+                return; // Do not analyze/block
+            }
+
+            // Honor one-time bypass (single navigation)
+            try {
+                const local = await chrome.storage.local.get(['oneTimeBypass']);
+                const one = local.oneTimeBypass;
+                if (one && one.url) {
+                    try {
+                        const oneOrigin = new URL(one.url).origin;
+                        const currentOrigin = new URL(details.url).origin;
+                        if (details.url === one.url || oneOrigin === currentOrigin) {
+                            console.log('🎯 One-time bypass used:', {
+                                bypassUrl: one.url,
+                                currentUrl: details.url
+                            });
+                            // consume bypass; re-checks leave the page alone until the tab navigates
+                            await chrome.storage.local.remove('oneTimeBypass');
+                            this.tabVerdicts.set(details.tabId, { url: details.url, blocked: false, oneTimeBypass: true });
+                            this.logEvent('bypass', { url: details.url, host: this.hostOf(details.url), kind: 'one-time' });
+                            return; // allow this navigation only
+                        }
+                    } catch { }
+                }
+            } catch { }
+        }
+
+        await this.analyzeAndBlockUrl(details.url, details.tabId);
+    }
+
+    // recheck: the page is already open and judged again (see reevaluateTab); it is enforced but not counted
+    // as a new visit, analysis or block
+    async analyzeAndBlockUrl(url, tabId, recheck = false) {
+        console.log('🔍 Starting URL analysis:', {
+            url,
+            tabId,
+            recheck,
+            currentTask: this.settings.currentTask?.text || 'No current task',
+            recentUrls: this.recentUrls.length
+        });
+
+        try {
+            // Explicit lists always win over cached verdicts, so list edits apply immediately
+            const listResult = this.resolveListVerdict(url);
+            if (listResult) {
+                console.log('📋 List rule decided:', listResult);
+                await this.recordVisit(url, listResult, tabId, recheck);
+                if (listResult.shouldBlock) {
+                    await this.enforceBlock(url, listResult, tabId, recheck);
+                }
+                return;
+            }
+
+            // Learned rules belong to the current task, which the multi-task cache key leaves out: they skip the cache there
+            const currentTaskText = this.settings.currentTask?.text;
+            const learnedFirst = this.isMultiTaskAnalysis() && !!currentTaskText && !!this.findLearnedRule(url, currentTaskText);
+            const cachedResult = learnedFirst ? null : await this.getCachedVerdict(url);
+            if (cachedResult) {
+                console.log('✅ Cache hit:', {
+                    shouldBlock: cachedResult.shouldBlock,
+                    reason: cachedResult.reason,
+                    timestamp: new Date(cachedResult.timestamp).toISOString()
+                });
+                await this.recordVisit(url, { ...cachedResult, source: 'cache' }, tabId, recheck);
+
+                // Check cache first
+                if (cachedResult.shouldBlock) {
+                    const analysis = {
+                        shouldBlock: true,
+                        reason: "From Cache: " + (cachedResult.reason || 'Potentially distracting'),
+                        activityUnderstanding: cachedResult.activityUnderstanding || 'Cached analysis',
+                        confidence: cachedResult.confidence || 0.8
+                    };
+                    await this.enforceBlock(url, analysis, tabId, recheck);
+                }
+                return;
+            }
+
+            // Analyze URL with local rules and/or the AI provider
+            console.log('🤖 Analyzing URL...');
+            const analysis = await this.analyzeUrl(url);
+            
+            console.log('🧠 AI Analysis result:', {
+                shouldBlock: analysis.shouldBlock,
+                reason: analysis.reason,
+                activityUnderstanding: analysis.activityUnderstanding,
+                confidence: analysis.confidence
+            });
+
+            // Update stats
+            if (!recheck) {
+                this.stats.analyzedCount++;
+                await this.saveStats();
+            }
+            if (analysis.analysisFailed && this.settings.aiFailurePolicy !== 'closed') {
+                this.logEvent('analysis_failed', { url, host: this.hostOf(url), reason: analysis.reason });
+            }
+            console.log('📊 Stats updated - analyzed count:', this.stats.analyzedCount);
+
+            // Failed analyses are never cached; the failure policy decides whether the page stays open
+            if (analysis.analysisFailed) {
+                await this.recordVisit(url, { ...analysis, shouldBlock: this.settings.aiFailurePolicy === 'closed' }, tabId, recheck);
+                if (this.settings.aiFailurePolicy === 'closed') {
+                    console.log('🔒 Analysis failed, blocking (fail-closed):', analysis.reason);
+                    await this.enforceBlock(url, {
+                        ...analysis,
+                        shouldBlock: true,
+                        reason: `${analysis.reason}. Blocked because the AI is unavailable (fail-closed)`
+                    }, tabId, recheck);
+                } else {
+                    console.log('⚠️ Analysis failed, page left open:', analysis.reason);
+                }
+                return;
+            }
+
+            // URL-only verdicts can be refined once the page content arrives
+            if (this.needsContentAnalysis(analysis, tabId)) {
+                this.awaitPageContent(url, tabId, analysis, recheck);
+                return;
+            }
+
+            await this.applyVerdict(url, analysis, tabId, recheck);
+
+        } catch (error) {
+            console.error('Error analyzing URL:', error);
+        }
+    }
+
+    // Cache a final verdict and enforce it. Fallback verdicts (no task, no AI available) are not cached,
+    // so the page is judged properly once a task, key or budget is there; neither are learned verdicts in
+    // multi-task mode, whose cache entries are shared by every task
+    async applyVerdict(url, analysis, tabId, recheck = false) {
+        if (!analysis.fallback && !(analysis.source === 'learned' && this.isMultiTaskAnalysis())) {
+            await this.setCachedVerdict(url, analysis);
+            console.log('💾 Cached analysis result');
+        }
+        await this.recordVisit(url, analysis, tabId, recheck);
+
+        if (analysis.shouldBlock) {
+            console.log('🚫 URL should be blocked, enforcing mode:', this.settings.enforcementMode);
+            await this.enforceBlock(url, analysis, tabId, recheck);
+        } else {
+            console.log('✅ URL allowed, no action needed');
+        }
+    }
+
+    // --- Page content analysis ---
+
+    // Only verdicts guessed from the URL are worth a second look: AI verdicts and
+    // category-based local ones (a video site can host a tutorial on the task topic)
+    needsContentAnalysis(analysis, tabId) {
+        if (!this.settings.contentAnalysisEnabled || typeof tabId !== 'number') return false;
+        if (this.settings.classificationMode === 'offline' || !this.isAiConfigured() || this.isOverBudget()) return false;
+        return analysis.source === 'ai' || (analysis.source === 'local' && !!analysis.category);
+    }
+
+    awaitPageContent(url, tabId, urlVerdict, recheck = false) {
+        this.clearPendingContentAnalysis(tabId);
+
+        const received = this.pageContents.get(tabId);
+        if (received && this.isSamePage(received.url, url)) {
+            this.pageContents.delete(tabId);
+            this.runContentAnalysis(url, tabId, urlVerdict, received, recheck);
+            return;
+        }
+
+        console.log('📄 Waiting for page content:', { url, tabId });
+
+        // After an in-app navigation there is no load event, so ask the content script to extract again
+        if (this.lastNavigations.get(tabId)?.spa) {
+            chrome.tabs.sendMessage(tabId, { type: 'REQUEST_PAGE_CONTENT', url }).catch(() => { });
+        }
+        const timer = setTimeout(() => {
+            const pending = this.pendingContentAnalysis.get(tabId);
+            if (pending?.timer !== timer) return;
+            this.pendingContentAnalysis.delete(tabId);
+            console.log('⌛ No page content received, using URL verdict:', url);
+            this.applyVerdict(url, urlVerdict, tabId, recheck).catch(error => console.error('Error applying verdict:', error));
+        }, CONTENT_ANALYSIS_WAIT_MS);
+        this.pendingContentAnalysis.set(tabId, { url, urlVerdict, timer, recheck });
+    }
+
+    clearPendingContentAnalysis(tabId) {
+        const pending = this.pendingContentAnalysis.get(tabId);
+        if (pending) {
+            clearTimeout(pending.timer);
+            this.pendingContentAnalysis.delete(tabId);
+        }
+    }
+
+    async handlePageContent(tabId, content) {
+        if (!content || typeof content.url !== 'string') {
+            throw new Error('content.url is required');
+        }
+
+        const pending = this.pendingContentAnalysis.get(tabId);
+        if (pending && this.isSamePage(pending.url, content.url)) {
+            this.clearPendingContentAnalysis(tabId);
+            await this.runContentAnalysis(pending.url, tabId, pending.urlVerdict, content, pending.recheck);
+            return;
+        }
+
+        // The URL verdict may still be on its way; keep the content for awaitPageContent
+        this.pageContents.set(tabId, content);
+    }
+
+    isSamePage(a, b) {
+        return a === b || this.normalizeCacheUrl(a) === this.normalizeCacheUrl(b);
+    }
+
+    async runContentAnalysis(url, tabId, urlVerdict, content, recheck = false) {
+        try {
+            const analysis = await this.analyzePageContent(url, content, urlVerdict);
+            console.log('📄 Content analysis result:', analysis);
+            await this.applyVerdict(url, analysis, tabId, recheck);
+        } catch (error) {
+            console.error('Error analyzing page content:', error);
+        }
+    }
+
+    // Second-stage verdict from what the page actually shows; falls back to the URL verdict on errors
+    async analyzePageContent(url, content, urlVerdict) {
+        const currentTaskText = this.settings.currentTask?.text?.trim();
+        const multiTask = this.isMultiTaskAnalysis();
+        if (!currentTaskText && !multiTask) return urlVerdict;
+
+        const clip = (value, max = CONTENT_FIELD_CHARS) => String(value || '').replace(/\s+/g, ' ').trim().slice(0, max);
+        const headings = (Array.isArray(content.headings) ? content.headings : []).slice(0, 10).map(h => clip(h, 120));
+        const pageSummary = [
+            `Title: ${clip(content.title) || '(none)'}`,
+            `Description: ${clip(content.description) || '(none)'}`,
+            content.ogTitle ? `Open Graph title: ${clip(content.ogTitle)}` : '',
+            content.ogType ? `Open Graph type: ${clip(content.ogType, 50)}` : '',
+            content.ogSiteName ? `Site name: ${clip(content.ogSiteName, 100)}` : '',
+            content.keywords ? `Keywords: ${clip(content.keywords)}` : '',
+            headings.length > 0 ? `Headings:\n${headings.map(h => `- ${h}`).join('\n')}` : '',
+            `Text sample: ${clip(content.textSample, CONTENT_TEXT_SAMPLE_CHARS) || '(none)'}`
+        ].filter(Boolean).join('\n');
+
+        try {
+            const dedupeKey = `content::${this.cacheKeyFor(url, this.analysisCacheTask())}`;
+            const result = await this.aiClient.dedupe(dedupeKey, () => this.requestStructured([
+                {
+                    role: 'system',
+                    content: `You are a productivity assistant that helps users stay focused on their tasks.
+Decide whether the web page below is related to the user's current task, judging by what the page is about rather than by its domain.
+The same site can host both relevant and distracting pages (e.g. a video tutorial on the task topic versus an unrelated video).
+
+${multiTask ? this.buildTaskListPrompt() : `Current task: "${currentTaskText}"`}
+Verdict from the URL alone: ${urlVerdict.shouldBlock ? 'block' : 'allow'} (${urlVerdict.reason})
+
+Respond with a JSON object containing:
+- "shouldBlock": boolean (true if the page is not related to the task and would keep the user from completing it)
+- "reason": string (brief explanation that refers to the page content)
+- "activityUnderstanding": string (brief explanation of how you understood the user's activities)
+- "confidence": number (0-1, how confident you are in this decision)
+${multiTask ? `- "matchedTask": string or null (the exact title of the task from the list this page serves, or null if it serves none)
+Only block pages that serve none of the tasks.
+` : ''}
+If the content is too thin to judge, keep the URL verdict.`
+                },
+                {
+                    role: 'user',
+                    content: `URL: ${url}\n${pageSummary}`
+                }
+            ], multiTask ? 'multiTaskVerdict' : 'verdict', { temperature: 0.3, maxTokens: 250, purpose: 'content' }));
+            console.log('🤖 Content analysis verdict:', result);
+
+            const matchedTask = multiTask ? this.resolveMatchedTask(result.matchedTask) : null;
+            return {
+                shouldBlock: result.shouldBlock && !matchedTask,
+                reason: result.reason || 'No reason provided',
+                activityUnderstanding: result.activityUnderstanding || urlVerdict.activityUnderstanding,
+                confidence: result.confidence,
+                source: 'content',
+                matchedTask
+            };
+        } catch (error) {
+            console.error('Content analysis failed, keeping URL verdict:', error);
+            return urlVerdict;
+        }
+    }
+
+    // --- AI usage & budget ---
+
+    async loadUsage() {
+        if (!this.usage) {
+            const result = await chrome.storage.local.get([USAGE_STORAGE_KEY]);
+            const stored = result[USAGE_STORAGE_KEY];
+            this.usage = {
+                days: stored?.days || {}, // 'YYYY-MM-DD' -> { calls, promptTokens, completionTokens, cost, byPurpose }
+                recent: Array.isArray(stored?.recent) ? stored.recent : [],
+                budgetNotifiedMonth: stored?.budgetNotifiedMonth || null
+            };
+        }
+        return this.usage;
+    }
+
+    async persistUsage() {
+        await chrome.storage.local.set({ [USAGE_STORAGE_KEY]: this.usage });
+    }
+
+    localDateKey(date = new Date()) {
+        const pad = n => String(n).padStart(2, '0');
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+    }
+
+    getModelPrices() {
+        const custom = this.settings.modelPrices;
+        return custom && Object.keys(custom).length > 0 ? custom : TUNNL_DEFAULT_MODEL_PRICES;
+    }
+
+    async recordUsage({ provider, model, purpose, usage }) {
+        const state = await this.loadUsage();
+        const promptTokens = usage?.promptTokens || 0;
+        const completionTokens = usage?.completionTokens || 0;
+        const cost = estimateLlmCost(this.getModelPrices(), model, usage);
+        const dayKey = this.localDateKey();
+
+        const day = state.days[dayKey] || (state.days[dayKey] = { calls: 0, promptTokens: 0, completionTokens: 0, cost: 0, byPurpose: {} });
+        day.calls++;
+        day.promptTokens += promptTokens;
+        day.completionTokens += completionTokens;
+        day.cost += cost;
+        const byPurpose = day.byPurpose[purpose] || (day.byPurpose[purpose] = { calls: 0, tokens: 0, cost: 0 });
+        byPurpose.calls++;
+        byPurpose.tokens += promptTokens + completionTokens;
+        byPurpose.cost += cost;
+
+        state.recent.push({ timestamp: Date.now(), provider, model, purpose, promptTokens, completionTokens, cost });
+        if (state.recent.length > USAGE_RECENT_CALLS_LIMIT) {
+            state.recent = state.recent.slice(-USAGE_RECENT_CALLS_LIMIT);
+        }
+
+        const dayKeys = Object.keys(state.days).sort();
+        dayKeys.slice(0, Math.max(0, dayKeys.length - USAGE_DAYS_KEPT)).forEach(key => delete state.days[key]);
+
+        console.log('💰 AI usage recorded:', { model, purpose, promptTokens, completionTokens, cost: cost.toFixed(6) });
+        await this.persistUsage();
+        await this.checkBudget();
+    }
+
+    getMonthSpend(monthKey = this.localDateKey().slice(0, 7)) {
+        if (!this.usage) return 0;
+        return Object.entries(this.usage.days)
+            .filter(([dayKey]) => dayKey.startsWith(monthKey))
+            .reduce((sum, [, day]) => sum + day.cost, 0);
+    }
+
+    // Past the monthly budget the extension runs on cached verdicts and local rules only
+    isOverBudget() {
+        const budget = this.settings.monthlyBudgetUsd;
+        return budget > 0 && this.getMonthSpend() >= budget;
+    }
+
+    async checkBudget() {
+        if (!this.isOverBudget()) return;
+        const monthKey = this.localDateKey().slice(0, 7);
+        if (this.usage.budgetNotifiedMonth === monthKey) return;
+
+        this.usage.budgetNotifiedMonth = monthKey;
+        await this.persistUsage();
+        console.log('💸 Monthly AI budget reached:', this.settings.monthlyBudgetUsd);
+        this.notify(
+            'Monthly AI budget reached',
+            `tunnl.ai spent $${this.getMonthSpend().toFixed(2)} of your $${this.settings.monthlyBudgetUsd.toFixed(2)} budget. Until next month it uses cached verdicts and local rules only.`
+        );
+    }
+
+    async getUsageSummary() {
+        const state = await this.loadUsage();
+        return {
+            days: state.days,
+            recent: state.recent.slice(-50),
+            monthSpend: this.getMonthSpend(),
+            monthlyBudgetUsd: this.settings.monthlyBudgetUsd,
+            overBudget: this.isOverBudget(),
+            modelPrices: this.getModelPrices()
+        };
+    }
+
+    // --- Managed policy ---
+
+    async loadManagedPolicy() {
+        try {
+            this.managed = (await chrome.storage.managed.get(null)) || {};
+        } catch (error) {
+            // No managed storage on this browser: nothing is managed
+            console.warn('Managed storage unavailable:', error.message);
+            this.managed = {};
+        }
+        this.managedLists = {
+            allowlist: this.normalizePatternList(this.managed.allowlist),
+            blocklist: this.normalizePatternList(this.managed.blocklist)
+        };
+    }
+
+    // Settings the admin has set (and the user cannot change)
+    lockedSettingKeys() {
+        const keys = Object.entries(MANAGED_SETTING_VALIDATORS)
+            .filter(([key, isValid]) => this.managed[key] !== undefined && isValid(this.managed[key]))
+            .map(([key]) => key);
+        if (this.managed.allowDisable === false) keys.push('extensionEnabled');
+        return keys;
+    }
+
+    // Overlay managed values on the user's settings; called after every load or change of either
+    applyManagedSettings() {
+        this.lockedSettingKeys().forEach(key => {
+            if (key === 'extensionEnabled') {
+                this.settings.extensionEnabled = true;
+            } else if (key === 'llmProvider') {
+                this.settings.llmProvider = { ...this.settings.llmProvider, ...this.managed.llmProvider };
+            } else {
+                this.settings[key] = this.managed[key];
+            }
+        });
+    }
+
+    isBypassAllowed() {
+        return this.managed.allowBypass !== false;
+    }
+
+    // What the UI needs to show locked settings
+    managedStatus() {
+        return {
+            lockedKeys: this.lockedSettingKeys(),
+            allowlist: this.managedLists.allowlist,
+            blocklist: this.managedLists.blocklist,
+            allowDisable: this.managed.allowDisable !== false,
+            allowBypass: this.isBypassAllowed()
+        };
+    }
+
+    // --- Bypasses ---
+
+    // Older versions kept a single { url, until } in temporaryUnblock; move a still-running one into the registry
+    async loadBypasses() {
+        const local = await chrome.storage.local.get([BYPASSES_STORAGE_KEY, 'temporaryUnblock']);
+        this.bypasses = local[BYPASSES_STORAGE_KEY] && typeof local[BYPASSES_STORAGE_KEY] === 'object' ? local[BYPASSES_STORAGE_KEY] : {};
+        const legacy = local.temporaryUnblock;
+        if (legacy) {
+            try {
+                const origin = new URL(legacy.url).origin;
+                if (legacy.until > Date.now() && !this.bypasses[origin]) {
+                    this.bypasses[origin] = { origin, url: legacy.url, until: legacy.until, reason: '', grantedAt: Date.now() };
+                }
+            } catch { }
+            await chrome.storage.local.remove('temporaryUnblock');
+        }
+        await this.pruneBypasses();
+        this.scheduleBypassExpiry();
+    }
+
+    async saveBypasses() {
+        await chrome.storage.local.set({ [BYPASSES_STORAGE_KEY]: this.bypasses });
+        this.scheduleBypassExpiry();
+    }
+
+    // One alarm at the earliest expiry; expireBypasses schedules the next
+    scheduleBypassExpiry() {
+        const next = Math.min(...Object.values(this.bypasses).map(bypass => bypass.until));
+        if (Number.isFinite(next)) {
+            chrome.alarms.create(BYPASS_EXPIRY_ALARM, { when: Math.max(next, Date.now() + 1000) });
+        } else {
+            chrome.alarms.clear(BYPASS_EXPIRY_ALARM);
+        }
+    }
+
+    async expireBypasses() {
+        const expired = await this.pruneBypasses();
+        this.scheduleBypassExpiry();
+        if (expired.length > 0) {
+            console.log('⌛ Bypasses expired:', expired);
+            await this.reevaluateOpenTabs('bypass expired', expired);
+        }
+    }
+
+    // Drop expired entries; returns the origins removed
+    async pruneBypasses() {
+        const expired = Object.values(this.bypasses).filter(bypass => !(bypass.until > Date.now())).map(bypass => bypass.origin);
+        if (expired.length > 0) {
+            expired.forEach(origin => delete this.bypasses[origin]);
+            await this.saveBypasses();
+        }
+        return expired;
+    }
+
+    activeBypassFor(url) {
+        try {
+            const bypass = this.bypasses[new URL(url).origin];
+            return bypass && bypass.until > Date.now() ? bypass : null;
+        } catch {
+            return null;
+        }
+    }
+
+    // Active temporary unblocks for the popup, soonest to expire first
+    listBypasses() {
+        return Object.values(this.bypasses)
+            .filter(bypass => bypass.until > Date.now())
+            .sort((a, b) => a.until - b.until);
+    }
+
+    async revokeBypass(origin) {
+        if (!this.bypasses[origin]) throw new Error('No active bypass for this site');
+        delete this.bypasses[origin];
+        await this.saveBypasses();
+        console.log('🔒 Bypass revoked:', origin);
+        await this.reevaluateOpenTabs('bypass revoked', [origin]);
+    }
+
+    scheduleOpenTabsReevaluation(reason) {
+        clearTimeout(this.tabReevaluationTimer);
+        this.tabReevaluationTimer = setTimeout(() => {
+            this.reevaluateOpenTabs(reason).catch(error => console.error('Error re-evaluating open tabs:', error));
+        }, TAB_REEVALUATION_DEBOUNCE_MS);
+    }
+
+    // Judge every open page (or only those of `origins`) again and enforce the verdict in its tab.
+    // Discarded tabs are skipped; they reload, and are judged, when selected.
+    async reevaluateOpenTabs(reason, origins = null) {
+        const tabs = await chrome.tabs.query({});
+        const targets = tabs.filter(tab => {
+            if (tab.discarded || !/^https?:/.test(tab.url || '')) return false;
+            if (!origins) return true;
+            try {
+                return origins.includes(new URL(tab.url).origin);
+            } catch {
+                return false;
+            }
+        });
+        console.log('🔄 Re-evaluating open tabs:', { reason, count: targets.length });
+        // One at a time; AI requests share the client's queue and rate limit anyway
+        for (const tab of targets) {
+            try {
+                await this.reevaluateTab(tab.id, tab.url);
+            } catch (error) {
+                console.error('Error re-evaluating tab:', tab.id, error);
+            }
+        }
+    }
+
+    // Judge the page a tab already shows again, e.g. when the bypass that let it through ends
+    async reevaluateTab(tabId, url) {
+        if (!this.settings.extensionEnabled) return;
+        if (!this.isWithinSchedule() || this.isOnBreak()) {
+            await this.enforceManagedLists(url, tabId, true);
+            return;
+        }
+        if (!/^https?:/.test(url || '')) return;
+        if (this.isBypassAllowed() && this.activeBypassFor(url)) return;
+        // A page let through once stays until the tab navigates away
+        const shown = this.tabVerdicts.get(tabId);
+        if (shown?.oneTimeBypass && this.isSamePage(shown.url, url)) return;
+        await this.analyzeAndBlockUrl(url, tabId, true);
+    }
+
+    // Whether the blocked page may offer a bypass for this URL now: daily budgets and the site's cooldown
+    async getBypassStatus(url) {
+        const host = this.hostOf(url);
+        if (!host) throw new Error('Invalid URL');
+        const friction = this.settings.bypassFriction;
+        const status = { friction, host, siteCount: 0, totalCount: 0, cooldownUntil: 0, allowed: false, denial: null };
+        if (!this.isBypassAllowed()) {
+            status.denial = 'Your organization does not allow bypassing blocks.';
+            return status;
+        }
+
+        const startOfToday = new Date();
+        startOfToday.setHours(0, 0, 0, 0);
+        const today = await this.eventStore.query({ type: 'bypass_granted', since: startOfToday.getTime(), oldestFirst: true });
+        const forSite = today.filter(event => event.host === host);
+        status.totalCount = today.length;
+        status.siteCount = forSite.length;
+
+        const last = forSite[forSite.length - 1];
+        if (last && friction.cooldownMinutes > 0) {
+            const endedAt = last.timestamp + (last.minutes || 0) * 60000;
+            status.cooldownUntil = endedAt + friction.cooldownMinutes * 60000 * 2 ** (forSite.length - 1);
+        }
+
+        if (friction.dailyLimitPerSite > 0 && status.siteCount >= friction.dailyLimitPerSite) {
+            status.denial = `You have used all ${friction.dailyLimitPerSite} bypasses for ${host} today.`;
+        } else if (friction.dailyLimitTotal > 0 && status.totalCount >= friction.dailyLimitTotal) {
+            status.denial = `You have used all ${friction.dailyLimitTotal} bypasses for today.`;
+        } else if (status.cooldownUntil > Date.now()) {
+            status.denial = `Next bypass for ${host} at ${new Date(status.cooldownUntil).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}.`;
+        }
+        status.allowed = !status.denial;
+        return status;
+    }
+
+    // Record a bypass the user asked for; handleNavigation lets the next navigation(s) to the origin through.
+    // kind 'temporary' unblocks for `minutes`, 'one-time' lets a single navigation through.
+    async grantBypass({ url, kind, minutes, reason }) {
+        if (kind !== 'temporary' && kind !== 'one-time') throw new Error('kind must be "temporary" or "one-time"');
+        const status = await this.getBypassStatus(url);
+        if (!status.allowed) throw new Error(status.denial);
+
+        const friction = status.friction;
+        const text = String(reason || '').trim();
+        if (friction.requireReason && text.length < BYPASS_REASON_MIN_CHARS) {
+            throw new Error('Say why you need this page');
+        }
+        if (kind === 'temporary' && !friction.durations.includes(minutes)) {
+            throw new Error(`Choose one of: ${friction.durations.join(', ')} minutes`);
+        }
+
+        const granted = { url, host: status.host, kind, minutes: kind === 'temporary' ? minutes : 0, reason: text };
+        if (kind === 'temporary') {
+            const origin = new URL(url).origin;
+            this.bypasses[origin] = { origin, url, until: Date.now() + minutes * 60000, reason: text, grantedAt: Date.now() };
+            await this.saveBypasses();
+        } else {
+            await chrome.storage.local.set({ oneTimeBypass: { url } });
+        }
+        await this.eventStore.add('bypass_granted', granted);
+        console.log('🔓 Bypass granted:', granted);
+        return granted;
+    }
+
+    // --- Policy packs ---
+
+    async loadPolicyPacks() {
+        const local = await chrome.storage.local.get([POLICY_PACKS_STORAGE_KEY]);
+        this.policyPacks = Array.isArray(local[POLICY_PACKS_STORAGE_KEY]) ? local[POLICY_PACKS_STORAGE_KEY] : [];
+    }
+
+    async savePolicyPacks() {
+        await chrome.storage.local.set({ [POLICY_PACKS_STORAGE_KEY]: this.policyPacks });
+    }
+
+    // Install a validated pack, or update the installed pack with the same name (keeping what the user hid).
+    // `url` subscribes the pack to updates; a pack imported from a file has none.
+    async installPolicyPack(pack, url = '') {
+        const id = tunnlPolicyPackId(pack.name);
+        const existing = this.policyPacks.find(record => record.id === id);
+        const now = Date.now();
+        const record = {
+            id,
+            pack,
+            url,
+            installedAt: existing?.installedAt || now,
+            updatedAt: now,
+            checkedAt: now,
+            lastError: null,
+            dismissed: existing?.dismissed || [], // entry keys the user hid (see tunnlPolicyEntryKey)
+            offeredTasks: existing?.offeredTasks || [] // lowercased template titles already added as tasks
+        };
+        this.policyPacks = [...this.policyPacks.filter(other => other.id !== id), record];
+        await this.savePolicyPacks();
+        await this.syncPolicyTasks();
+        await this.clearAnalysisCache('policy pack installed'); // Pack rules are part of the cached verdicts
+        console.log('📜 Policy pack installed:', { name: pack.name, version: pack.version, url: url || 'file' });
+        return record;
+    }
+
+    // A pack with locked entries cannot be removed: that would undo the locks in one click
+    async removePolicyPack(id) {
+        const record = this.policyPacks.find(pack => pack.id === id);
+        if (!record) {
+            throw new Error('Policy pack not found');
+        }
+        if (tunnlPolicyPackHasLockedEntries(record.pack)) {
+            throw new Error(`"${record.pack.name}" has locked entries and cannot be removed`);
+        }
+        this.policyPacks = this.policyPacks.filter(other => other.id !== id);
+        await this.savePolicyPacks();
+        await this.syncPolicyTasks();
+        await this.clearAnalysisCache('policy pack removed');
+        console.log('📜 Policy pack removed:', id);
+    }
+
+    async fetchPolicyPack(url) {
+        let parsed;
+        try {
+            parsed = new URL(url);
+        } catch {
+            throw new Error(`Invalid policy pack URL: ${url}`);
+        }
+        if (!['http:', 'https:'].includes(parsed.protocol)) {
+            throw new Error('Policy pack URL must start with http:// or https://');
+        }
+
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), POLICY_PACK_FETCH_TIMEOUT_MS);
+        try {
+            const response = await fetch(parsed.href, { cache: 'no-cache', signal: controller.signal });
+            if (!response.ok) {
+                throw new Error(`Policy pack download failed: ${response.status}`);
+            }
+            return parseTunnlPolicyPack(await response.text());
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                throw new Error(`Policy pack server did not answer within ${POLICY_PACK_FETCH_TIMEOUT_MS / 1000}s`);
+            }
+            throw error;
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    // Re-fetch every subscribed pack; when a fetch fails the last good version stays in effect
+    async updatePolicyPacks() {
+        const subscribed = this.policyPacks.filter(record => record.url);
+        if (subscribed.length === 0) return;
+
+        let changed = false;
+        for (const record of subscribed) {
+            record.checkedAt = Date.now();
+            try {
+                const pack = await this.fetchPolicyPack(record.url);
+                if (tunnlPolicyPackId(pack.name) !== record.id) {
+                    throw new Error(`The URL now serves a different pack ("${pack.name}")`);
+                }
+                record.lastError = null;
+                if (JSON.stringify(pack) !== JSON.stringify(record.pack)) {
+                    console.log('📜 Policy pack updated:', { name: pack.name, from: record.pack.version, to: pack.version });
+                    record.pack = pack;
+                    record.updatedAt = Date.now();
+                    changed = true;
+                }
+            } catch (error) {
+                console.error('Error updating policy pack:', record.id, error);
+                record.lastError = error.message;
+            }
+        }
+
+        await this.savePolicyPacks();
+        if (changed) {
+            await this.syncPolicyTasks();
+            await this.clearAnalysisCache('policy pack updated');
+        }
+    }
+
+    // Hide an unlocked entry of a pack; locked entries cannot be hidden
+    async dismissPolicyEntry(id, kind, entry) {
+        const record = this.policyPacks.find(pack => pack.id === id);
+        if (!record) throw new Error('Policy pack not found');
+        if (!['allowlist', 'blocklist', 'rules', 'taskTemplates'].includes(kind)) throw new Error(`Unknown policy entry kind: ${kind}`);
+
+        const key = tunnlPolicyEntryKey(kind, entry);
+        const packEntry = record.pack[kind].find(candidate => tunnlPolicyEntryKey(kind, candidate) === key);
+        if (!packEntry) throw new Error('Entry not found in this policy pack');
+        if (packEntry.locked) throw new Error(`This entry is locked by "${record.pack.name}"`);
+
+        if (!record.dismissed.includes(key)) record.dismissed.push(key);
+        await this.savePolicyPacks();
+        if (kind === 'rules') {
+            await this.clearAnalysisCache('policy rule hidden');
+        }
+        if (kind === 'taskTemplates') {
+            // Hiding a template also removes the task it created, unless the user changed it into their own
+            this.settings.tasks = this.settings.tasks.filter(task =>
+                !(task.policyPackId === id && task.title.toLowerCase() === packEntry.title.toLowerCase()
+                    && this.isUnchangedPolicyTask(task, packEntry)));
+            await this.saveSettings();
+            await this.syncPolicyTasks();
+        }
+    }
+
+    // A task still as its template made it: same sites, and no notes, tags, priority, due date or estimate added
+    isUnchangedPolicyTask(task, template) {
+        const sameList = (list, templateList) => JSON.stringify([...list].sort()) === JSON.stringify([...templateList].sort());
+        return sameList(task.allowlist, template.allowlist) && sameList(task.blocklist, template.blocklist)
+            && ['notes', 'tags', 'priority', 'dueDate', 'estimateMinutes'].every(key =>
+                JSON.stringify(task[key]) === JSON.stringify(TASK_DEFAULTS[key]));
+    }
+
+    // List layers from the installed packs; locked entries are checked before the user's lists, the rest after
+    policyListLayers(locked) {
+        const layers = [];
+        [['allowlist', false, 'Allowed'], ['blocklist', true, 'Blocked']].forEach(([kind, shouldBlock, verb]) => {
+            this.policyPacks.forEach(record => {
+                const list = tunnlActivePolicyEntries(record, kind)
+                    .filter(entry => entry.locked === locked)
+                    .map(entry => entry.pattern);
+                if (list.length > 0) {
+                    layers.push({ list, shouldBlock, reason: `${verb} by team policy "${record.pack.name}"` });
+                }
+            });
+        });
+        return layers;
+    }
+
+    // Custom rules in the order they are tried: locked pack rules, the user's rules, then other pack rules
+    effectiveCustomRules() {
+        const packRules = locked => this.policyPacks.flatMap(record => tunnlActivePolicyEntries(record, 'rules')
+            .filter(rule => rule.locked === locked)
+            .map(rule => ({ action: rule.action, pattern: rule.pattern, policyPack: record.pack.name })));
+        return [...packRules(true), ...this.settings.customRules, ...packRules(false)];
+    }
+
+    // Task templates become tasks tagged with their pack (policyPackId, locked). Locked templates are put back
+    // whenever they go missing, with their sites; unlocked ones are added once and stay deleted if the user deletes them.
+    async syncPolicyTasks() {
+        const before = JSON.stringify(this.settings.tasks);
+        const tasks = this.settings.tasks.map(task => {
+            const { policyPackId, locked, ...rest } = task;
+            return rest;
+        });
+        let packsChanged = false;
+
+        this.policyPacks.forEach(record => {
+            const dismissed = new Set(record.dismissed);
+            record.pack.taskTemplates.forEach(template => {
+                const titleKey = template.title.toLowerCase();
+                if (!template.locked && dismissed.has(tunnlPolicyEntryKey('taskTemplates', template))) return;
+
+                let task = tasks.find(candidate => candidate.title.toLowerCase() === titleKey);
+                const offered = record.offeredTasks.includes(titleKey);
+                if (!task) {
+                    if (!template.locked && offered) {
+                        // Deleted by the user since it was added: remember that instead of adding it back
+                        record.dismissed.push(tunnlPolicyEntryKey('taskTemplates', template));
+                        packsChanged = true;
+                        return;
+                    }
+                    task = { id: this.generateTaskId(), title: template.title, allowlist: [], blocklist: [] };
+                    tasks.push(task);
+                }
+                if (template.locked || !offered) {
+                    task.allowlist = [...new Set([...task.allowlist, ...template.allowlist])];
+                    task.blocklist = [...new Set([...task.blocklist, ...template.blocklist])];
+                }
+                if (!offered) {
+                    record.offeredTasks.push(titleKey);
+                    packsChanged = true;
+                }
+                task.policyPackId = task.policyPackId || record.id;
+                task.locked = !!task.locked || template.locked;
+            });
+        });
+
+        // Assign before awaiting, so an overlapping call sees the added tasks
+        const tasksChanged = JSON.stringify(tasks) !== before;
+        if (tasksChanged) {
+            this.settings.tasks = tasks;
+        }
+        if (packsChanged) {
+            await this.savePolicyPacks();
+        }
+        if (tasksChanged) {
+            await this.saveSettings();
+            console.log('📜 Tasks updated from policy packs, count:', tasks.length);
+        }
+    }
+
+    // --- Event log ---
+
+    // Older versions kept blockedSites, feedback and stats in chrome.storage.sync; move them once
+    async migrateLegacyHistory() {
+        const legacy = await chrome.storage.sync.get(['blockedSites', 'feedback', 'stats']);
+        const blockedSites = Array.isArray(legacy.blockedSites) ? legacy.blockedSites : [];
+        const feedback = Array.isArray(legacy.feedback) ? legacy.feedback : [];
+        if (blockedSites.length === 0 && feedback.length === 0 && !legacy.stats) return;
+
+        const timestampOf = entry => (Number.isFinite(entry.timestamp) ? entry.timestamp : Date.now());
+        const events = [
+            ...blockedSites.map(site => site.mode === 'failed'
+                ? { type: 'analysis_failed', url: site.url, host: this.hostOf(site.url), reason: site.reason || '', timestamp: timestampOf(site) }
+                : { type: 'block', url: site.url, host: this.hostOf(site.url), reason: site.reason || '', mode: site.mode || 'suggest', timestamp: timestampOf(site) }),
+            ...feedback.map(entry => ({ ...entry, type: 'feedback', host: entry.host || this.hostOf(entry.url), timestamp: timestampOf(entry) }))
+        ];
+
+        // One transaction, so a failed migration leaves sync untouched and is retried next start
+        await this.eventStore.addMany(events);
+        const local = await chrome.storage.local.get([STATS_STORAGE_KEY]);
+        if (legacy.stats && !local[STATS_STORAGE_KEY]) {
+            await chrome.storage.local.set({ [STATS_STORAGE_KEY]: legacy.stats });
+        }
+        await chrome.storage.sync.remove(['blockedSites', 'feedback', 'stats']);
+        console.log('📦 Migrated history to the event log:', { blocks: blockedSites.length, feedback: feedback.length });
+    }
+
+    async loadFeedback() {
+        const events = await this.eventStore.query({ type: 'feedback', limit: FEEDBACK_EVENTS_KEPT });
+        this.feedback = events.reverse();
+    }
+
+    // Fire-and-forget append; a lost history entry must never break blocking
+    logEvent(type, data) {
+        this.eventStore.add(type, data).catch(error => console.error('Error logging event:', type, error));
+    }
+
+    async pruneEvents() {
+        const days = this.settings.eventRetentionDays;
+        let deleted = 0;
+        if (days > 0) {
+            const cutoff = Date.now() - days * 24 * 60 * 60 * 1000;
+            deleted += await this.eventStore.deleteWhere({ until: cutoff, filter: event => event.type !== 'feedback' });
+            await this.pruneActivity(this.localDateKey(new Date(cutoff)));
+        }
+
+        const feedback = await this.eventStore.query({ type: 'feedback', limit: FEEDBACK_EVENTS_KEPT + 1 });
+        if (feedback.length > FEEDBACK_EVENTS_KEPT) {
+            deleted += await this.eventStore.deleteWhere({ type: 'feedback', until: feedback[FEEDBACK_EVENTS_KEPT].timestamp });
+        }
+
+        if (deleted > 0) {
+            console.log('🧹 Pruned event log, removed:', deleted);
+        }
+    }
+
+    // Counters plus the latest blocks, failed analyses and bypasses (with the user's reason) for the options page
+    async getHistory() {
+        const [blocks, failures, bypasses] = await Promise.all([
+            this.eventStore.query({ type: 'block', limit: HISTORY_RECENT_LIMIT }),
+            this.eventStore.query({ type: 'analysis_failed', limit: HISTORY_RECENT_LIMIT }),
+            this.eventStore.query({ type: 'bypass_granted', limit: HISTORY_RECENT_LIMIT })
+        ]);
+        const startOfToday = new Date();
+        startOfToday.setHours(0, 0, 0, 0);
+
+        return {
+            stats: this.stats,
+            blockedToday: await this.eventStore.count({ type: 'block', since: startOfToday.getTime() }),
+            bypassesToday: await this.eventStore.count({ type: 'bypass_granted', since: startOfToday.getTime() }),
+            recent: [
+                ...blocks,
+                ...failures.map(event => ({ ...event, mode: 'failed' })),
+                ...bypasses.map(event => ({ ...event, mode: 'bypass' }))
+            ]
+                .sort((a, b) => b.timestamp - a.timestamp)
+                .slice(0, HISTORY_RECENT_LIMIT)
+        };
+    }
+
+    // --- Focus analytics ---
+
+    async loadActivity() {
+        if (!this.activity) {
+            const result = await chrome.storage.local.get([ACTIVITY_STORAGE_KEY]);
+            const stored = result[ACTIVITY_STORAGE_KEY];
+            this.activity = {
+                days: stored?.days || {}, // 'YYYY-MM-DD' -> see getActivityDay
+                segment: stored?.segment || null // { tabId, url, host, state, since } - the tab being timed
+            };
+        }
+        return this.activity;
+    }
+
+    async persistActivity() {
+        clearTimeout(this.activityPersistTimer);
+        this.activityPersistTimer = null;
+        await chrome.storage.local.set({ [ACTIVITY_STORAGE_KEY]: this.activity });
+    }
+
+    scheduleActivityPersist() {
+        if (this.activityPersistTimer) return;
+        this.activityPersistTimer = setTimeout(() => {
+            this.persistActivity().catch(error => console.error('Error saving activity log:', error));
+        }, 1000);
+    }
+
+    // Drop per-day visits and browsing time (per host) from before the cutoff day
+    async pruneActivity(cutoffDayKey) {
+        const activity = await this.loadActivity();
+        const expired = Object.keys(activity.days).filter(dayKey => dayKey < cutoffDayKey);
+        if (expired.length === 0) return;
+        expired.forEach(dayKey => delete activity.days[dayKey]);
+        await this.persistActivity();
+        console.log('🧹 Pruned activity log, days removed:', expired.length);
+    }
+
+    getActivityDay(activity, date = new Date()) {
+        const key = this.localDateKey(date);
+        if (!activity.days[key]) {
+            activity.days[key] = {
+                visits: {}, // task -> { allowed, blocked }
+                blockedByHour: new Array(24).fill(0),
+                seconds: {}, // host -> active seconds
+                focusedSeconds: 0,
+                distractedSeconds: 0,
+                offSeconds: 0
+            };
+            const dayKeys = Object.keys(activity.days).sort();
+            dayKeys.slice(0, Math.max(0, dayKeys.length - ACTIVITY_DAYS_KEPT)).forEach(dayKey => delete activity.days[dayKey]);
+        }
+        return activity.days[key];
+    }
+
+    // One visit per analyzed navigation, attributed to the task selected at the time.
+    // A recheck of an open tab is not a new visit: only the tab's verdict (focused vs distracted time) changes.
+    async recordVisit(url, verdict, tabId, recheck = false) {
+        const blocked = !!verdict.shouldBlock;
+        const activity = await this.loadActivity();
+        if (!recheck) {
+            const task = this.settings.currentTask?.text || '(no task)';
+            const matchedTask = verdict.matchedTask || null;
+            this.logEvent('verdict', { url, host: this.hostOf(url), task, matchedTask, blocked, source: verdict.source || null, reason: verdict.reason || '' });
+            this.noteTaskAttribution(url, verdict);
+
+            const day = this.getActivityDay(activity);
+            // Allowed pages count for the task they served (multi-task analysis), blocked ones for the current task
+            const visitTask = (!blocked && matchedTask) || task;
+            const visits = day.visits[visitTask] || (day.visits[visitTask] = { allowed: 0, blocked: 0 });
+            visits[blocked ? 'blocked' : 'allowed']++;
+            if (blocked) {
+                day.blockedByHour[new Date().getHours()]++;
+            }
+        }
+
+        if (typeof tabId === 'number') {
+            this.tabVerdicts.set(tabId, { url, blocked });
+            if (activity.segment?.tabId === tabId) {
+                this.flushActiveTime(activity);
+                activity.segment.state = this.activityStateFor(tabId, activity.segment.url);
+            }
+        }
+        this.scheduleActivityPersist();
     }
 
-    async handleNavigation(details) {
-        console.log('🚀 Navigation detected:', {
-            url: details.url,
-            tabId: details.tabId,
-            frameId: details.frameId,
-            extensionEnabled: this.settings.extensionEnabled
+    // Active time is the focused window's active tab while the user is not idle
+    setupActivityTracking() {
+        chrome.idle.setDetectionInterval(ACTIVITY_IDLE_SECONDS);
+        chrome.idle.onStateChanged.addListener((state) => {
+            this.userIdle = state !== 'active';
+            this.trackFocusedTab().catch(error => console.error('Error tracking active time:', error));
         });
+        chrome.tabs.onActivated.addListener(() => {
+            this.trackFocusedTab().catch(error => console.error('Error tracking active time:', error));
+        });
+        chrome.windows.onFocusChanged.addListener(() => {
+            this.trackFocusedTab().catch(error => console.error('Error tracking active time:', error));
+        });
+        chrome.alarms.create(ACTIVITY_ALARM, { periodInMinutes: 1 });
+        this.trackFocusedTab().catch(error => console.error('Error tracking active time:', error));
+    }
 
-        if (!this.settings.extensionEnabled) {
-            console.log('⏸️ Extension disabled, skipping analysis');
-            return;
+    async trackFocusedTab() {
+        let tab = null;
+        if (!this.userIdle) {
+            try {
+                const win = await chrome.windows.getLastFocused({ populate: true });
+                tab = win?.focused ? win.tabs.find(t => t.active) || null : null;
+            } catch { }
         }
 
-        // Skip chrome://, devtools:// and extension URLs
-        if (details.url.startsWith('chrome://') || details.url.startsWith('chrome-extension://') || details.url.startsWith('devtools://')) {
-            console.log('🔒 Skipping system URL:', details.url);
-            return;
+        const activity = await this.loadActivity();
+        this.flushActiveTime(activity);
+        const host = tab && /^https?:/.test(tab.url || '') ? this.hostOf(tab.url) : null;
+        activity.segment = host
+            ? { tabId: tab.id, url: tab.url, host, state: this.activityStateFor(tab.id, tab.url), since: Date.now() }
+            : null;
+        this.scheduleActivityPersist();
+    }
+
+    // 'off' while tunnl.ai is not blocking, otherwise whether the page got a block verdict
+    activityStateFor(tabId, url) {
+        if (!this.settings.extensionEnabled || !this.isWithinSchedule() || this.isOnBreak() || !this.settings.currentTask) {
+            return 'off';
         }
+        const verdict = this.tabVerdicts.get(tabId);
+        return verdict?.blocked && this.isSamePage(verdict.url, url) ? 'distracted' : 'focused';
+    }
 
-        // Track this URL for context
-        this.addToRecentUrls(details.url);
+    // Credit the time since the last flush to the timed tab's host and state
+    flushActiveTime(activity) {
+        const segment = activity.segment;
+        if (!segment) return;
 
-        // Honor temporary bypass from blocked page (10 minutes)
-        try {
-            const local = await chrome.storage.local.get(['temporaryUnblock']);
-            const bypass = local.temporaryUnblock;
-            if (bypass && bypass.url && bypass.until && Date.now() < bypass.until) {
-                // If current URL matches bypassed URL's origin or exact URL, allow
-                try {
-                    const bypassOrigin = new URL(bypass.url).origin;
-                    const currentOrigin = new URL(details.url).origin;
-                    if (details.url === bypass.url || bypassOrigin === currentOrigin) {
-                        console.log('⏰ Temporary bypass active:', {
-                            bypassUrl: bypass.url,
-                            currentUrl: details.url,
-                            until: new Date(bypass.until).toISOString()
-                        });
-                        return; // Do not analyze/block
-                    }
-                } catch { }
-            }
-        } catch { }
+        const now = Date.now();
+        const elapsed = Math.min(Math.max(0, now - segment.since), ACTIVITY_MAX_SLICE_MS);
+        if (elapsed < 1000) return;
+        segment.since = now;
 
-        // Honor one-time bypass (single navigation)
-        try {
-            const local = await chrome.storage.local.get(['oneTimeBypass']);
-            const one = local.oneTimeBypass;
-            if (one && one.url) {
-                try {
-                    const oneOrigin = new URL(one.url).origin;
-                    const currentOrigin = new URL(details.url).origin;
-                    if (details.url === one.url || oneOrigin === currentOrigin) {
-                        console.log('🎯 One-time bypass used:', {
-                            bypassUrl: one.url,
-                            currentUrl: details.url
-                        });
-                        // consume bypass
-                        await chrome.storage.local.remove('oneTimeBypass');
-                        return; // allow this navigation only
-                    }
-                } catch { }
-            }
-        } catch { }
+        const seconds = Math.round(elapsed / 1000);
+        const day = this.getActivityDay(activity);
+        day.seconds[segment.host] = (day.seconds[segment.host] || 0) + seconds;
+        day[`${segment.state}Seconds`] += seconds;
 
-        await this.analyzeAndBlockUrl(details.url, details.tabId);
+        // Schedule, breaks and the on/off switch change while a tab stays open
+        segment.state = this.activityStateFor(segment.tabId, segment.url);
     }
 
-    async analyzeAndBlockUrl(url, tabId) {
-        console.log('🔍 Starting URL analysis:', {
-            url,
-            tabId,
-            currentTask: this.settings.currentTask?.text || 'No current task',
-            recentUrls: this.recentUrls.length
-        });
+    async flushActivity() {
+        const activity = await this.loadActivity();
+        this.flushActiveTime(activity);
+        await this.persistActivity();
+        return activity;
+    }
 
-        try {
-            const taskKey = this.settings.currentTask?.text || '';
-            const contextKey = this.recentUrls.slice(0, 3).join('|'); // Use first 3 URLs for context
-            const cacheKey = `${url}||${taskKey}||${contextKey}`;
-            
-            console.log('💾 Cache check:', {
-                cacheKey: cacheKey.substring(0, 100) + '...',
-                hasCache: this.urlCache.has(cacheKey)
-            });
+    isAiConfigured() {
+        return isLlmProviderConfigured(this.settings.llmProvider, this.keyVault.apiKey);
+    }
 
-            if (this.urlCache.has(cacheKey)) {
-                const cachedResult = this.urlCache.get(cacheKey);
-                console.log('✅ Cache hit:', {
-                    shouldBlock: cachedResult.shouldBlock,
-                    reason: cachedResult.reason,
-                    timestamp: new Date(cachedResult.timestamp).toISOString()
-                });
-                
-                // Check cache first
-                if (cachedResult.shouldBlock) {
-                    const analysis = {
-                        shouldBlock: true,
-                        reason: "From Cache: " + (cachedResult.reason || 'Potentially distracting'),
-                        activityUnderstanding: cachedResult.activityUnderstanding || 'Cached analysis',
-                        confidence: cachedResult.confidence || 0.8
-                    };
-                    await this.notifyBlockSuggestion(url, analysis, tabId);
-                }
-                return;
-            }
+    // Send a chat conversation to the configured LLM provider and return { content, usage }.
+    // `apiKey` and `llmProvider` override the stored ones (connection tests of unsaved values).
+    async callChatCompletion(messages, {
+        temperature = 0.3,
+        maxTokens = 200,
+        responseSchema = null,
+        maxRetries,
+        purpose = 'analyze',
+        apiKey = this.keyVault.apiKey,
+        llmProvider = this.settings.llmProvider
+    } = {}) {
+        const config = resolveLlmProviderConfig(llmProvider);
+        const provider = TUNNL_LLM_PROVIDERS[config.type];
+
+        if (!isLlmProviderConfigured(llmProvider, apiKey)) {
+            const locked = provider.requiresApiKey && !apiKey && this.keyVault.status().locked;
+            throw new Error(locked ? `${provider.label} API key is locked - unlock it in the options page` : `${provider.label} is not configured`);
+        }
 
-            // Analyze URL with OpenAI
-            console.log('🤖 Calling OpenAI API for analysis...');
-            const analysis = await this.analyzeUrl(url);
-            
-            console.log('🧠 AI Analysis result:', {
-                shouldBlock: analysis.shouldBlock,
-                reason: analysis.reason,
-                activityUnderstanding: analysis.activityUnderstanding,
-                confidence: analysis.confidence
-            });
+        const request = provider.buildRequest(config, apiKey, { messages, temperature, maxTokens, responseSchema });
+        console.log('🌐 Calling LLM provider:', { provider: config.type, model: config.model, url: request.url });
 
-            // Cache the result
-            this.urlCache.set(cacheKey, { ...analysis, timestamp: Date.now() });
-            console.log('💾 Cached analysis result');
+        const data = await this.aiClient.send(request, { label: provider.label, maxRetries });
+        const result = provider.parseResponse(data);
 
-            // Update stats
-            this.settings.stats.analyzedCount++;
-            await this.saveSettings();
-            console.log('📊 Stats updated - analyzed count:', this.settings.stats.analyzedCount);
+        try {
+            await this.recordUsage({ provider: config.type, model: config.model, purpose, usage: result.usage });
+        } catch (error) {
+            console.error('Error recording AI usage:', error);
+        }
+        return result;
+    }
 
-            if (analysis.shouldBlock) {
-                console.log('🚫 URL should be blocked, showing notification...');
-                await this.notifyBlockSuggestion(url, analysis, tabId);
-            } else {
-                console.log('✅ URL allowed, no action needed');
-            }
+    // Ask for JSON matching a schema from llm-schemas.js. A malformed reply gets one repair
+    // attempt with the validation errors; a second failure throws instead of guessing.
+    async requestStructured(messages, schemaName, options = {}) {
+        const responseSchema = TUNNL_LLM_SCHEMAS[schemaName];
+        const { content } = await this.callChatCompletion(messages, { ...options, responseSchema });
 
+        try {
+            return parseLlmResponse(schemaName, content);
         } catch (error) {
-            console.error('Error analyzing URL:', error);
+            console.log('🔧 Malformed AI reply, asking for a repair:', error.message);
+            const repair = await this.callChatCompletion([
+                ...messages,
+                { role: 'assistant', content },
+                {
+                    role: 'user',
+                    content: `Your reply could not be used: ${error.message}\nReply again with only a JSON object matching this JSON schema:\n${JSON.stringify(responseSchema.schema)}`
+                }
+            ], { ...options, responseSchema });
+            return parseLlmResponse(schemaName, repair.content);
         }
     }
 
@@ -416,24 +3014,26 @@ class TunnlBackground {
             return { isValid: true, reason: 'Validation disabled', suggestions: [], sampleBlockedSites: [] };
         }
 
-        if (!this.settings.openaiApiKey) {
-            console.log('Extension not configured - API key missing');
-            return { isValid: false, reason: 'API key not configured', suggestions: [], sampleBlockedSites: [] };
+        if (this.settings.classificationMode === 'offline') {
+            console.log('Offline mode - skipping AI task validation');
+            return { isValid: true, reason: 'Validation skipped in offline mode', suggestions: [], sampleBlockedSites: [] };
+        }
+
+        if (!this.isAiConfigured()) {
+            console.log('Extension not configured - AI provider incomplete');
+            return { isValid: false, reason: 'AI provider not configured', suggestions: [], sampleBlockedSites: [] };
+        }
+
+        if (this.isOverBudget()) {
+            console.log('Monthly AI budget reached - skipping task validation');
+            return { isValid: true, reason: 'Validation skipped: monthly AI budget reached', suggestions: [], sampleBlockedSites: [] };
         }
 
         try {
-            const response = await fetch('https://api.openai.com/v1/chat/completions', {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'Authorization': `Bearer ${this.settings.openaiApiKey}`
-                },
-                body: JSON.stringify({
-                    model: 'gpt-3.5-turbo',
-                    messages: [
-                        {
-                            role: 'system',
-                            content: `You are a productivity expert helping users write effective task descriptions for a website blocker.
+            const result = await this.requestStructured([
+                {
+                    role: 'system',
+                    content: `You are a productivity expert helping users write effective task descriptions for a website blocker.
 
 Your job is to evaluate if a task description is well-written for efficient website blocking. A good task description should:
 1. Be specific and actionable (not too broad or vague)
@@ -459,55 +3059,24 @@ Respond with a JSON object containing:
 - "suggestions": array of strings (specific suggestions to improve the task if invalid)
 - "confidence": number (0-1, how confident you are in this assessment)
 - "sampleBlockedSites": array of 5 strings (example websites that would be blocked for this task, like "facebook.com", "youtube.com", "reddit.com", etc.)`
-                        },
-                        {
-                            role: 'user',
-                            content: `Evaluate this task description: "${taskText}"`
-                        }
-                    ],
-                    temperature: 0.3,
-                    max_tokens: 300
-                })
-            });
-
-            if (!response.ok) {
-                throw new Error(`OpenAI API error: ${response.status}`);
-            }
-
-            const data = await response.json();
-            const content = data.choices[0].message.content;
-            console.log('Task validation response:', content);
-
-            try {
-                const result = JSON.parse(content);
-                console.log('Parsed validation result:', result);
-                return {
-                    isValid: result.isValid || false,
-                    reason: result.reason || 'No reason provided',
-                    suggestions: Array.isArray(result.suggestions) ? result.suggestions : [],
-                    confidence: result.confidence || 0.5,
-                    sampleBlockedSites: Array.isArray(result.sampleBlockedSites) ? result.sampleBlockedSites : []
-                };
-            } catch (parseError) {
-                console.log('JSON parse error, using fallback:', parseError);
-                // Fallback if JSON parsing fails
-                return {
-                    isValid: !content.toLowerCase().includes('invalid') && !content.toLowerCase().includes('too broad'),
-                    reason: 'AI analysis completed',
-                    suggestions: [],
-                    confidence: 0.5,
-                    sampleBlockedSites: ['facebook.com', 'youtube.com', 'reddit.com', 'twitter.com', 'instagram.com']
-                };
-            }
+                },
+                {
+                    role: 'user',
+                    content: `Evaluate this task description: "${taskText}"`
+                }
+            ], 'taskValidation', { temperature: 0.3, maxTokens: 300, purpose: 'validate' });
+            console.log('Parsed validation result:', result);
+            return result;
 
         } catch (error) {
-            console.error('Task validation API error:', error);
+            console.error('Task validation failed:', error);
             return {
-                isValid: true, // Default to allowing task if validation fails
-                reason: `Validation error: ${error.message}`,
+                isValid: true, // Don't hold up the user when the AI gives no usable answer
+                reason: `Validation failed: ${error.message}`,
                 suggestions: [],
                 confidence: 0,
-                sampleBlockedSites: []
+                sampleBlockedSites: [],
+                analysisFailed: true
             };
         }
     }
@@ -515,58 +3084,101 @@ Respond with a JSON object containing:
     async analyzeUrl(url) {
         console.log('🔍 Analyzing URL:', url);
         
-        if (!this.settings.openaiApiKey) {
-            console.log('❌ Extension not configured - API key missing');
-            return { shouldBlock: false, reason: 'Not configured', activityUnderstanding: 'No API key', confidence: 0 };
-        }
-
-        // Check allowlist first
-        if (this.isAllowlisted(url)) {
-            console.log('✅ URL is allowlisted:', url);
-            return { shouldBlock: false, reason: 'Allowlisted site', activityUnderstanding: 'Site is in allowlist', confidence: 1.0 };
+        // Resolution order: current task lists -> global lists -> learned rules -> local classifier -> AI
+        const listResult = this.resolveListVerdict(url);
+        if (listResult) {
+            console.log('📋 List rule decided:', listResult);
+            return listResult;
         }
 
         const currentTaskText = this.settings.currentTask?.text?.trim();
-        if (!currentTaskText) {
+        const multiTask = this.isMultiTaskAnalysis();
+        if (!currentTaskText && !multiTask) {
             console.log('⚠️ No current task selected - allowing URL to avoid overblocking');
-            return { shouldBlock: false, reason: 'No current task selected', activityUnderstanding: 'No active task', confidence: 0.5 };
+            return { shouldBlock: false, reason: 'No current task selected', activityUnderstanding: 'No active task', confidence: 0.5, fallback: true };
+        }
+        // What local rules and the prompts judge against: the current task, or every task on the list
+        const taskContext = multiTask ? this.openTasks().map(task => task.title).join('; ') : currentTaskText;
+        const workingOn = multiTask ? `Working on one of: ${taskContext}` : `Working on: ${currentTaskText}`;
+
+        const learnedRule = currentTaskText ? this.findLearnedRule(url, currentTaskText) : null;
+        if (learnedRule) {
+            console.log('🎓 Learned rule matched:', learnedRule);
+            return {
+                shouldBlock: learnedRule.action === 'block',
+                reason: learnedRule.action === 'block'
+                    ? `You confirmed ${learnedRule.host} is a distraction for this task`
+                    : `You marked ${learnedRule.host} as needed for this task`,
+                activityUnderstanding: workingOn,
+                confidence: 0.95,
+                source: 'learned',
+                matchedTask: learnedRule.action === 'allow' ? currentTaskText : null
+            };
+        }
+
+        // Local classification stage - only ambiguous URLs reach the AI
+        const mode = this.settings.classificationMode;
+        const overBudget = this.isOverBudget();
+        if (mode !== 'ai' || overBudget) {
+            const localResult = this.classifier.classify(url, taskContext, this.effectiveCustomRules());
+            if (localResult) {
+                console.log('🧩 Local classifier decided:', localResult);
+                // In AI mode local rules only stand in while the budget is used up
+                return mode === 'ai' ? { ...localResult, fallback: true } : localResult;
+            }
+            console.log('🧩 Local classifier undecided for:', url);
+        }
+
+        if (mode === 'offline' || overBudget || (mode === 'hybrid' && !this.isAiConfigured())) {
+            console.log('📴 No AI available - allowing ambiguous URL');
+            return {
+                shouldBlock: false,
+                reason: overBudget ? 'No local rule matched (monthly AI budget reached)' : 'No local rule matched',
+                activityUnderstanding: workingOn,
+                confidence: 0.3,
+                source: 'local',
+                fallback: true
+            };
+        }
+
+        if (!this.isAiConfigured()) {
+            console.log('❌ Extension not configured - AI provider incomplete');
+            return { shouldBlock: false, reason: 'Not configured', activityUnderstanding: 'No AI provider configured', confidence: 0, fallback: true };
         }
 
         console.log('📋 Analysis context:', {
             currentTask: currentTaskText,
+            multiTask,
             recentUrls: this.recentUrls,
             urlToAnalyze: url
         });
 
         try {
-            const response = await fetch('https://api.openai.com/v1/chat/completions', {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'Authorization': `Bearer ${this.settings.openaiApiKey}`
-                },
-                body: JSON.stringify({
-                    model: 'gpt-3.5-turbo',
-                    messages: [
-                        {
-                            role: 'system',
-                             content: `
+            // Tabs opening the same page for the same task share one request
+            const dedupeKey = `verdict::${this.cacheKeyFor(url, this.analysisCacheTask())}`;
+            const result = await this.aiClient.dedupe(dedupeKey, () => this.requestStructured([
+                {
+                    role: 'system',
+                    content: `
                              You are a productivity assistant that helps users stay focused on their tasks. 
  Analyze the given URL and determine if it's related to the user's current task by understanding the PURPOSE and CONTEXT of the task.
 
- Current activities/tasks: "${currentTaskText}"
+${multiTask ? this.buildTaskListPrompt() : ` Current activities/tasks: "${currentTaskText}"`}
 
  Recent browsing context (last 5 URLs visited):
  ${this.recentUrls.length > 0 ? this.recentUrls.map((url, i) => `${i + 1}. ${url}`).join('\n') : 'No recent URLs available'}
 
  Current URL to analyze: ${url}
+${this.buildFeedbackExamples(url, currentTaskText || '')}
 
  Respond with a JSON object containing:
 - "shouldBlock": boolean (true if the url is not related to the task and would keep the user from completing it)
 - "reason": string (brief explanation of why it should/shouldn't be blocked)
 - "activityUnderstanding": string (brief explanation of how you understood the user's activities - what they're trying to accomplish)
 - "confidence": number (0-1, how confident you are in this decision)
-
+${multiTask ? `- "matchedTask": string or null (the exact title of the task from the list this URL serves, or null if it serves none)
+ Only block URLs that serve none of the tasks; a URL that serves a task other than the current one is allowed.
+` : ''}
  Guidelines:
  - Parse tasks to understand the ACTION (researching, buying, learning, etc.) and SUBJECT (bananas, laptops, etc.)
  - Look at each aspect of the URL (domain, path, query) to assess relevance to BOTH the action and subject
@@ -584,76 +3196,114 @@ Respond with a JSON object containing:
  - If unsure about relevance, lean towards allowing (productivity over restriction)
  - Consider that users often need to navigate through general platform pages to reach specific content
  - Use recent URL context to detect if user is following a logical research/shopping/learning workflow`
-                        },
-                        {
-                            role: 'user',
-                            content: `Analyze this URL: ${url}`
-                        }
-                    ],
-                    temperature: 0.3,
-                    max_tokens: 200
-                })
-            });
-
-            if (!response.ok) {
-                throw new Error(`OpenAI API error: ${response.status}`);
+                },
+                {
+                    role: 'user',
+                    content: `Analyze this URL: ${url}`
+                }
+            ], multiTask ? 'multiTaskVerdict' : 'verdict', { temperature: 0.3, maxTokens: 250, purpose: 'analyze' }));
+            console.log('✅ AI verdict:', result);
+
+            const reason = result.reason;
+            const confidence = result.confidence;
+            const matchedTask = multiTask ? this.resolveMatchedTask(result.matchedTask) : null;
+            let shouldBlock = result.shouldBlock && !matchedTask;
+
+            // Normalize contradictions: if reason clearly says unrelated/not relevant, prefer blocking
+            const lower = reason.toLowerCase();
+            const unrelatedSignals = [
+                'not related', 'not relevant', 'unrelated', 'irrelevant',
+                'distracting', 'off-topic', 'different topic', 'different domain'
+            ];
+            const hasUnrelatedSignal = unrelatedSignals.some(s => lower.includes(s));
+            if (!shouldBlock && !matchedTask && hasUnrelatedSignal && confidence >= 0.6) {
+                console.log('🔄 Overriding decision based on reason analysis - blocking due to unrelated signals');
+                shouldBlock = true;
             }
 
-            const data = await response.json();
-            const content = data.choices[0].message.content;
-            console.log('🤖 OpenAI raw response:', content);
+            const finalResult = {
+                shouldBlock,
+                reason: reason || 'No reason provided',
+                activityUnderstanding: result.activityUnderstanding || 'No activity understanding provided',
+                confidence,
+                source: 'ai',
+                matchedTask
+            };
 
-            try {
-                const result = JSON.parse(content);
-                console.log('✅ Successfully parsed AI response:', result);
-                
-                const reason = (result.reason || '').toString();
-                let confidence = typeof result.confidence === 'number' ? result.confidence : 0.5;
-                let shouldBlock = !!result.shouldBlock;
-
-                // Normalize contradictions: if reason clearly says unrelated/not relevant, prefer blocking
-                const lower = reason.toLowerCase();
-                const unrelatedSignals = [
-                    'not related', 'not relevant', 'unrelated', 'irrelevant',
-                    'distracting', 'off-topic', 'different topic', 'different domain'
-                ];
-                const hasUnrelatedSignal = unrelatedSignals.some(s => lower.includes(s));
-                if (!shouldBlock && hasUnrelatedSignal && confidence >= 0.6) {
-                    console.log('🔄 Overriding decision based on reason analysis - blocking due to unrelated signals');
-                    shouldBlock = true;
-                }
-
-                const finalResult = {
-                    shouldBlock,
-                    reason: reason || 'No reason provided',
-                    activityUnderstanding: result.activityUnderstanding || 'No activity understanding provided',
-                    confidence
-                };
-                
-                console.log('🎯 Final analysis decision:', finalResult);
-                return finalResult;
-                
-            } catch (parseError) {
-                console.log('❌ JSON parse error, using fallback:', parseError);
-                // Fallback if JSON parsing fails
-                const fallbackResult = {
-                    shouldBlock: content.toLowerCase().includes('block') && content.toLowerCase().includes('true'),
-                    reason: 'AI analysis completed (fallback)',
-                    activityUnderstanding: 'Unable to parse activity understanding',
-                    confidence: 0.5
-                };
-                console.log('🔄 Using fallback result:', fallbackResult);
-                return fallbackResult;
+            console.log('🎯 Final analysis decision:', finalResult);
+            return finalResult;
+
+        } catch (error) {
+            console.error('AI analysis failed:', error);
+            return this.buildFailedVerdict(error);
+        }
+    }
+
+    // A verdict for when the AI gave no usable answer: never guessed, recorded as a failure, not cached
+    buildFailedVerdict(error) {
+        return {
+            shouldBlock: false,
+            reason: `Analysis failed: ${error.message}`,
+            activityUnderstanding: 'AI analysis failed',
+            confidence: 0,
+            source: 'ai',
+            analysisFailed: true
+        };
+    }
+
+    // Apply the configured enforcement mode to a block verdict
+    // recheck: an open tab judged again; enforced the same way, but not counted as another block
+    async enforceBlock(url, analysis, tabId, recheck = false) {
+        if (this.focusSession?.phase === 'focus' && !recheck) {
+            this.focusSession.blocks++;
+            await this.saveFocusSession();
+        }
+
+        let mode = ENFORCEMENT_MODES.includes(this.settings.enforcementMode) ? this.settings.enforcementMode : 'suggest';
+        if (mode === 'soft' && !this.isBypassAllowed()) {
+            mode = 'hard'; // "Continue anyway" is a bypass
+        }
+
+        if (mode === 'suggest' || typeof tabId !== 'number') {
+            if (recheck) return; // The page was suggested (or let through) when it opened; no toast on every re-check
+            if (mode !== 'suggest') {
+                console.log('⚠️ No tab to redirect, falling back to suggestion');
             }
+            await this.notifyBlockSuggestion(url, analysis, tabId);
+            return;
+        }
+
+        await this.redirectToBlockedPage(url, analysis, tabId, mode, recheck);
+    }
+
+    async recordBlockedSite(url, reason, mode) {
+        this.logEvent('block', { url, host: this.hostOf(url), reason, mode });
+        this.stats.blockedCount++;
+        await this.saveStats();
+    }
+
+    buildBlockedPageUrl(url, reason, mode) {
+        const params = new URLSearchParams({ url, reason, mode });
+        if (mode === 'soft') {
+            params.set('countdown', String(this.settings.softBlockCountdownSeconds));
+        }
+        return `${chrome.runtime.getURL('blocked.html')}?${params.toString()}`;
+    }
 
+    async redirectToBlockedPage(url, analysis, tabId, mode, recheck = false) {
+        const reason = analysis.reason || 'Not related to your current tasks';
+
+        console.log('⛔ Redirecting tab to blocked page:', { url, tabId, mode, reason });
+
+        if (!recheck) {
+            await this.recordBlockedSite(url, reason, mode);
+        }
+
+        try {
+            await chrome.tabs.update(tabId, { url: this.buildBlockedPageUrl(url, reason, mode) });
         } catch (error) {
-            console.error('OpenAI API error:', error);
-            return {
-                shouldBlock: false,
-                reason: `Error: ${error.message}`,
-                activityUnderstanding: 'Error occurred during analysis',
-                confidence: 0
-            };
+            // Tab may have been closed in the meantime
+            console.log('❌ Failed to redirect tab:', error.message);
         }
     }
 
@@ -678,12 +3328,8 @@ Respond with a JSON object containing:
             });
 
             // Track as suggested block (not a strict block)
-            this.settings.blockedSites.push({ url, timestamp: Date.now(), reason: `Suggest: ${reason}` });
-            if (this.settings.blockedSites.length > 100) {
-                this.settings.blockedSites = this.settings.blockedSites.slice(-100);
-            }
-            await this.saveSettings();
-            console.log('💾 Blocked sites updated, total count:', this.settings.blockedSites.length);
+            await this.recordBlockedSite(url, `Suggest: ${reason}`, 'suggest');
+            console.log('💾 Block recorded, total count:', this.stats.blockedCount);
 
             // Debounce notifications to avoid spamming
             const now = Date.now();
@@ -722,22 +3368,15 @@ Respond with a JSON object containing:
 
             // Nudge user via badge to click the extension action
             try {
-                const previousBadge = await chrome.action.getBadgeText({});
-                const previousColor = await chrome.action.getBadgeBackgroundColor({});
-                
-                console.log('🔔 Setting notification badge:', {
-                    previousBadge,
-                    previousColor
-                });
+                console.log('🔔 Setting notification badge');
                 
                 await chrome.action.setBadgeText({ text: '!' });
                 await chrome.action.setBadgeBackgroundColor({ color: '#ef4444' });
                 
                 setTimeout(() => {
-                    // Restore previous badge state
-                    chrome.action.setBadgeText({ text: previousBadge || (this.settings.extensionEnabled ? 'ON' : 'OFF') });
-                    chrome.action.setBadgeBackgroundColor({ color: previousColor || (this.settings.extensionEnabled ? '#6b46c1' : '#9ca3af') });
-                    console.log('🔄 Badge restored to previous state');
+                    // Restore the regular badge (ON/OFF or session countdown)
+                    this.updateBadge();
+                    console.log('🔄 Badge restored');
                 }, 8000);
             } catch (badgeErr) {
                 console.log('❌ Failed to set badge:', badgeErr.message);
@@ -748,58 +3387,318 @@ Respond with a JSON object containing:
     }
 
 
-    // Clean up cache periodically
-    cleanupCache() {
+    hostOf(url) {
+        try {
+            return new URL(url).hostname.toLowerCase().replace(/^www\./, '');
+        } catch {
+            return null;
+        }
+    }
+
+    // Turn repeated feedback for the same task + host into allow/block rules.
+    // "Incorrect" blocks become allow rules, confirmed blocks become block rules.
+    updateLearnedRules() {
+        const tallies = new Map();
+        for (const entry of this.feedback) {
+            if (!entry.task || !entry.host) continue;
+            const key = `${entry.task}||${entry.host}`;
+            const tally = tallies.get(key) || { task: entry.task, host: entry.host, correct: 0, incorrect: 0, updatedAt: 0 };
+            if (entry.correct) tally.correct++;
+            else tally.incorrect++;
+            tally.updatedAt = Math.max(tally.updatedAt, entry.timestamp || 0);
+            tallies.set(key, tally);
+        }
+
+        const rules = [];
+        for (const tally of tallies.values()) {
+            if (tally.incorrect >= LEARNED_RULE_MIN_FEEDBACK && tally.incorrect > tally.correct) {
+                rules.push({ task: tally.task, host: tally.host, action: 'allow', count: tally.incorrect, updatedAt: tally.updatedAt });
+            } else if (tally.correct >= LEARNED_RULE_MIN_FEEDBACK && tally.correct > tally.incorrect) {
+                rules.push({ task: tally.task, host: tally.host, action: 'block', count: tally.correct, updatedAt: tally.updatedAt });
+            }
+        }
+
+        this.settings.learnedRules = rules;
+        console.log('🎓 Learned rules updated, count:', rules.length);
+    }
+
+    findLearnedRule(url, taskText) {
+        const host = this.hostOf(url);
+        if (!host) return null;
+        return this.settings.learnedRules.find(rule =>
+            rule.task === taskText && (host === rule.host || host.endsWith(`.${rule.host}`))
+        ) || null;
+    }
+
+    // Few-shot examples from the user's corrections: same host first, then most recent for this task
+    buildFeedbackExamples(url, taskText) {
+        const host = this.hostOf(url);
+        const relevant = this.feedback
+            .filter(entry => entry.task === taskText || entry.host === host)
+            .sort((a, b) => (b.host === host) - (a.host === host) || b.timestamp - a.timestamp)
+            .filter((entry, index, list) => list.findIndex(other => other.url === entry.url) === index)
+            .slice(0, FEEDBACK_EXAMPLES_LIMIT);
+
+        if (relevant.length === 0) return '';
+
+        const lines = relevant.map(entry => entry.correct
+            ? `- ${entry.url} (task: "${entry.task || 'unknown'}") was blocked and the user confirmed it was a distraction`
+            : `- ${entry.url} (task: "${entry.task || 'unknown'}") was blocked but the user said it was needed - it should have been allowed`);
+
+        return `
+ Past corrections from this user (follow them for similar URLs):
+${lines.join('\n')}
+`;
+    }
+
+    // Cache key: origin + path with tracking params stripped and remaining params sorted.
+    // Numeric and hash-like path segments collapse so /item/123 and /item/456 share a verdict.
+    normalizeCacheUrl(url) {
+        try {
+            const parsed = new URL(url);
+            const host = parsed.hostname.toLowerCase().replace(/^www\./, '');
+            const path = parsed.pathname
+                .split('/')
+                .map(segment => (/^\d+$/.test(segment) || /^[0-9a-f-]{16,}$/i.test(segment) ? '*' : segment))
+                .join('/')
+                .replace(/\/+$/, '');
+            const params = [...parsed.searchParams.entries()]
+                .filter(([name]) => !name.toLowerCase().startsWith('utm_') && !TRACKING_PARAMS.includes(name.toLowerCase()))
+                .sort(([a], [b]) => a.localeCompare(b));
+            const query = params.length > 0 ? `?${new URLSearchParams(params).toString()}` : '';
+            return `${parsed.protocol}//${host}${parsed.port ? `:${parsed.port}` : ''}${path}${query}`;
+        } catch {
+            return url;
+        }
+    }
+
+    // The task context a verdict depends on: the current task, or the whole task list in multi-task mode
+    // (where switching between tasks keeps the cached verdicts)
+    analysisCacheTask() {
+        if (this.isMultiTaskAnalysis()) {
+            return `all:${this.openTasks().map(task => task.title).join('|')}`;
+        }
+        return this.settings.currentTask?.text || '';
+    }
+
+    cacheKeyFor(url, taskText) {
+        return `${taskText || ''}::${this.normalizeCacheUrl(url)}`;
+    }
+
+    async loadAnalysisCache() {
+        if (!this.analysisCache) {
+            const result = await chrome.storage.local.get([ANALYSIS_CACHE_STORAGE_KEY]);
+            const stored = result[ANALYSIS_CACHE_STORAGE_KEY] || {};
+            this.analysisCache = {
+                entries: stored.entries || {},
+                stats: stored.stats || { hits: 0, misses: 0 }
+            };
+        }
+        return this.analysisCache;
+    }
+
+    async persistAnalysisCache() {
+        clearTimeout(this.cachePersistTimer);
+        this.cachePersistTimer = null;
+        await chrome.storage.local.set({ [ANALYSIS_CACHE_STORAGE_KEY]: this.analysisCache });
+    }
+
+    // Batch cache writes - hits update lastAccess on every navigation
+    schedulePersistAnalysisCache() {
+        if (this.cachePersistTimer) return;
+        this.cachePersistTimer = setTimeout(() => {
+            this.persistAnalysisCache().catch(error => console.error('Error saving analysis cache:', error));
+        }, 1000);
+    }
+
+    cacheTtlMs() {
+        return Math.max(0, this.settings.cacheTtlHours) * 60 * 60 * 1000;
+    }
+
+    async getCachedVerdict(url) {
+        const cache = await this.loadAnalysisCache();
+        const taskText = this.analysisCacheTask();
+        const key = this.cacheKeyFor(url, taskText);
+        const entry = cache.entries[key];
         const now = Date.now();
-        const maxAge = 24 * 60 * 60 * 1000; // 24 hours
-        let deletedCount = 0;
 
-        console.log('🧹 Starting cache cleanup...', {
-            cacheSize: this.urlCache.size,
-            maxAge: '24 hours'
-        });
+        console.log('💾 Cache check:', { key, hasCache: !!entry });
 
-        for (const [cacheKey, data] of this.urlCache.entries()) {
-            if (now - data.timestamp > maxAge) {
-                this.urlCache.delete(cacheKey);
+        if (entry && now - entry.timestamp > this.cacheTtlMs()) {
+            delete cache.entries[key];
+        } else if (entry) {
+            entry.lastAccess = now;
+            cache.stats.hits++;
+            this.schedulePersistAnalysisCache();
+            return entry;
+        }
+
+        cache.stats.misses++;
+        this.schedulePersistAnalysisCache();
+        return null;
+    }
+
+    async setCachedVerdict(url, analysis) {
+        const cache = await this.loadAnalysisCache();
+        const taskText = this.analysisCacheTask();
+        const now = Date.now();
+
+        cache.entries[this.cacheKeyFor(url, taskText)] = {
+            shouldBlock: analysis.shouldBlock,
+            reason: analysis.reason,
+            activityUnderstanding: analysis.activityUnderstanding,
+            confidence: analysis.confidence,
+            source: analysis.source,
+            matchedTask: analysis.matchedTask || null,
+            task: taskText,
+            timestamp: now,
+            lastAccess: now
+        };
+
+        this.pruneAnalysisCache();
+        this.schedulePersistAnalysisCache();
+    }
+
+    // Drop expired entries, then the least recently used ones above the size limit
+    pruneAnalysisCache() {
+        const cache = this.analysisCache;
+        if (!cache) return;
+
+        const now = Date.now();
+        const ttl = this.cacheTtlMs();
+        let deletedCount = 0;
+
+        for (const [key, entry] of Object.entries(cache.entries)) {
+            if (now - entry.timestamp > ttl) {
+                delete cache.entries[key];
                 deletedCount++;
             }
         }
 
-        console.log('🧹 Cache cleanup completed:', {
-            deletedEntries: deletedCount,
-            remainingEntries: this.urlCache.size
-        });
+        const keys = Object.keys(cache.entries);
+        if (keys.length > ANALYSIS_CACHE_MAX_ENTRIES) {
+            keys
+                .sort((a, b) => cache.entries[a].lastAccess - cache.entries[b].lastAccess)
+                .slice(0, keys.length - ANALYSIS_CACHE_MAX_ENTRIES)
+                .forEach(key => {
+                    delete cache.entries[key];
+                    deletedCount++;
+                });
+        }
+
+        if (deletedCount > 0) {
+            console.log('🧹 Cache pruned:', {
+                deletedEntries: deletedCount,
+                remainingEntries: Object.keys(cache.entries).length
+            });
+        }
     }
 
-    // Allowlist: user-configured substrings plus core schemes
-    isAllowlisted(url) {
-        const coreSchemes = ['chrome://', 'chrome-extension://', 'devtools://'];
+    async invalidateCacheForHost(host) {
+        if (!host) return;
+        const cache = await this.loadAnalysisCache();
+        for (const [key, entry] of Object.entries(cache.entries)) {
+            if (this.hostOf(key.slice(key.indexOf('::') + 2)) === host) {
+                delete cache.entries[key];
+            }
+        }
+        await this.persistAnalysisCache();
+    }
+
+    // Rules, the classification mode and the provider decide verdicts too; once one changes, every entry is stale
+    async clearAnalysisCache(reason) {
         try {
-            const lowerUrl = url.toLowerCase();
-            if (coreSchemes.some(s => lowerUrl.startsWith(s))) return true;
-
-            const list = Array.isArray(this.settings.allowlist) ? this.settings.allowlist : [];
-            return list.some(entry => {
-                let needle = (entry || '').toLowerCase().trim();
-                if (!needle) return false;
-                // Normalize entries like https://foo or *.bar.com
-                try {
-                    if (needle.includes('://')) needle = new URL(needle).hostname.toLowerCase();
-                } catch { }
-                needle = needle.replace(/^\*\.?/, '').replace(/^\./, '');
-                return lowerUrl.includes(needle);
-            });
+            const cache = await this.loadAnalysisCache();
+            const deletedCount = Object.keys(cache.entries).length;
+            cache.entries = {};
+            console.log('🧹 Cache cleared:', { reason, deletedEntries: deletedCount });
+            await this.persistAnalysisCache();
+        } catch (error) {
+            console.error('Error clearing analysis cache:', error);
+        }
+    }
+
+    // Verdicts depend on the task, so entries for any other task are stale once it changes
+    async invalidateCacheForTask(taskText) {
+        try {
+            const cache = await this.loadAnalysisCache();
+            let deletedCount = 0;
+            for (const [key, entry] of Object.entries(cache.entries)) {
+                if (entry.task !== taskText) {
+                    delete cache.entries[key];
+                    deletedCount++;
+                }
+            }
+            console.log('🧹 Cache invalidated for task change:', { deletedEntries: deletedCount });
+            await this.persistAnalysisCache();
         } catch (error) {
-            return false;
+            console.error('Error invalidating analysis cache:', error);
+        }
+    }
+
+    // While the user's own blocking is paused (outside working hours, on a break) the admin's blocklist still applies
+    async enforceManagedLists(url, tabId, recheck = false) {
+        if (!/^https?:/.test(url || '')) return;
+        if (this.isBypassAllowed() && this.activeBypassFor(url)) return;
+        if (TunnlUrlPattern.matchesAny(url, this.managedLists.allowlist)) return;
+        if (!TunnlUrlPattern.matchesAny(url, this.managedLists.blocklist)) return;
+
+        const verdict = {
+            shouldBlock: true,
+            reason: 'Blocked by your organization',
+            activityUnderstanding: 'Blocking paused',
+            confidence: 1.0,
+            source: 'list'
+        };
+        console.log('🏢 Managed blocklist applies while blocking is paused:', url);
+        await this.enforceBlock(url, verdict, tabId, recheck);
+    }
+
+    // Explicit allow/block lists, checked before any classification:
+    // 1. managed (admin) lists, 2. locked policy pack entries, 3. current task allowlist, 4. current task blocklist,
+    // 5. other tasks' allowlists (multi-task analysis only), 6. global allowlist, 7. global blocklist, 8. other policy pack entries
+    resolveListVerdict(url) {
+        if (this.isSystemUrl(url)) {
+            return { shouldBlock: false, reason: 'Browser page', activityUnderstanding: 'System URL', confidence: 1.0, source: 'list' };
+        }
+
+        const task = this.getCurrentTaskObject();
+        const activityUnderstanding = task ? `Working on: ${task.title}` : 'No active task';
+        // In multi-task mode a site always allowed for another task is allowed too, and credited to it
+        const otherTasks = this.isMultiTaskAnalysis() ? this.openTasks().filter(other => other !== task) : [];
+        const layers = [
+            { list: this.managedLists.allowlist, shouldBlock: false, reason: 'Allowed by your organization' },
+            { list: this.managedLists.blocklist, shouldBlock: true, reason: 'Blocked by your organization' },
+            ...this.policyListLayers(true),
+            { list: task?.allowlist, shouldBlock: false, reason: 'Always allowed for this task', matchedTask: task?.title },
+            { list: task?.blocklist, shouldBlock: true, reason: 'Always blocked for this task' },
+            ...otherTasks.map(other => ({ list: other.allowlist, shouldBlock: false, reason: `Always allowed for "${other.title}"`, matchedTask: other.title })),
+            { list: this.settings.allowlist, shouldBlock: false, reason: 'Allowlisted site' },
+            { list: this.settings.blocklist, shouldBlock: true, reason: 'Blocklisted site' },
+            ...this.policyListLayers(false)
+        ];
+
+        for (const layer of layers) {
+            if (TunnlUrlPattern.matchesAny(url, layer.list)) {
+                return {
+                    shouldBlock: layer.shouldBlock,
+                    reason: layer.reason,
+                    activityUnderstanding,
+                    confidence: 1.0,
+                    source: 'list',
+                    matchedTask: layer.matchedTask || null
+                };
+            }
         }
+        return null;
+    }
+
+    isSystemUrl(url) {
+        const coreSchemes = ['chrome://', 'chrome-extension://', 'devtools://'];
+        const lowerUrl = String(url).toLowerCase();
+        return coreSchemes.some(s => lowerUrl.startsWith(s));
     }
 }
 
 // Initialize background script
 const tunnl = new TunnlBackground();
-
-// Clean up cache every hour
-setInterval(() => {
-    tunnl.cleanupCache();
-}, 60 * 60 * 1000);
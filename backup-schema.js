@@ -0,0 +1,464 @@
+// Backup file format for tunnl.ai Chrome Extension
+// Export/import on the options page goes through this file: every backup carries a format name and an
+// integer version, older versions are upgraded step by step by TUNNL_BACKUP_MIGRATIONS, and the result is
+// validated field by field (llm-schemas.js validator plus URL pattern checks) before anything is applied.
+//
+// Version 2:
+// {
+//   format: 'tunnl-backup',
+//   version: 2,
+//   exportedAt: ISO date string | null,
+//   scope: 'full' | 'shared',   // 'shared' files hold only TUNNL_BACKUP_SHARED_KEYS, for teammates
+//   settings: { ...any of TUNNL_BACKUP_SETTINGS_SCHEMA.properties },
+//   stats?: { blockedCount, analyzedCount },   // full backups only
+//   apiKey?: string                           // only when the user opted in on export
+// }
+// Version 1 (tunnl.ai 1.0.0): { settings, exportDate, version: '1.0.0' } with the API key, stats and
+// history mixed into settings.
+
+const TUNNL_BACKUP_FORMAT = 'tunnl-backup';
+const TUNNL_BACKUP_VERSION = 2;
+const TUNNL_BACKUP_SCOPES = ['full', 'shared'];
+
+// Settings a teammate can reuse; provider, preferences and stats stay out of shared files
+const TUNNL_BACKUP_SHARED_KEYS = ['tasks', 'allowlist', 'blocklist', 'customRules'];
+
+const TUNNL_BACKUP_TIME_PATTERN = '^([01]\\d|2[0-3]):[0-5]\\d$';
+const TUNNL_BACKUP_DATE_PATTERN = '^\\d{4}-\\d{2}-\\d{2}$';
+
+const TUNNL_BACKUP_SETTINGS_SCHEMA = {
+    type: 'object',
+    properties: {
+        llmProvider: {
+            type: 'object',
+            properties: {
+                type: { type: 'string', enum: Object.keys(TUNNL_LLM_PROVIDERS) },
+                baseUrl: { type: 'string' },
+                model: { type: 'string' },
+                apiVersion: { type: 'string' }
+            },
+            required: ['type']
+        },
+        tasks: {
+            type: 'array',
+            items: {
+                type: 'object',
+                properties: {
+                    id: { type: 'string', minLength: 1 },
+                    title: { type: 'string', minLength: 1 },
+                    notes: { type: 'string' },
+                    priority: { type: 'string', enum: ['low', 'normal', 'high'] },
+                    dueDate: { type: ['string', 'null'], pattern: TUNNL_BACKUP_DATE_PATTERN },
+                    estimateMinutes: { type: ['number', 'null'], minimum: 1 },
+                    status: { type: 'string', enum: ['open', 'done'] },
+                    tags: { type: 'array', items: { type: 'string' } },
+                    createdAt: { type: 'number' },
+                    completedAt: { type: ['number', 'null'] },
+                    allowlist: { type: 'array', items: { type: 'string' } },
+                    blocklist: { type: 'array', items: { type: 'string' } }
+                },
+                required: ['title']
+            }
+        },
+        currentTask: {
+            type: ['object', 'null'],
+            properties: {
+                text: { type: 'string', minLength: 1 },
+                taskId: { type: 'string' },
+                index: { type: 'number', minimum: 0 },
+                setAt: { type: 'number' }
+            },
+            required: ['text']
+        },
+        extensionEnabled: { type: 'boolean' },
+        allowlist: { type: 'array', items: { type: 'string' } },
+        blocklist: { type: 'array', items: { type: 'string' } },
+        taskValidationEnabled: { type: 'boolean' },
+        enforcementMode: { type: 'string', enum: ['suggest', 'soft', 'hard'] },
+        softBlockCountdownSeconds: { type: 'number', minimum: 3, maximum: 300 },
+        classificationMode: { type: 'string', enum: ['hybrid', 'ai', 'offline'] },
+        customRules: {
+            type: 'array',
+            items: {
+                type: 'object',
+                properties: {
+                    action: { type: 'string', enum: ['allow', 'block'] },
+                    pattern: { type: 'string', minLength: 1 }
+                },
+                required: ['action', 'pattern']
+            }
+        },
+        cacheTtlHours: { type: 'number', minimum: 0, maximum: 720 },
+        aiFailurePolicy: { type: 'string', enum: ['open', 'closed'] },
+        aiRequestsPerMinute: { type: 'number', minimum: 1, maximum: 600 },
+        monthlyBudgetUsd: { type: 'number', minimum: 0 },
+        modelPrices: {
+            type: 'object',
+            additionalProperties: {
+                type: 'object',
+                properties: {
+                    input: { type: 'number', minimum: 0 },
+                    output: { type: 'number', minimum: 0 }
+                },
+                required: ['input', 'output']
+            }
+        },
+        schedule: {
+            type: 'object',
+            properties: {
+                enabled: { type: 'boolean' },
+                days: {
+                    type: 'object',
+                    additionalProperties: {
+                        type: 'array',
+                        items: {
+                            type: 'object',
+                            properties: {
+                                start: { type: 'string', pattern: TUNNL_BACKUP_TIME_PATTERN },
+                                end: { type: 'string', pattern: TUNNL_BACKUP_TIME_PATTERN },
+                                task: { type: 'string' }
+                            },
+                            required: ['start', 'end']
+                        }
+                    }
+                },
+                exceptions: { type: 'array', items: { type: 'string', pattern: TUNNL_BACKUP_DATE_PATTERN } }
+            },
+            required: ['enabled', 'days', 'exceptions']
+        },
+        learnedRules: {
+            type: 'array',
+            items: {
+                type: 'object',
+                properties: {
+                    task: { type: 'string' },
+                    host: { type: 'string', minLength: 1 },
+                    action: { type: 'string', enum: ['allow', 'block'] },
+                    count: { type: 'number', minimum: 0 },
+                    updatedAt: { type: 'number' }
+                },
+                required: ['task', 'host', 'action']
+            }
+        },
+        contentAnalysisEnabled: { type: 'boolean' },
+        eventRetentionDays: { type: 'number', enum: [0, 30, 90, 180, 365] },
+        multiTaskAnalysis: { type: 'boolean' },
+        carryOverUnfinishedTasks: { type: 'boolean' },
+        bypassFriction: {
+            type: 'object',
+            properties: {
+                requireReason: { type: 'boolean' },
+                challenge: { type: 'string', enum: ['none', 'countdown', 'typing'] },
+                challengeSeconds: { type: 'number', minimum: 0, maximum: 300 },
+                durations: { type: 'array', items: { type: 'number', minimum: 1, maximum: 240 } },
+                dailyLimitPerSite: { type: 'number', minimum: 0, maximum: 100 },
+                dailyLimitTotal: { type: 'number', minimum: 0, maximum: 100 },
+                cooldownMinutes: { type: 'number', minimum: 0, maximum: 1440 }
+            }
+        }
+    }
+};
+
+const TUNNL_BACKUP_SCHEMA = {
+    type: 'object',
+    properties: {
+        format: { type: 'string', enum: [TUNNL_BACKUP_FORMAT] },
+        version: { type: 'number', enum: [TUNNL_BACKUP_VERSION] },
+        exportedAt: { type: ['string', 'null'] },
+        scope: { type: 'string', enum: TUNNL_BACKUP_SCOPES },
+        settings: TUNNL_BACKUP_SETTINGS_SCHEMA,
+        stats: {
+            type: 'object',
+            properties: {
+                blockedCount: { type: 'number', minimum: 0 },
+                analyzedCount: { type: 'number', minimum: 0 }
+            },
+            required: ['blockedCount', 'analyzedCount']
+        },
+        apiKey: { type: 'string', minLength: 1 }
+    },
+    required: ['format', 'version', 'scope', 'settings']
+};
+
+// Names shown in the import preview
+const TUNNL_BACKUP_LABELS = {
+    llmProvider: 'AI provider',
+    tasks: 'Tasks',
+    currentTask: 'Current task',
+    extensionEnabled: 'Extension enabled',
+    allowlist: 'Allowlist',
+    blocklist: 'Blocklist',
+    taskValidationEnabled: 'Task validation',
+    enforcementMode: 'Enforcement mode',
+    softBlockCountdownSeconds: 'Soft block countdown',
+    classificationMode: 'Classification mode',
+    customRules: 'Custom rules',
+    cacheTtlHours: 'Cache duration',
+    aiFailurePolicy: 'When the AI is unavailable',
+    aiRequestsPerMinute: 'AI requests per minute',
+    monthlyBudgetUsd: 'Monthly budget',
+    modelPrices: 'Model prices',
+    schedule: 'Schedule',
+    learnedRules: 'Learned rules',
+    contentAnalysisEnabled: 'Page content analysis',
+    eventRetentionDays: 'Keep history for',
+    multiTaskAnalysis: 'Judge against all tasks',
+    carryOverUnfinishedTasks: 'Carry over unfinished tasks',
+    bypassFriction: 'Bypass friction'
+};
+
+// TUNNL_BACKUP_MIGRATIONS[n] turns a version n document into version n + 1.
+// Each step returns { backup, notes } where notes explain anything dropped or converted.
+const TUNNL_BACKUP_MIGRATIONS = {
+    1: (data) => {
+        const notes = [];
+        const { openaiApiKey, stats, blockedSites, feedback, ...settings } = data.settings;
+
+        if (Array.isArray(blockedSites) || Array.isArray(feedback)) {
+            notes.push('Blocked-site history and feedback in this file are not imported; history stays on the device it was recorded on');
+        }
+
+        // 1.0.0 could store tasks as plain strings and list entries as loose substrings (".example.com")
+        if (Array.isArray(settings.tasks)) {
+            settings.tasks = settings.tasks.map(task => (typeof task === 'string' ? { title: task } : task));
+        }
+        ['allowlist', 'blocklist'].forEach(key => {
+            if (!Array.isArray(settings[key])) return;
+            settings[key] = settings[key].map(entry => {
+                const value = String(entry || '').trim();
+                return value.startsWith('.') ? `*${value}` : value;
+            });
+        });
+
+        const backup = {
+            format: TUNNL_BACKUP_FORMAT,
+            version: 2,
+            exportedAt: typeof data.exportDate === 'string' ? data.exportDate : null,
+            scope: 'full',
+            settings
+        };
+        if (stats && Number.isFinite(stats.blockedCount) && Number.isFinite(stats.analyzedCount)) {
+            backup.stats = { blockedCount: stats.blockedCount, analyzedCount: stats.analyzedCount };
+        }
+        if (typeof openaiApiKey === 'string' && openaiApiKey) {
+            backup.apiKey = openaiApiKey;
+        }
+        return { backup, notes };
+    }
+};
+
+function createTunnlBackup(settings, { scope = 'full', stats = null, apiKey = '' } = {}) {
+    if (!TUNNL_BACKUP_SCOPES.includes(scope)) {
+        throw new Error(`Unknown backup scope: ${scope}`);
+    }
+    const keys = scope === 'shared' ? TUNNL_BACKUP_SHARED_KEYS : Object.keys(TUNNL_BACKUP_SETTINGS_SCHEMA.properties);
+    const backup = {
+        format: TUNNL_BACKUP_FORMAT,
+        version: TUNNL_BACKUP_VERSION,
+        exportedAt: new Date().toISOString(),
+        scope,
+        settings: {}
+    };
+    keys.forEach(key => {
+        if (settings[key] !== undefined) backup.settings[key] = JSON.parse(JSON.stringify(settings[key]));
+    });
+    if (scope === 'full' && stats) {
+        backup.stats = { blockedCount: stats.blockedCount || 0, analyzedCount: stats.analyzedCount || 0 };
+    }
+    if (scope === 'full' && apiKey) {
+        backup.apiKey = apiKey;
+    }
+    return backup;
+}
+
+function tunnlBackupVersionOf(data) {
+    if (data?.format === TUNNL_BACKUP_FORMAT) {
+        if (!Number.isInteger(data.version) || data.version < 1) {
+            throw new Error('Backup file has an invalid version');
+        }
+        return data.version;
+    }
+    // 1.0.0 files had no format marker
+    if (data && typeof data.settings === 'object' && data.settings !== null && (data.version === undefined || data.version === '1.0.0')) {
+        return 1;
+    }
+    throw new Error('This is not a tunnl.ai backup file');
+}
+
+// Parse, upgrade and validate a backup file. Returns { backup, notes, fromVersion };
+// throws with every problem found so nothing is applied from a broken file.
+function parseTunnlBackup(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (error) {
+        throw new Error(`File is not valid JSON: ${error.message}`);
+    }
+
+    const fromVersion = tunnlBackupVersionOf(data);
+    if (fromVersion > TUNNL_BACKUP_VERSION) {
+        throw new Error(`Backup version ${fromVersion} was made by a newer tunnl.ai; update the extension first`);
+    }
+
+    const notes = [];
+    let backup = data;
+    for (let version = fromVersion; version < TUNNL_BACKUP_VERSION; version++) {
+        const step = TUNNL_BACKUP_MIGRATIONS[version](backup);
+        backup = step.backup;
+        notes.push(...step.notes);
+    }
+
+    // Settings this version does not know are dropped rather than failing the whole import
+    if (backup.settings && typeof backup.settings === 'object') {
+        const unknown = Object.keys(backup.settings).filter(key => !(key in TUNNL_BACKUP_SETTINGS_SCHEMA.properties));
+        if (unknown.length > 0) {
+            notes.push(`Ignored unknown settings: ${unknown.join(', ')}`);
+            backup = { ...backup, settings: { ...backup.settings } };
+            unknown.forEach(key => delete backup.settings[key]);
+        }
+    }
+
+    const errors = [...validateLlmSchema(TUNNL_BACKUP_SCHEMA, backup, 'backup'), ...tunnlBackupPatternErrors(backup)];
+    if (errors.length > 0) {
+        const shown = errors.slice(0, 10).join('; ');
+        throw new Error(`Backup file is invalid: ${shown}${errors.length > 10 ? ` (and ${errors.length - 10} more)` : ''}`);
+    }
+    return { backup, notes, fromVersion };
+}
+
+// Every list entry and rule pattern has to parse with the shared URL pattern syntax
+function tunnlBackupPatternErrors(backup) {
+    const settings = backup?.settings;
+    if (!settings || typeof settings !== 'object') return [];
+    const errors = [];
+    const check = (pattern, path, compile) => {
+        try {
+            compile ? TunnlUrlPattern.compile(pattern) : TunnlUrlPattern.normalize(pattern);
+        } catch (error) {
+            errors.push(`${path}: ${error.message}`);
+        }
+    };
+
+    ['allowlist', 'blocklist'].forEach(key => {
+        if (Array.isArray(settings[key])) {
+            settings[key].forEach((entry, i) => typeof entry === 'string' && check(entry, `backup.settings.${key}[${i}]`));
+        }
+    });
+    if (Array.isArray(settings.tasks)) {
+        settings.tasks.forEach((task, i) => ['allowlist', 'blocklist'].forEach(key => {
+            if (Array.isArray(task?.[key])) {
+                task[key].forEach((entry, j) => typeof entry === 'string' && check(entry, `backup.settings.tasks[${i}].${key}[${j}]`));
+            }
+        }));
+    }
+    if (Array.isArray(settings.customRules)) {
+        settings.customRules.forEach((rule, i) => typeof rule?.pattern === 'string' && check(rule.pattern, `backup.settings.customRules[${i}]`, true));
+    }
+    return errors;
+}
+
+// --- Applying ---
+
+function tunnlUnion(current, incoming, keyOf = item => item) {
+    const result = [...(current || [])];
+    const seen = new Set(result.map(keyOf));
+    (incoming || []).forEach(item => {
+        if (!seen.has(keyOf(item))) {
+            seen.add(keyOf(item));
+            result.push(item);
+        }
+    });
+    return result;
+}
+
+// How merge combines a setting with the local value; settings without a merger take the file's value
+const TUNNL_BACKUP_MERGERS = {
+    // Same title (case-insensitive) = same task: keep the local id and details, combine its site lists and tags
+    tasks: (current, incoming) => {
+        const merged = (current || []).map(task => ({ ...task }));
+        (incoming || []).forEach(task => {
+            const local = merged.find(existing => existing.title.toLowerCase() === task.title.toLowerCase());
+            if (local) {
+                local.allowlist = tunnlUnion(local.allowlist, task.allowlist);
+                local.blocklist = tunnlUnion(local.blocklist, task.blocklist);
+                local.tags = tunnlUnion(local.tags, task.tags);
+            } else {
+                merged.push({ ...task });
+            }
+        });
+        return merged;
+    },
+    allowlist: (current, incoming) => tunnlUnion(current, incoming),
+    blocklist: (current, incoming) => tunnlUnion(current, incoming),
+    customRules: (current, incoming) => tunnlUnion(current, incoming, rule => `${rule.action} ${rule.pattern}`),
+    // One learned rule per task + host; the most recently updated wins
+    learnedRules: (current, incoming) => {
+        const byKey = new Map();
+        [...(current || []), ...(incoming || [])].forEach(rule => {
+            const key = `${rule.task}\n${rule.host}`;
+            const existing = byKey.get(key);
+            if (!existing || (rule.updatedAt || 0) > (existing.updatedAt || 0)) byKey.set(key, rule);
+        });
+        return [...byKey.values()];
+    },
+    modelPrices: (current, incoming) => ({ ...(current || {}), ...incoming }),
+    // What you are working on right now is never changed by a merge
+    currentTask: (current) => current
+};
+
+// The settings that result from applying a backup:
+// - replace: every setting in the file overwrites the local one; settings it lacks are left alone
+// - merge: tasks, lists and rules are combined with the local ones, other settings from the file win
+function applyTunnlBackup(current, backup, mode) {
+    const result = { ...current };
+    Object.entries(backup.settings).forEach(([key, value]) => {
+        const merger = mode === 'merge' && TUNNL_BACKUP_MERGERS[key];
+        result[key] = merger ? merger(current[key], value) : value;
+    });
+    return result;
+}
+
+// Human-readable changes between the local settings and the result of an import: [{ key, label, summary }]
+function diffTunnlBackup(current, backup, mode) {
+    const next = applyTunnlBackup(current, backup, mode);
+    const changes = [];
+    Object.keys(backup.settings).forEach(key => {
+        const before = current[key];
+        const after = next[key];
+        if (JSON.stringify(before) === JSON.stringify(after)) return;
+        changes.push({ key, label: TUNNL_BACKUP_LABELS[key] || key, summary: tunnlDescribeChange(key, before, after) });
+    });
+    return changes;
+}
+
+function tunnlDescribeChange(key, before, after) {
+    if (Array.isArray(after)) {
+        const identity = {
+            tasks: task => task.title.toLowerCase(),
+            customRules: rule => `${rule.action} ${rule.pattern}`,
+            learnedRules: rule => `${rule.task}\n${rule.host}`
+        }[key] || (item => JSON.stringify(item));
+        const beforeKeys = new Set((before || []).map(identity));
+        const afterKeys = new Set(after.map(identity));
+        const added = [...afterKeys].filter(item => !beforeKeys.has(item)).length;
+        const removed = [...beforeKeys].filter(item => !afterKeys.has(item)).length;
+        const parts = [];
+        if (added) parts.push(`${added} added`);
+        if (removed) parts.push(`${removed} removed`);
+        if (parts.length === 0) parts.push('entries updated');
+        return `${parts.join(', ')} (${(before || []).length} → ${after.length})`;
+    }
+    if (key === 'currentTask') {
+        return `${before?.text || 'none'} → ${after?.text || 'none'}`;
+    }
+    if (after && typeof after === 'object') {
+        return 'changed';
+    }
+    return `${tunnlFormatValue(before)} → ${tunnlFormatValue(after)}`;
+}
+
+function tunnlFormatValue(value) {
+    if (value === undefined || value === null) return 'not set';
+    if (typeof value === 'boolean') return value ? 'on' : 'off';
+    return String(value);
+}
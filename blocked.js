@@ -1,11 +1,21 @@
 // Blocked page script for tunnl.ai Chrome Extension
 
+// Sentence typed back for the 'typing' bypass challenge
+const BYPASS_TYPING_PHRASE = 'I am choosing to step away from my task';
+
 class TunnlBlockedPage {
     constructor() {
+        this.bypassKind = null; // 'temporary' | 'one-time' while the bypass panel is open
+        this.challengeTimer = null;
         this.init();
     }
 
     async init() {
+        const urlParams = new URLSearchParams(window.location.search);
+        this.blockedUrl = urlParams.get('url');
+        this.bypassStatus = await this.loadBypassStatus();
+        // Budgets and cooldowns are checked again when the bypass is requested
+        this.allowBypass = !!this.bypassStatus?.allowed;
         this.parseUrlParams();
         this.setupEventListeners();
         await this.loadStats();
@@ -15,14 +25,90 @@ class TunnlBlockedPage {
         const urlParams = new URLSearchParams(window.location.search);
         const blockedUrl = urlParams.get('url');
         const reason = urlParams.get('reason');
+        const mode = urlParams.get('mode') || 'hard';
 
         document.getElementById('blocked-url').textContent = blockedUrl || 'Unknown URL';
         document.getElementById('blocked-reason').textContent = reason || 'Not related to your current tasks';
+
+        if (mode === 'soft' && blockedUrl && this.allowBypass) {
+            const countdown = parseInt(urlParams.get('countdown'), 10);
+            this.startSoftBlockCountdown(Number.isFinite(countdown) ? countdown : 15);
+        }
+
+        if (!this.allowBypass) {
+            document.getElementById('unblock-temp-btn').classList.add('hidden');
+            document.getElementById('feedback-incorrect-btn').textContent = 'No';
+        }
+        const note = document.getElementById('bypass-disabled-note');
+        if (this.bypassStatus && !this.allowBypass) {
+            note.textContent = `${this.bypassStatus.denial} Your feedback is still recorded.`;
+        }
+        note.classList.toggle('hidden', this.allowBypass);
+        this.renderBypassBudget();
+    }
+
+    // Whether a bypass is possible now (admin policy, daily budgets, cooldown) and the friction to apply
+    async loadBypassStatus() {
+        if (!this.blockedUrl) return null;
+        try {
+            const response = await chrome.runtime.sendMessage({ type: 'GET_BYPASS_STATUS', url: this.blockedUrl });
+            if (!response?.success) throw new Error(response?.error || 'No response');
+            return response.status;
+        } catch (error) {
+            console.error('Error loading bypass status:', error);
+            return null;
+        }
+    }
+
+    renderBypassBudget() {
+        const budget = document.getElementById('bypass-budget');
+        const status = this.bypassStatus;
+        const parts = [];
+        if (status?.friction.dailyLimitPerSite > 0) {
+            parts.push(`${status.siteCount} of ${status.friction.dailyLimitPerSite} for ${status.host}`);
+        }
+        if (status?.friction.dailyLimitTotal > 0) {
+            parts.push(`${status.totalCount} of ${status.friction.dailyLimitTotal} in total`);
+        }
+        budget.textContent = parts.length > 0 ? `Bypasses used today: ${parts.join(' · ')}` : '';
+        budget.classList.toggle('hidden', parts.length === 0);
+    }
+
+    // Soft block: the user may continue to the page once the countdown runs out
+    startSoftBlockCountdown(seconds) {
+        const container = document.getElementById('soft-block');
+        const text = document.getElementById('soft-block-text');
+        const continueBtn = document.getElementById('continue-anyway-btn');
+        container.classList.remove('hidden');
+
+        let remaining = Math.max(0, seconds);
+        const tick = () => {
+            if (remaining <= 0) {
+                text.textContent = 'Still need this page? You can continue now.';
+                continueBtn.disabled = false;
+                return;
+            }
+            text.textContent = `Take a breath. You can continue in ${remaining}s.`;
+            remaining--;
+            setTimeout(tick, 1000);
+        };
+        tick();
+
+        // The countdown already made the user wait, so no second challenge
+        continueBtn.addEventListener('click', () => this.openBypassPanel('one-time', { skipChallenge: true }));
     }
 
     setupEventListeners() {
         document.getElementById('unblock-temp-btn').addEventListener('click', () => {
-            this.unblockTemporarily();
+            this.openBypassPanel('temporary');
+        });
+
+        document.getElementById('bypass-confirm-btn').addEventListener('click', () => {
+            this.requestBypass();
+        });
+
+        document.getElementById('bypass-cancel-btn').addEventListener('click', () => {
+            this.closeBypassPanel();
         });
 
         document.getElementById('go-back-btn').addEventListener('click', () => {
@@ -52,52 +138,110 @@ class TunnlBlockedPage {
         document.getElementById('feedback-correct-btn').addEventListener('click', () => {
             this.sendFeedback(true);
         });
-        document.getElementById('feedback-incorrect-btn').addEventListener('click', () => {
-            this.sendFeedback(false, { bypassOneTime: true });
+        document.getElementById('feedback-incorrect-btn').addEventListener('click', async () => {
+            await this.sendFeedback(false);
+            if (this.allowBypass) this.openBypassPanel('one-time');
         });
     }
 
-    async unblockTemporarily() {
-        const urlParams = new URLSearchParams(window.location.search);
-        const blockedUrl = urlParams.get('url');
+    // Ask for a reason (and the challenge, if configured) before unblocking
+    openBypassPanel(kind, options = {}) {
+        const friction = this.bypassStatus?.friction;
+        if (!this.allowBypass || !friction) return;
+        this.bypassKind = kind;
+
+        document.getElementById('bypass-title').textContent = kind === 'temporary'
+            ? 'Unblock temporarily'
+            : 'Continue to this page once';
+        document.getElementById('bypass-duration-field').classList.toggle('hidden', kind !== 'temporary');
+        const duration = document.getElementById('bypass-duration');
+        duration.innerHTML = '';
+        friction.durations.forEach(minutes => {
+            const option = document.createElement('option');
+            option.value = String(minutes);
+            option.textContent = `${minutes} minutes`;
+            duration.appendChild(option);
+        });
+
+        document.getElementById('bypass-reason-field').classList.toggle('hidden', !friction.requireReason);
+        document.getElementById('bypass-error').classList.add('hidden');
+        document.getElementById('bypass-panel').classList.remove('hidden');
+
+        this.startChallenge(options.skipChallenge ? 'none' : friction.challenge, friction.challengeSeconds);
+        (friction.requireReason ? document.getElementById('bypass-reason') : document.getElementById('bypass-confirm-btn')).focus();
+    }
+
+    closeBypassPanel() {
+        clearTimeout(this.challengeTimer);
+        this.bypassKind = null;
+        document.getElementById('bypass-panel').classList.add('hidden');
+    }
+
+    startChallenge(challenge, seconds) {
+        const container = document.getElementById('bypass-challenge');
+        const text = document.getElementById('bypass-challenge-text');
+        const input = document.getElementById('bypass-challenge-input');
+        const confirmBtn = document.getElementById('bypass-confirm-btn');
+        clearTimeout(this.challengeTimer);
+        input.value = '';
+        input.oninput = null;
+        container.classList.toggle('hidden', challenge !== 'typing');
+        confirmBtn.disabled = challenge !== 'none';
+        confirmBtn.textContent = 'Unblock';
 
-        if (blockedUrl) {
-            // Set temporary unblock for 10 minutes
-            const unblockUntil = Date.now() + (10 * 60 * 1000);
-            await chrome.storage.local.set({
-                temporaryUnblock: {
-                    url: blockedUrl,
-                    until: unblockUntil
+        if (challenge === 'typing') {
+            text.textContent = `Type "${BYPASS_TYPING_PHRASE}" to continue`;
+            input.oninput = () => {
+                confirmBtn.disabled = input.value.trim().toLowerCase() !== BYPASS_TYPING_PHRASE.toLowerCase();
+            };
+        } else if (challenge === 'countdown') {
+            let remaining = Math.max(0, seconds);
+            const tick = () => {
+                if (remaining <= 0) {
+                    confirmBtn.textContent = 'Unblock';
+                    confirmBtn.disabled = false;
+                    return;
                 }
-            });
+                confirmBtn.textContent = `Unblock (${remaining}s)`;
+                remaining--;
+                this.challengeTimer = setTimeout(tick, 1000);
+            };
+            tick();
+        }
+    }
+
+    async requestBypass() {
+        if (!this.bypassKind || !this.blockedUrl) return;
+        const error = document.getElementById('bypass-error');
+        error.classList.add('hidden');
 
-            // Redirect to the original URL
-            window.location.href = blockedUrl;
+        try {
+            const response = await chrome.runtime.sendMessage({
+                type: 'REQUEST_BYPASS',
+                url: this.blockedUrl,
+                kind: this.bypassKind,
+                minutes: parseInt(document.getElementById('bypass-duration').value, 10),
+                reason: document.getElementById('bypass-reason').value
+            });
+            if (!response?.success) throw new Error(response?.error || 'Bypass failed');
+            window.location.href = this.blockedUrl;
+        } catch (err) {
+            error.textContent = err.message;
+            error.classList.remove('hidden');
         }
     }
 
-    async sendFeedback(correct, options = {}) {
+    async sendFeedback(correct) {
         try {
             const urlParams = new URLSearchParams(window.location.search);
-            const blockedUrl = urlParams.get('url');
             const reason = urlParams.get('reason');
 
             await chrome.runtime.sendMessage({
                 type: 'BLOCK_FEEDBACK',
-                data: { url: blockedUrl, reason, correct: !!correct }
+                data: { url: this.blockedUrl, reason, correct: !!correct }
             });
-
-            if (options.bypassOneTime) {
-                // Store a one-time bypass and redirect immediately
-                await chrome.storage.local.set({ oneTimeBypass: { url: blockedUrl } });
-                window.location.href = blockedUrl;
-            }
         } catch (error) {
             console.error('Error sending feedback:', error);
-            if (options.bypassOneTime) {
-                await chrome.storage.local.set({ oneTimeBypass: { url: blockedUrl } });
-                window.location.href = blockedUrl;
-            }
         }
     }
 
@@ -112,7 +256,7 @@ class TunnlBlockedPage {
 
     async loadStats() {
         try {
-            const result = await chrome.storage.sync.get(['stats']);
+            const result = await chrome.storage.local.get(['stats']);
             const stats = result.stats || { blockedCount: 0, analyzedCount: 0 };
 
             document.getElementById('blocked-count').textContent = stats.blockedCount;
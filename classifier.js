@@ -0,0 +1,191 @@
+// Offline rule-based classifier for tunnl.ai Chrome Extension
+// Runs before the AI call and returns the same verdict shape as analyzeUrl,
+// or null when the URL is ambiguous and should be escalated to the LLM.
+// Depends on url-patterns.js being loaded first.
+
+// Built-in domain categories. Distracting categories are blocked unless the task
+// mentions one of the category's taskHints (e.g. a shopping task allows shopping sites).
+// A domain covers its subdomains, except in exactHosts categories (google.com is search, mail.google.com is not).
+const TUNNL_DOMAIN_CATEGORIES = {
+    social: {
+        label: 'Social media',
+        distracting: true,
+        taskHints: ['social', 'tweet', 'twitter', 'facebook', 'instagram', 'linkedin', 'reddit', 'tiktok', 'community', 'marketing', 'post'],
+        domains: [
+            'facebook.com', 'instagram.com', 'twitter.com', 'x.com', 'tiktok.com', 'reddit.com', 'snapchat.com',
+            'pinterest.com', 'tumblr.com', 'threads.net', 'bsky.app', 'mastodon.social', 'linkedin.com', '9gag.com'
+        ]
+    },
+    video: {
+        label: 'Video & streaming',
+        distracting: true,
+        taskHints: ['video', 'youtube', 'watch', 'tutorial', 'lecture', 'talk', 'stream', 'film', 'movie', 'course'],
+        domains: [
+            'youtube.com', 'youtu.be', 'netflix.com', 'twitch.tv', 'vimeo.com', 'hulu.com', 'disneyplus.com',
+            'primevideo.com', 'dailymotion.com', 'max.com', 'crunchyroll.com'
+        ]
+    },
+    news: {
+        label: 'News',
+        distracting: true,
+        taskHints: ['news', 'article', 'journalism', 'current events', 'press', 'headline', 'politic'],
+        domains: [
+            'cnn.com', 'bbc.com', 'bbc.co.uk', 'nytimes.com', 'theguardian.com', 'foxnews.com', 'washingtonpost.com',
+            'reuters.com', 'apnews.com', 'news.ycombinator.com', 'buzzfeed.com', 'huffpost.com', 'news.google.com'
+        ]
+    },
+    shopping: {
+        label: 'Shopping',
+        distracting: true,
+        taskHints: ['buy', 'shop', 'price', 'purchase', 'order', 'compare', 'product', 'gift', 'deal'],
+        domains: [
+            'amazon.com', 'ebay.com', 'etsy.com', 'aliexpress.com', 'walmart.com', 'target.com', 'bestbuy.com',
+            'temu.com', 'shein.com', 'wish.com', 'ikea.com'
+        ]
+    },
+    devdocs: {
+        label: 'Developer documentation',
+        distracting: false,
+        domains: [
+            'developer.mozilla.org', 'developer.chrome.com', 'docs.python.org', 'nodejs.org', 'stackoverflow.com',
+            'github.com', 'gitlab.com', 'bitbucket.org', 'npmjs.com', 'pypi.org', 'readthedocs.io', 'devdocs.io',
+            'learn.microsoft.com', 'docs.github.com', 'react.dev', 'typescriptlang.org'
+        ]
+    },
+    search: {
+        label: 'Search engines',
+        distracting: false,
+        exactHosts: true,
+        domains: [
+            'google.com', 'bing.com', 'duckduckgo.com', 'search.brave.com', 'kagi.com', 'startpage.com',
+            'ecosia.org', 'search.yahoo.com'
+        ]
+    },
+    reference: {
+        label: 'Reference',
+        distracting: false,
+        domains: ['wikipedia.org']
+    }
+};
+
+// Words that carry no meaning for keyword matching against URLs
+const TUNNL_TASK_STOPWORDS = new Set([
+    'about', 'after', 'also', 'before', 'from', 'have', 'into', 'just', 'make', 'more', 'need', 'some',
+    'that', 'then', 'this', 'with', 'work', 'working', 'what', 'when', 'will', 'your', 'their', 'there',
+    'today', 'task', 'tasks', 'finish', 'start', 'write', 'read', 'doing', 'things'
+]);
+
+class TunnlLocalClassifier {
+    // Parse one rule line: "block *.reddit.com/*" or "allow /docs\.example\.com/i"
+    static parseRule(line) {
+        const match = String(line || '').trim().match(/^(allow|block)\s+(.+)$/i);
+        if (!match) {
+            throw new Error(`Rule must start with "allow" or "block": ${line}`);
+        }
+        const rule = { action: match[1].toLowerCase(), pattern: match[2].trim() };
+        TunnlLocalClassifier.compileRule(rule); // throws on invalid patterns
+        return rule;
+    }
+
+    // Rule patterns use the shared URL pattern syntax from url-patterns.js
+    // (host, *.host, host/path/*, Chrome match patterns or /regex/flags)
+    static compileRule(rule) {
+        return TunnlUrlPattern.compile(rule.pattern);
+    }
+
+    static categorize(hostname) {
+        const host = String(hostname || '').toLowerCase().replace(/^www\./, '');
+        for (const [name, category] of Object.entries(TUNNL_DOMAIN_CATEGORIES)) {
+            if (category.domains.some(domain => host === domain || (!category.exactHosts && host.endsWith(`.${domain}`)))) {
+                return name;
+            }
+        }
+        return null;
+    }
+
+    static taskKeywords(taskText) {
+        return String(taskText || '')
+            .toLowerCase()
+            .split(/[^a-z0-9]+/)
+            .filter(word => word.length >= 4 && !TUNNL_TASK_STOPWORDS.has(word));
+    }
+
+    // Returns { shouldBlock, reason, activityUnderstanding, confidence, source, category } or null
+    classify(url, taskText, customRules = []) {
+        let parsed;
+        try {
+            parsed = new URL(url);
+        } catch {
+            return null;
+        }
+
+        const activityUnderstanding = taskText ? `Working on: ${taskText}` : 'No active task';
+
+        for (const rule of customRules) {
+            try {
+                if (TunnlLocalClassifier.compileRule(rule)(parsed)) {
+                    return {
+                        shouldBlock: rule.action === 'block',
+                        reason: rule.policyPack
+                            ? `Matches the "${rule.policyPack}" team rule "${rule.action} ${rule.pattern}"`
+                            : `Matches your rule "${rule.action} ${rule.pattern}"`,
+                        activityUnderstanding,
+                        confidence: 1.0,
+                        source: 'local'
+                    };
+                }
+            } catch {
+                // Invalid rules are rejected in options; ignore any that slipped through
+            }
+        }
+
+        const categoryName = TunnlLocalClassifier.categorize(parsed.hostname);
+        const category = categoryName ? TUNNL_DOMAIN_CATEGORIES[categoryName] : null;
+
+        if (category && !category.distracting) {
+            return {
+                shouldBlock: false,
+                reason: `Always-allowed category: ${category.label}`,
+                activityUnderstanding,
+                confidence: 0.9,
+                source: 'local',
+                category: categoryName
+            };
+        }
+
+        // A task that needs this kind of site (e.g. shopping for a shopping task) goes to the AI
+        const task = String(taskText || '').toLowerCase();
+        if (category && category.taskHints.some(hint => task.includes(hint))) {
+            return null;
+        }
+
+        let haystack = `${parsed.hostname} ${parsed.pathname} ${parsed.search}`.toLowerCase();
+        try {
+            haystack = decodeURIComponent(haystack);
+        } catch { }
+        const matchedKeyword = TunnlLocalClassifier.taskKeywords(taskText).find(word => haystack.includes(word));
+        if (matchedKeyword) {
+            return {
+                shouldBlock: false,
+                reason: `URL mentions "${matchedKeyword}" from your task`,
+                activityUnderstanding,
+                confidence: 0.75,
+                source: 'local',
+                category: categoryName
+            };
+        }
+
+        if (category) {
+            return {
+                shouldBlock: true,
+                reason: `${category.label} is not related to your current task`,
+                activityUnderstanding,
+                confidence: 0.8,
+                source: 'local',
+                category: categoryName
+            };
+        }
+
+        return null;
+    }
+}
@@ -1,8 +1,19 @@
 // Content script for tunnl.ai Chrome Extension
-// Simplified - only handles temporary unblock notifications
+// Handles temporary unblock notifications, block toasts and, when enabled,
+// extracts page content for the background's second-stage verdict
+
+// Limits for what is extracted from the page (the background trims again before calling the AI)
+const TUNNL_HEADINGS_LIMIT = 10;
+const TUNNL_TEXT_SAMPLE_CHARS = 1500;
+const TUNNL_SPA_CONTENT_DELAY_MS = 1000;
+
+// chrome.storage.local key of the background's per-origin bypass registry
+const TUNNL_BYPASSES_STORAGE_KEY = 'activeBypasses';
 
 class TunnlContent {
     constructor() {
+        this.bypassUntil = null; // Expiry of this origin's temporary unblock
+        this.bypassTimer = null;
         this.init();
     }
 
@@ -24,29 +35,99 @@ class TunnlContent {
                     activityUnderstanding: message.activityUnderstanding
                 });
                 this.showBlockToast(message.url, message.message, message.activityUnderstanding);
+            } else if (message && message.type === 'REQUEST_PAGE_CONTENT') {
+                // Single-page apps update the title and DOM shortly after pushState
+                setTimeout(() => this.sendPageContent(), TUNNL_SPA_CONTENT_DELAY_MS);
             }
         });
+
+        // Page content for the second-stage verdict, once the page has loaded
+        if (document.readyState === 'complete') {
+            this.sendPageContent();
+        } else {
+            window.addEventListener('load', () => this.sendPageContent(), { once: true });
+        }
+    }
+
+    async sendPageContent() {
+        try {
+            const { contentAnalysisEnabled } = await chrome.storage.sync.get(['contentAnalysisEnabled']);
+            if (contentAnalysisEnabled !== true) return;
+
+            await chrome.runtime.sendMessage({ type: 'PAGE_CONTENT', content: this.extractPageContent() });
+        } catch (error) {
+            // Extension reloaded or background unavailable - nothing to do
+            console.log('Could not send page content:', error.message);
+        }
+    }
+
+    extractPageContent() {
+        const meta = (name) => {
+            const el = document.querySelector(`meta[name="${name}"], meta[property="${name}"]`);
+            return (el?.getAttribute('content') || '').trim();
+        };
+
+        const headings = Array.from(document.querySelectorAll('h1, h2'))
+            .map(h => (h.innerText || h.textContent || '').replace(/\s+/g, ' ').trim())
+            .filter(Boolean)
+            .slice(0, TUNNL_HEADINGS_LIMIT);
+
+        const text = (document.body?.innerText || '').replace(/\s+/g, ' ').trim();
+
+        return {
+            url: window.location.href,
+            title: document.title.trim(),
+            description: meta('description') || meta('og:description'),
+            ogTitle: meta('og:title'),
+            ogType: meta('og:type'),
+            ogSiteName: meta('og:site_name'),
+            keywords: meta('keywords'),
+            headings,
+            textSample: text.slice(0, TUNNL_TEXT_SAMPLE_CHARS)
+        };
     }
 
+    // Active temporary unblocks are kept per origin by the background; show a countdown on every page of
+    // this origin and keep it in step when a bypass is granted, revoked or expires
     async checkTemporaryUnblock() {
         try {
-            const result = await chrome.storage.local.get(['temporaryUnblock']);
-            const tempUnblock = result.temporaryUnblock;
-            
-            if (tempUnblock && tempUnblock.url === window.location.href) {
-                if (Date.now() < tempUnblock.until) {
-                    // Still within unblock period, show notification
-                    this.showTemporaryUnblockMessage();
-                } else {
-                    // Unblock period expired, remove from storage
-                    await chrome.storage.local.remove(['temporaryUnblock']);
+            const result = await chrome.storage.local.get([TUNNL_BYPASSES_STORAGE_KEY]);
+            this.updateBypassBanner(result[TUNNL_BYPASSES_STORAGE_KEY]);
+            chrome.storage.onChanged.addListener((changes, area) => {
+                if (area === 'local' && changes[TUNNL_BYPASSES_STORAGE_KEY]) {
+                    this.updateBypassBanner(changes[TUNNL_BYPASSES_STORAGE_KEY].newValue);
                 }
-            }
+            });
         } catch (error) {
             console.error('Error checking temporary unblock:', error);
         }
     }
 
+    updateBypassBanner(bypasses) {
+        const bypass = (bypasses || {})[window.location.origin];
+        if (bypass && bypass.until > Date.now()) {
+            this.bypassUntil = bypass.until;
+            this.whenBodyReady(() => this.showTemporaryUnblockMessage());
+        } else if (this.bypassUntil) {
+            this.endBypass(); // Revoked from the popup or another tab
+        }
+    }
+
+    // Time is up (or the bypass was revoked); the background judges the page again on its own
+    endBypass() {
+        clearInterval(this.bypassTimer);
+        this.bypassUntil = null;
+        document.getElementById('tunnl-temp-unblock-message')?.remove();
+    }
+
+    whenBodyReady(callback) {
+        if (document.body) {
+            callback();
+        } else {
+            document.addEventListener('DOMContentLoaded', callback, { once: true });
+        }
+    }
+
     showBlockToast(blockedUrl, reasonMessage, activityUnderstanding) {
         console.log('🍞 Creating block toast:', {
             blockedUrl,
@@ -123,80 +204,89 @@ class TunnlContent {
     }
 
     showTemporaryUnblockMessage() {
-        const message = document.createElement('div');
-        message.id = 'tunnl-temp-unblock-message';
-        message.innerHTML = `
-            <div class="tunnl-temp-message">
-                <span>✅ Temporarily unblocked for 10 minutes</span>
-                <button id="tunnl-close-temp-message">×</button>
-            </div>
-        `;
-
-        const style = document.createElement('style');
-        style.textContent = `
-            #tunnl-temp-unblock-message {
-                position: fixed;
-                top: 20px;
-                right: 20px;
-                z-index: 999999;
-                animation: tunnl-slideIn 0.3s ease-out;
-            }
+        let message = document.getElementById('tunnl-temp-unblock-message');
+        if (!message) {
+            message = document.createElement('div');
+            message.id = 'tunnl-temp-unblock-message';
+            message.innerHTML = `
+                <div class="tunnl-temp-message">
+                    <span>⏰ <span id="tunnl-temp-unblock-time"></span></span>
+                    <button id="tunnl-end-temp-unblock">End now</button>
+                </div>
+            `;
 
-            @keyframes tunnl-slideIn {
-                from {
-                    transform: translateX(100%);
-                    opacity: 0;
+            const style = document.createElement('style');
+            style.textContent = `
+                #tunnl-temp-unblock-message {
+                    position: fixed;
+                    top: 20px;
+                    right: 20px;
+                    z-index: 2147483647;
+                    animation: tunnl-slideIn 0.3s ease-out;
                 }
-                to {
-                    transform: translateX(0);
-                    opacity: 1;
+
+                @keyframes tunnl-slideIn {
+                    from {
+                        transform: translateX(100%);
+                        opacity: 0;
+                    }
+                    to {
+                        transform: translateX(0);
+                        opacity: 1;
+                    }
                 }
-            }
 
-            .tunnl-temp-message {
-                background: #d4edda;
-                color: #155724;
-                padding: 12px 20px;
-                border-radius: 8px;
-                border: 1px solid #c3e6cb;
-                display: flex;
-                align-items: center;
-                gap: 10px;
-                box-shadow: 0 4px 12px rgba(0, 0, 0, 0.1);
-            }
+                .tunnl-temp-message {
+                    background: #d4edda;
+                    color: #155724;
+                    padding: 10px 14px;
+                    border-radius: 8px;
+                    border: 1px solid #c3e6cb;
+                    display: flex;
+                    align-items: center;
+                    gap: 10px;
+                    box-shadow: 0 4px 12px rgba(0, 0, 0, 0.1);
+                    font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+                    font-size: 13px;
+                }
 
-            .tunnl-temp-message button {
-                background: none;
-                border: none;
-                color: #155724;
-                font-size: 18px;
-                cursor: pointer;
-                padding: 0;
-                width: 20px;
-                height: 20px;
-                display: flex;
-                align-items: center;
-                justify-content: center;
-            }
+                .tunnl-temp-message button {
+                    background: none;
+                    border: 1px solid #155724;
+                    border-radius: 6px;
+                    color: #155724;
+                    font-size: 12px;
+                    cursor: pointer;
+                    padding: 3px 8px;
+                }
 
-            .tunnl-temp-message button:hover {
-                background: rgba(21, 87, 36, 0.1);
-                border-radius: 50%;
-            }
-        `;
+                .tunnl-temp-message button:hover {
+                    background: rgba(21, 87, 36, 0.1);
+                }
+            `;
 
-        document.head.appendChild(style);
-        document.body.appendChild(message);
+            document.head.appendChild(style);
+            document.body.appendChild(message);
 
-        // Auto-remove after 5 seconds
-        setTimeout(() => {
-            message.remove();
-        }, 5000);
+            // Revoking updates storage, which ends the banner in every tab of this origin
+            document.getElementById('tunnl-end-temp-unblock').addEventListener('click', () => {
+                chrome.runtime.sendMessage({ type: 'REVOKE_BYPASS', origin: window.location.origin }).catch(() => { });
+            });
+        }
 
-        // Close button
-        document.getElementById('tunnl-close-temp-message').addEventListener('click', () => {
-            message.remove();
-        });
+        const tick = () => {
+            const remaining = Math.ceil(((this.bypassUntil || 0) - Date.now()) / 1000);
+            if (remaining <= 0) {
+                this.endBypass();
+                return;
+            }
+            const minutes = Math.floor(remaining / 60);
+            const seconds = String(remaining % 60).padStart(2, '0');
+            document.getElementById('tunnl-temp-unblock-time').textContent = `${window.location.hostname} unblocked for ${minutes}:${seconds}`;
+        };
+        clearInterval(this.bypassTimer);
+        this.bypassTimer = setInterval(tick, 1000);
+        tick();
     }
 }
 
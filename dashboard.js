@@ -0,0 +1,419 @@
+// Focus analytics dashboard for tunnl.ai Chrome Extension
+// Everything is computed from the activity log the background keeps in chrome.storage.local
+
+// A day extends the streak at this focus score over at least this much focused time
+const DASHBOARD_STREAK_MIN_SCORE = 0.8;
+const DASHBOARD_STREAK_MIN_FOCUSED_SECONDS = 30 * 60;
+const DASHBOARD_HEATMAP_DAYS = 56;
+const DASHBOARD_TOP_SITES = 15;
+
+class TunnlDashboard {
+    constructor() {
+        this.days = {};
+        this.chartRange = 'day';
+        this.sitesDays = 1;
+        this.tasksDays = 7;
+        this.init();
+    }
+
+    async init() {
+        this.setupEventListeners();
+        await this.loadActivity();
+        this.render();
+    }
+
+    async loadActivity() {
+        try {
+            const response = await chrome.runtime.sendMessage({ type: 'GET_ACTIVITY' });
+            if (response.success) {
+                this.days = response.activity.days || {};
+            } else {
+                console.error('Failed to load activity:', response.error);
+            }
+        } catch (error) {
+            console.error('Error loading activity:', error);
+        }
+    }
+
+    setupEventListeners() {
+        this.setupRangeTabs('chart-range', button => {
+            this.chartRange = button.dataset.range;
+            this.renderTimeChart();
+        });
+        this.setupRangeTabs('sites-range', button => {
+            this.sitesDays = Number(button.dataset.days);
+            this.renderSites();
+        });
+        this.setupRangeTabs('tasks-range', button => {
+            this.tasksDays = Number(button.dataset.days);
+            this.renderTasks();
+        });
+    }
+
+    setupRangeTabs(containerId, onSelect) {
+        const container = document.getElementById(containerId);
+        container.querySelectorAll('button').forEach(button => {
+            button.addEventListener('click', () => {
+                container.querySelectorAll('button').forEach(other => other.classList.toggle('active', other === button));
+                onSelect(button);
+            });
+        });
+    }
+
+    render() {
+        this.renderOverview();
+        this.renderComparison();
+        this.renderTimeChart();
+        this.renderHeatmap();
+        this.renderSites();
+        this.renderTasks();
+    }
+
+    // --- Helpers ---
+
+    dateKey(date) {
+        const pad = n => String(n).padStart(2, '0');
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+    }
+
+    addDays(date, days) {
+        return new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+    }
+
+    // Monday of the week containing `date`
+    startOfWeek(date) {
+        return this.addDays(date, -((date.getDay() + 6) % 7));
+    }
+
+    // Totals over the days in [start, end)
+    totals(start, end) {
+        const result = { focused: 0, distracted: 0, allowed: 0, blocked: 0 };
+        for (let date = start; date < end; date = this.addDays(date, 1)) {
+            const day = this.days[this.dateKey(date)];
+            if (!day) continue;
+            result.focused += day.focusedSeconds || 0;
+            result.distracted += day.distractedSeconds || 0;
+            Object.values(day.visits || {}).forEach(visits => {
+                result.allowed += visits.allowed;
+                result.blocked += visits.blocked;
+            });
+        }
+        return result;
+    }
+
+    focusScore(totals) {
+        const tracked = totals.focused + totals.distracted;
+        return tracked > 0 ? totals.focused / tracked : null;
+    }
+
+    formatDuration(seconds) {
+        const minutes = Math.round(seconds / 60);
+        if (minutes < 60) return `${minutes}m`;
+        return `${Math.floor(minutes / 60)}h ${minutes % 60}m`;
+    }
+
+    formatScore(score) {
+        return score == null ? '–' : `${Math.round(score * 100)}%`;
+    }
+
+    // --- Overview & streaks ---
+
+    renderOverview() {
+        const today = new Date();
+        const todayTotals = this.totals(today, this.addDays(today, 1));
+        document.getElementById('focus-score').textContent = this.formatScore(this.focusScore(todayTotals));
+        document.getElementById('focused-today').textContent = this.formatDuration(todayTotals.focused);
+
+        const { current, best } = this.computeStreaks();
+        document.getElementById('current-streak').textContent = current;
+        document.getElementById('best-streak').textContent = best;
+    }
+
+    computeStreaks() {
+        const keys = Object.keys(this.days).sort();
+        if (keys.length === 0) return { current: 0, best: 0 };
+
+        const [year, month, day] = keys[0].split('-').map(Number);
+        const today = new Date();
+        const todayKey = this.dateKey(today);
+        let run = 0;
+        let best = 0;
+        let todayQualifies = false;
+
+        for (let date = new Date(year, month - 1, day); this.dateKey(date) <= todayKey; date = this.addDays(date, 1)) {
+            const key = this.dateKey(date);
+            const totals = this.totals(date, this.addDays(date, 1));
+            if (totals.focused + totals.distracted === 0) continue; // day off
+
+            const qualifies = totals.focused >= DASHBOARD_STREAK_MIN_FOCUSED_SECONDS
+                && this.focusScore(totals) >= DASHBOARD_STREAK_MIN_SCORE;
+            if (key === todayKey) {
+                todayQualifies = qualifies;
+                break; // today is still in progress and cannot break the streak
+            }
+            run = qualifies ? run + 1 : 0;
+            best = Math.max(best, run);
+        }
+
+        const current = run + (todayQualifies ? 1 : 0);
+        return { current, best: Math.max(best, current) };
+    }
+
+    // --- Day / week / month comparison ---
+
+    renderComparison() {
+        const today = new Date();
+        const week = this.startOfWeek(today);
+        const month = new Date(today.getFullYear(), today.getMonth(), 1);
+        const periods = [
+            { label: 'Today', totals: this.totals(today, this.addDays(today, 1)) },
+            { label: 'Yesterday', totals: this.totals(this.addDays(today, -1), today) },
+            { label: 'This week', totals: this.totals(week, this.addDays(today, 1)) },
+            { label: 'Last week', totals: this.totals(this.addDays(week, -7), week) },
+            { label: 'This month', totals: this.totals(month, this.addDays(today, 1)) },
+            { label: 'Last month', totals: this.totals(new Date(today.getFullYear(), today.getMonth() - 1, 1), month) }
+        ];
+        const metrics = [
+            { label: 'Focused time', value: totals => totals.focused, format: value => this.formatDuration(value), higherIsBetter: true },
+            { label: 'Distracted time', value: totals => totals.distracted, format: value => this.formatDuration(value), higherIsBetter: false },
+            { label: 'Focus score', value: totals => this.focusScore(totals), format: value => this.formatScore(value), higherIsBetter: true },
+            { label: 'Distraction attempts', value: totals => totals.blocked, format: value => String(value), higherIsBetter: false }
+        ];
+
+        const table = document.getElementById('comparison-table');
+        table.innerHTML = '';
+
+        const header = document.createElement('tr');
+        ['', ...periods.map(period => period.label)].forEach(text => {
+            const th = document.createElement('th');
+            th.textContent = text;
+            header.appendChild(th);
+        });
+        table.appendChild(header);
+
+        metrics.forEach(metric => {
+            const row = document.createElement('tr');
+            const name = document.createElement('th');
+            name.textContent = metric.label;
+            row.appendChild(name);
+
+            periods.forEach((period, i) => {
+                const cell = document.createElement('td');
+                const value = metric.value(period.totals);
+                cell.textContent = metric.format(value);
+
+                // Current periods (even columns) are compared with the period before them
+                if (i % 2 === 0) {
+                    const previous = metric.value(periods[i + 1].totals);
+                    if (value != null && previous != null && value !== previous) {
+                        const better = (value > previous) === metric.higherIsBetter;
+                        cell.className = better ? 'delta-better' : 'delta-worse';
+                        cell.textContent += better ? ' ▲' : ' ▼';
+                        cell.title = `${period.label} vs ${periods[i + 1].label.toLowerCase()}`;
+                    }
+                }
+                row.appendChild(cell);
+            });
+            table.appendChild(row);
+        });
+    }
+
+    // --- Focused vs distracted chart ---
+
+    renderTimeChart() {
+        const today = new Date();
+        const bars = [];
+
+        if (this.chartRange === 'day') {
+            for (let i = 29; i >= 0; i--) {
+                const date = this.addDays(today, -i);
+                bars.push({ label: String(date.getDate()), title: this.dateKey(date), totals: this.totals(date, this.addDays(date, 1)) });
+            }
+        } else if (this.chartRange === 'week') {
+            const week = this.startOfWeek(today);
+            for (let i = 11; i >= 0; i--) {
+                const start = this.addDays(week, -7 * i);
+                bars.push({
+                    label: `${start.getDate()}/${start.getMonth() + 1}`,
+                    title: `Week of ${this.dateKey(start)}`,
+                    totals: this.totals(start, this.addDays(start, 7))
+                });
+            }
+        } else {
+            for (let i = 11; i >= 0; i--) {
+                const start = new Date(today.getFullYear(), today.getMonth() - i, 1);
+                bars.push({
+                    label: start.toLocaleString(undefined, { month: 'short' }),
+                    title: this.dateKey(start).slice(0, 7),
+                    totals: this.totals(start, new Date(start.getFullYear(), start.getMonth() + 1, 1))
+                });
+            }
+        }
+
+        const container = document.getElementById('time-chart');
+        container.innerHTML = '';
+        const max = Math.max(...bars.map(bar => bar.totals.focused + bar.totals.distracted), 0);
+
+        bars.forEach(bar => {
+            const column = document.createElement('div');
+            column.className = 'time-bar';
+            column.title = `${bar.title}: ${this.formatDuration(bar.totals.focused)} focused, ${this.formatDuration(bar.totals.distracted)} distracted`;
+
+            const stack = document.createElement('div');
+            stack.className = 'time-bar-stack';
+            [['time-bar-focused', bar.totals.focused], ['time-bar-distracted', bar.totals.distracted]].forEach(([className, seconds]) => {
+                const segment = document.createElement('div');
+                segment.className = className;
+                segment.style.height = `${max > 0 ? (seconds / max) * 130 : 0}px`;
+                stack.appendChild(segment);
+            });
+
+            const label = document.createElement('span');
+            label.textContent = bar.label;
+
+            column.appendChild(stack);
+            column.appendChild(label);
+            container.appendChild(column);
+        });
+    }
+
+    // --- Hour-of-day heatmap ---
+
+    renderHeatmap() {
+        const weekdays = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+        const counts = weekdays.map(() => new Array(24).fill(0));
+        const today = new Date();
+        for (let i = 0; i < DASHBOARD_HEATMAP_DAYS; i++) {
+            const date = this.addDays(today, -i);
+            const day = this.days[this.dateKey(date)];
+            if (!day) continue;
+            const row = counts[(date.getDay() + 6) % 7];
+            (day.blockedByHour || []).forEach((count, hour) => { row[hour] += count; });
+        }
+        const max = Math.max(...counts.flat(), 0);
+
+        const container = document.getElementById('heatmap');
+        container.innerHTML = '';
+        container.appendChild(document.createElement('span'));
+        for (let hour = 0; hour < 24; hour++) {
+            const label = document.createElement('span');
+            label.className = 'heatmap-label';
+            label.textContent = hour % 3 === 0 ? String(hour) : '';
+            container.appendChild(label);
+        }
+
+        weekdays.forEach((weekday, row) => {
+            const label = document.createElement('span');
+            label.className = 'heatmap-label';
+            label.textContent = weekday;
+            container.appendChild(label);
+
+            counts[row].forEach((count, hour) => {
+                const cell = document.createElement('div');
+                cell.className = 'heatmap-cell';
+                if (count > 0) {
+                    cell.style.background = `rgba(229, 62, 62, ${0.15 + 0.85 * (count / max)})`;
+                }
+                cell.title = `${weekday} ${String(hour).padStart(2, '0')}:00 - ${count} blocked`;
+                container.appendChild(cell);
+            });
+        });
+    }
+
+    // --- Tables ---
+
+    daysBack(count) {
+        const today = new Date();
+        return Array.from({ length: count }, (_, i) => this.days[this.dateKey(this.addDays(today, -i))]).filter(Boolean);
+    }
+
+    renderSites() {
+        const seconds = {};
+        this.daysBack(this.sitesDays).forEach(day => {
+            Object.entries(day.seconds || {}).forEach(([host, value]) => {
+                seconds[host] = (seconds[host] || 0) + value;
+            });
+        });
+        const rows = Object.entries(seconds).sort((a, b) => b[1] - a[1]).slice(0, DASHBOARD_TOP_SITES);
+        const total = Object.values(seconds).reduce((sum, value) => sum + value, 0);
+
+        this.renderTable('sites-table', ['Site', 'Active time', 'Share'], rows.map(([host, value]) => [
+            host,
+            this.formatDuration(value),
+            this.shareBar(total > 0 ? value / total : 0)
+        ]), 'No browsing time recorded yet.');
+    }
+
+    renderTasks() {
+        const visits = {};
+        this.daysBack(this.tasksDays).forEach(day => {
+            Object.entries(day.visits || {}).forEach(([task, counts]) => {
+                const entry = visits[task] || (visits[task] = { allowed: 0, blocked: 0 });
+                entry.allowed += counts.allowed;
+                entry.blocked += counts.blocked;
+            });
+        });
+        const rows = Object.entries(visits).sort((a, b) => (b[1].allowed + b[1].blocked) - (a[1].allowed + a[1].blocked));
+
+        this.renderTable('tasks-table', ['Task', 'Allowed', 'Blocked', 'Blocked share'], rows.map(([task, counts]) => [
+            task,
+            String(counts.allowed),
+            String(counts.blocked),
+            this.shareBar(counts.blocked / (counts.allowed + counts.blocked), true)
+        ]), 'No analyzed visits yet.');
+    }
+
+    shareBar(share, blocked = false) {
+        const bar = document.createElement('div');
+        bar.className = 'share-bar';
+        bar.title = `${Math.round(share * 100)}%`;
+        const fill = document.createElement('div');
+        fill.className = blocked ? 'share-bar-fill blocked' : 'share-bar-fill';
+        fill.style.width = `${Math.round(share * 100)}%`;
+        bar.appendChild(fill);
+        return bar;
+    }
+
+    renderTable(tableId, headings, rows, emptyText) {
+        const table = document.getElementById(tableId);
+        table.innerHTML = '';
+
+        if (rows.length === 0) {
+            const row = document.createElement('tr');
+            const cell = document.createElement('td');
+            cell.className = 'empty-state';
+            cell.colSpan = headings.length;
+            cell.textContent = emptyText;
+            row.appendChild(cell);
+            table.appendChild(row);
+            return;
+        }
+
+        const header = document.createElement('tr');
+        headings.forEach(text => {
+            const th = document.createElement('th');
+            th.textContent = text;
+            header.appendChild(th);
+        });
+        table.appendChild(header);
+
+        rows.forEach(values => {
+            const row = document.createElement('tr');
+            values.forEach(value => {
+                const cell = document.createElement('td');
+                if (value instanceof Node) {
+                    cell.appendChild(value);
+                } else {
+                    cell.textContent = value;
+                }
+                row.appendChild(cell);
+            });
+            table.appendChild(row);
+        });
+    }
+}
+
+// Initialize dashboard when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+    new TunnlDashboard();
+});
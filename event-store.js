@@ -0,0 +1,148 @@
+// IndexedDB event log for tunnl.ai Chrome Extension
+// Navigations, verdicts, blocks, bypasses and feedback are appended here instead of
+// chrome.storage.sync, which only suits small preferences (8KB per item, limited writes per hour).
+
+const TUNNL_EVENT_DB_NAME = 'tunnl-events';
+const TUNNL_EVENT_DB_VERSION = 1;
+const TUNNL_EVENT_STORE = 'events';
+
+// navigation:      { url, host, tabId, spa }
+// verdict:         { url, host, task, matchedTask, blocked, source, reason } - matchedTask: the task the page served
+// block:           { url, host, reason, mode } - an enforced block ('suggest' | 'soft' | 'hard')
+// analysis_failed: { url, host, reason }
+// bypass:          { url, host, kind: 'temporary' | 'one-time' } - a navigation let through by a bypass
+// bypass_granted:  { url, host, kind, minutes, reason } - a bypass the user asked for on the blocked page
+// feedback:        { url, host, task, reason, correct }
+// task_archived:   { day, taskId, title, notes, priority, dueDate, estimateMinutes, status, tags, createdAt, completedAt }
+//                  - a task taken off the list at the daily rollover; status 'open' means it was left unfinished
+const TUNNL_EVENT_TYPES = ['navigation', 'verdict', 'block', 'analysis_failed', 'bypass', 'bypass_granted', 'feedback', 'task_archived'];
+
+class TunnlEventStore {
+    constructor() {
+        this.dbPromise = null;
+    }
+
+    open() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(TUNNL_EVENT_DB_NAME, TUNNL_EVENT_DB_VERSION);
+                request.onupgradeneeded = () => {
+                    const store = request.result.createObjectStore(TUNNL_EVENT_STORE, { keyPath: 'id', autoIncrement: true });
+                    store.createIndex('timestamp', 'timestamp');
+                    store.createIndex('type_timestamp', ['type', 'timestamp']);
+                    store.createIndex('host_timestamp', ['host', 'timestamp']);
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+            // Let the next call retry instead of caching the failure
+            this.dbPromise.catch(() => { this.dbPromise = null; });
+        }
+        return this.dbPromise;
+    }
+
+    // Run `work(store)` in one transaction and resolve once it has committed
+    async transaction(mode, work) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(TUNNL_EVENT_STORE, mode);
+            tx.oncomplete = () => resolve();
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error || new Error('Event store transaction aborted'));
+            work(tx.objectStore(TUNNL_EVENT_STORE));
+        });
+    }
+
+    async add(type, data = {}, timestamp = Date.now()) {
+        await this.addMany([{ ...data, type, timestamp }]);
+    }
+
+    async addMany(events) {
+        events.forEach(event => {
+            if (!TUNNL_EVENT_TYPES.includes(event.type)) {
+                throw new Error(`Unknown event type: ${event.type}`);
+            }
+            if (!Number.isFinite(event.timestamp)) {
+                throw new Error('Event timestamp must be a number');
+            }
+        });
+        await this.transaction('readwrite', store => {
+            events.forEach(event => store.add(event));
+        });
+    }
+
+    // Pick the narrowest index for a filter; timestamps bound every range
+    keyRange({ type, host, since = 0, until = Infinity }) {
+        if (type) {
+            return { index: 'type_timestamp', range: IDBKeyRange.bound([type, since], [type, until]) };
+        }
+        if (host) {
+            return { index: 'host_timestamp', range: IDBKeyRange.bound([host, since], [host, until]) };
+        }
+        return { index: 'timestamp', range: IDBKeyRange.bound(since, until) };
+    }
+
+    // Events matching { type, host, since, until }, newest first unless `oldestFirst`.
+    // `filter` is applied after the index, before `limit`.
+    async query({ type, host, since, until, limit = Infinity, oldestFirst = false, filter } = {}) {
+        const { index, range } = this.keyRange({ type, host, since, until });
+        const results = [];
+        await this.transaction('readonly', store => {
+            const request = store.index(index).openCursor(range, oldestFirst ? 'next' : 'prev');
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (!cursor || results.length >= limit) return;
+                const event = cursor.value;
+                if ((!host || event.host === host) && (!filter || filter(event))) {
+                    results.push(event);
+                }
+                cursor.continue();
+            };
+        });
+        return results;
+    }
+
+    // The index covers one of type and host; with both, the host is checked event by event
+    async count({ type, host, since, until } = {}) {
+        const { index, range } = this.keyRange({ type, host, since, until });
+        let total = 0;
+        await this.transaction('readonly', store => {
+            if (!(type && host)) {
+                const request = store.index(index).count(range);
+                request.onsuccess = () => { total = request.result; };
+                return;
+            }
+            const request = store.index(index).openCursor(range);
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (!cursor) return;
+                if (cursor.value.host === host) total++;
+                cursor.continue();
+            };
+        });
+        return total;
+    }
+
+    // Delete events matching { type, host, since, until, filter }; resolves with how many went
+    async deleteWhere({ type, host, since, until, filter } = {}) {
+        const { index, range } = this.keyRange({ type, host, since, until });
+        let deleted = 0;
+        await this.transaction('readwrite', store => {
+            const request = store.index(index).openCursor(range);
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (!cursor) return;
+                if ((!host || cursor.value.host === host) && (!filter || filter(cursor.value))) {
+                    cursor.delete();
+                    deleted++;
+                }
+                cursor.continue();
+            };
+        });
+        return deleted;
+    }
+
+    async clear() {
+        await this.transaction('readwrite', store => store.clear());
+    }
+}
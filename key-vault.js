@@ -0,0 +1,172 @@
+// Encrypted API key storage for tunnl.ai Chrome Extension
+// The provider API key is encrypted with AES-GCM and kept in chrome.storage.local, never in sync storage.
+// - device: the AES key is a non-extractable CryptoKey kept in IndexedDB, so the key only decrypts on this device
+// - passphrase: the AES key is derived from the user's passphrase (PBKDF2) and never stored. Once unlocked,
+//   the plain key stays in chrome.storage.session (memory only, not readable by content scripts) until the browser closes
+
+const TUNNL_VAULT_STORAGE_KEY = 'apiKeyVault';
+const TUNNL_VAULT_SESSION_KEY = 'apiKeyUnlocked';
+const TUNNL_VAULT_DB_NAME = 'tunnl-vault';
+const TUNNL_VAULT_DB_STORE = 'keys';
+const TUNNL_VAULT_PBKDF2_ITERATIONS = 310000;
+
+class TunnlKeyVault {
+    constructor() {
+        this.apiKey = ''; // Decrypted key, in memory only
+        this.record = null; // { protection: 'device' | 'passphrase', iv, ciphertext, salt?, hint }
+        this.error = null;
+    }
+
+    async load() {
+        const local = await chrome.storage.local.get([TUNNL_VAULT_STORAGE_KEY]);
+        this.record = local[TUNNL_VAULT_STORAGE_KEY] || null;
+        this.apiKey = '';
+        this.error = null;
+        if (!this.record) return;
+
+        try {
+            if (this.record.protection === 'passphrase') {
+                const session = await chrome.storage.session.get([TUNNL_VAULT_SESSION_KEY]);
+                this.apiKey = session[TUNNL_VAULT_SESSION_KEY] || '';
+            } else {
+                this.apiKey = await this.decrypt(this.record, await this.getDeviceKey(false));
+            }
+        } catch (error) {
+            // Device key gone (browser data cleared) or record corrupted - the user has to enter the key again
+            this.error = `Saved API key cannot be decrypted: ${error.message}`;
+        }
+    }
+
+    // What the popup and options page may know about the key
+    status() {
+        return {
+            configured: !!this.record,
+            protection: this.record?.protection || null,
+            locked: !!this.record && !this.apiKey,
+            masked: this.record?.hint || '',
+            error: this.error
+        };
+    }
+
+    async store(apiKey, passphrase = '') {
+        if (!apiKey) {
+            await this.clear();
+            return;
+        }
+
+        let record;
+        if (passphrase) {
+            const salt = crypto.getRandomValues(new Uint8Array(16));
+            record = { protection: 'passphrase', salt: this.toBase64(salt), ...(await this.encrypt(apiKey, await this.deriveKey(passphrase, salt))) };
+            await chrome.storage.session.set({ [TUNNL_VAULT_SESSION_KEY]: apiKey });
+        } else {
+            record = { protection: 'device', ...(await this.encrypt(apiKey, await this.getDeviceKey(true))) };
+            await chrome.storage.session.remove(TUNNL_VAULT_SESSION_KEY);
+        }
+        record.hint = maskApiKey(apiKey);
+
+        await chrome.storage.local.set({ [TUNNL_VAULT_STORAGE_KEY]: record });
+        this.record = record;
+        this.apiKey = apiKey;
+        this.error = null;
+    }
+
+    async unlock(passphrase) {
+        if (this.record?.protection !== 'passphrase') {
+            throw new Error('The API key is not protected by a passphrase');
+        }
+        const key = await this.deriveKey(passphrase, this.fromBase64(this.record.salt));
+        try {
+            this.apiKey = await this.decrypt(this.record, key);
+        } catch {
+            throw new Error('Wrong passphrase');
+        }
+        this.error = null;
+        await chrome.storage.session.set({ [TUNNL_VAULT_SESSION_KEY]: this.apiKey });
+    }
+
+    async lock() {
+        if (this.record?.protection !== 'passphrase') return;
+        this.apiKey = '';
+        await chrome.storage.session.remove(TUNNL_VAULT_SESSION_KEY);
+    }
+
+    async clear() {
+        await chrome.storage.local.remove(TUNNL_VAULT_STORAGE_KEY);
+        await chrome.storage.session.remove(TUNNL_VAULT_SESSION_KEY);
+        this.record = null;
+        this.apiKey = '';
+        this.error = null;
+    }
+
+    // --- WebCrypto ---
+
+    async encrypt(plaintext, key) {
+        const iv = crypto.getRandomValues(new Uint8Array(12));
+        const ciphertext = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, new TextEncoder().encode(plaintext));
+        return { iv: this.toBase64(iv), ciphertext: this.toBase64(new Uint8Array(ciphertext)) };
+    }
+
+    async decrypt(record, key) {
+        const plaintext = await crypto.subtle.decrypt(
+            { name: 'AES-GCM', iv: this.fromBase64(record.iv) },
+            key,
+            this.fromBase64(record.ciphertext)
+        );
+        return new TextDecoder().decode(plaintext);
+    }
+
+    async deriveKey(passphrase, salt) {
+        const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+        return crypto.subtle.deriveKey(
+            { name: 'PBKDF2', salt, iterations: TUNNL_VAULT_PBKDF2_ITERATIONS, hash: 'SHA-256' },
+            material,
+            { name: 'AES-GCM', length: 256 },
+            false,
+            ['encrypt', 'decrypt']
+        );
+    }
+
+    // The device key is generated once and stored as a non-extractable CryptoKey
+    async getDeviceKey(create) {
+        const db = await this.openDb();
+        try {
+            const existing = await this.request(db.transaction(TUNNL_VAULT_DB_STORE).objectStore(TUNNL_VAULT_DB_STORE).get('device'));
+            if (existing) return existing;
+            if (!create) throw new Error('device key not found');
+
+            const key = await crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, false, ['encrypt', 'decrypt']);
+            await this.request(db.transaction(TUNNL_VAULT_DB_STORE, 'readwrite').objectStore(TUNNL_VAULT_DB_STORE).put(key, 'device'));
+            return key;
+        } finally {
+            db.close();
+        }
+    }
+
+    openDb() {
+        const request = indexedDB.open(TUNNL_VAULT_DB_NAME, 1);
+        request.onupgradeneeded = () => request.result.createObjectStore(TUNNL_VAULT_DB_STORE);
+        return this.request(request);
+    }
+
+    request(request) {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    toBase64(bytes) {
+        return btoa(String.fromCharCode(...bytes));
+    }
+
+    fromBase64(text) {
+        return Uint8Array.from(atob(text), c => c.charCodeAt(0));
+    }
+}
+
+// "sk-proj-abc...xyz9" -> "sk-…xyz9"; short keys are fully hidden
+function maskApiKey(apiKey) {
+    const key = String(apiKey || '');
+    return key.length > 12 ? `${key.slice(0, 3)}…${key.slice(-4)}` : '••••';
+}
@@ -0,0 +1,129 @@
+// Response schemas for structured LLM output in tunnl.ai Chrome Extension
+// Sent to providers that support JSON schemas / tool calling, and used to validate every reply.
+// The validator covers the JSON Schema subset used here and by the backup format (backup-schema.js):
+// object, array, string, number, boolean, null (or a list of these), required, enum, minimum/maximum,
+// minLength, pattern, maxItems and additionalProperties.
+
+const TUNNL_LLM_SCHEMAS = {
+    verdict: {
+        name: 'url_verdict',
+        description: 'Whether the page should be blocked for the current task',
+        schema: {
+            type: 'object',
+            properties: {
+                shouldBlock: { type: 'boolean' },
+                reason: { type: 'string' },
+                activityUnderstanding: { type: 'string' },
+                confidence: { type: 'number', minimum: 0, maximum: 1 }
+            },
+            required: ['shouldBlock', 'reason', 'activityUnderstanding', 'confidence']
+        }
+    },
+    // Judging a URL against the whole task list (multiTaskAnalysis setting)
+    multiTaskVerdict: {
+        name: 'url_verdict_multi_task',
+        description: 'Whether the page serves any of the user\'s tasks, and which one',
+        schema: {
+            type: 'object',
+            properties: {
+                shouldBlock: { type: 'boolean' },
+                reason: { type: 'string' },
+                activityUnderstanding: { type: 'string' },
+                confidence: { type: 'number', minimum: 0, maximum: 1 },
+                matchedTask: { type: ['string', 'null'] }
+            },
+            required: ['shouldBlock', 'reason', 'activityUnderstanding', 'confidence', 'matchedTask']
+        }
+    },
+    taskValidation: {
+        name: 'task_validation',
+        description: 'Whether a task description is specific enough for website blocking',
+        schema: {
+            type: 'object',
+            properties: {
+                isValid: { type: 'boolean' },
+                reason: { type: 'string' },
+                suggestions: { type: 'array', items: { type: 'string' }, maxItems: 10 },
+                confidence: { type: 'number', minimum: 0, maximum: 1 },
+                sampleBlockedSites: { type: 'array', items: { type: 'string' }, maxItems: 10 }
+            },
+            required: ['isValid', 'reason', 'suggestions', 'confidence', 'sampleBlockedSites']
+        }
+    }
+};
+
+// Returns a list of human-readable problems; empty when the value matches the schema
+function validateLlmSchema(schema, value, path = 'response') {
+    const errors = [];
+    const actualType = Array.isArray(value) ? 'array' : value === null ? 'null' : typeof value;
+
+    const allowedTypes = [].concat(schema.type || []);
+    if (allowedTypes.length > 0 && !allowedTypes.includes(actualType)) {
+        errors.push(`${path} must be ${allowedTypes.join(' or ')}, got ${actualType}`);
+        return errors;
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+        errors.push(`${path} must be one of ${schema.enum.join(', ')}`);
+    }
+
+    if (actualType === 'string') {
+        if (typeof schema.minLength === 'number' && value.length < schema.minLength) errors.push(`${path} must have at least ${schema.minLength} characters`);
+        if (schema.pattern && !new RegExp(schema.pattern).test(value)) errors.push(`${path} has an invalid format`);
+    }
+
+    if (actualType === 'number') {
+        if (!Number.isFinite(value)) errors.push(`${path} must be a finite number`);
+        if (typeof schema.minimum === 'number' && value < schema.minimum) errors.push(`${path} must be >= ${schema.minimum}`);
+        if (typeof schema.maximum === 'number' && value > schema.maximum) errors.push(`${path} must be <= ${schema.maximum}`);
+    }
+
+    if (actualType === 'array') {
+        if (typeof schema.maxItems === 'number' && value.length > schema.maxItems) {
+            errors.push(`${path} must have at most ${schema.maxItems} items`);
+        }
+        if (schema.items) {
+            value.forEach((item, i) => errors.push(...validateLlmSchema(schema.items, item, `${path}[${i}]`)));
+        }
+    }
+
+    if (actualType === 'object') {
+        (schema.required || []).forEach(key => {
+            if (!(key in value)) errors.push(`${path}.${key} is required`);
+        });
+        Object.entries(schema.properties || {}).forEach(([key, propertySchema]) => {
+            if (key in value) errors.push(...validateLlmSchema(propertySchema, value[key], `${path}.${key}`));
+        });
+        // Maps such as { model: prices }: every key not listed in properties must match this schema
+        if (schema.additionalProperties) {
+            Object.entries(value)
+                .filter(([key]) => !(key in (schema.properties || {})))
+                .forEach(([key, item]) => errors.push(...validateLlmSchema(schema.additionalProperties, item, `${path}.${key}`)));
+        }
+    }
+
+    return errors;
+}
+
+// Parse a raw model reply against a named schema. Throws with every problem found.
+function parseLlmResponse(schemaName, content) {
+    const definition = TUNNL_LLM_SCHEMAS[schemaName];
+    if (!definition) {
+        throw new Error(`Unknown response schema: ${schemaName}`);
+    }
+
+    // Some local models wrap JSON in a markdown fence even in JSON mode
+    const text = String(content || '').trim().replace(/^```(?:json)?\s*/i, '').replace(/\s*```$/, '');
+    let value;
+    try {
+        value = JSON.parse(text);
+    } catch (error) {
+        throw new Error(`Reply is not valid JSON: ${error.message}`);
+    }
+
+    const errors = validateLlmSchema(definition.schema, value);
+    if (errors.length > 0) {
+        throw new Error(`Reply does not match the ${definition.name} schema: ${errors.join('; ')}`);
+    }
+    return value;
+}
@@ -3,19 +3,27 @@
 class TunnlOptions {
     constructor() {
         this.settings = {
-            openaiApiKey: '',
             tasks: [],
             extensionEnabled: true,
-            // blockingMode removed
-            blockedSites: [],
-            stats: { blockedCount: 0, analyzedCount: 0 },
-            allowlist: []
+            enforcementMode: 'suggest',
+            softBlockCountdownSeconds: 15,
+            allowlist: [],
+            blocklist: []
         };
+        this.apiKeyStatus = { configured: false }; // Masked status from the background; the key itself never reaches this page
+        this.pendingImport = null; // { backup, notes, fromVersion, fileName } waiting for review
+        this.policyPacks = []; // Installed policy packs as stored by the background
+        this.managed = { lockedKeys: [], allowlist: [], blocklist: [], allowDisable: true, allowBypass: true }; // Admin policy
+        this.savedSettings = {}; // Settings as last loaded or saved, to send only what this page changed
         this.init();
     }
 
     async init() {
         await this.loadSettings();
+        chrome.storage.onChanged.addListener((changes, area) => {
+            if (area === 'sync') this.refreshSettings();
+        });
+        await this.loadPolicyPacks();
         this.setupEventListeners();
         this.updateUI();
     }
@@ -26,44 +34,79 @@ class TunnlOptions {
             const response = await chrome.runtime.sendMessage({ type: 'GET_SETTINGS' });
             if (response.success) {
                 this.settings = response.settings;
+                this.apiKeyStatus = response.apiKeyStatus || { configured: false };
+                this.managed = response.managed || this.managed;
             } else {
                 console.error('Failed to load settings:', response.error);
                 this.settings = {
-                    openaiApiKey: '',
                     tasks: [],
                     extensionEnabled: true,
-                    // blockingMode removed
-                    blockedSites: [],
-                    stats: { blockedCount: 0, analyzedCount: 0 },
-                    allowlist: []
+                    enforcementMode: 'suggest',
+                    softBlockCountdownSeconds: 15,
+                    allowlist: [],
+                    blocklist: []
                 };
             }
         } catch (error) {
             console.error('Error loading settings:', error);
             this.settings = {
-                openaiApiKey: '',
                 tasks: [],
                 extensionEnabled: true,
-                // blockingMode removed
-                blockedSites: [],
-                stats: { blockedCount: 0, analyzedCount: 0 },
+                enforcementMode: 'suggest',
+                softBlockCountdownSeconds: 15,
                 allowlist: []
             };
         }
+        this.savedSettings = JSON.parse(JSON.stringify(this.settings));
+    }
+
+    // Pick up settings saved elsewhere (popup, options, daily rollover) for every key this page has not changed
+    async refreshSettings() {
+        try {
+            const response = await chrome.runtime.sendMessage({ type: 'GET_SETTINGS' });
+            if (!response?.success) return;
+            Object.keys(response.settings).forEach(key => {
+                if (JSON.stringify(this.settings[key]) === JSON.stringify(this.savedSettings[key])) {
+                    this.settings[key] = response.settings[key];
+                }
+                this.savedSettings[key] = JSON.parse(JSON.stringify(response.settings[key]));
+            });
+        } catch (error) {
+            console.error('Error refreshing settings:', error);
+        }
     }
 
     async saveSettings() {
         // Send settings to background script instead of writing storage directly
         try {
+            // Only the keys this page changed: the rest may have been saved since by another page or the background
+            const changes = {};
+            Object.keys(this.settings).forEach(key => {
+                if (JSON.stringify(this.settings[key]) !== JSON.stringify(this.savedSettings[key])) {
+                    changes[key] = this.settings[key];
+                }
+            });
+            if (Object.keys(changes).length === 0) return true;
+
             const response = await chrome.runtime.sendMessage({
                 type: 'UPDATE_SETTINGS',
-                settings: this.settings
+                settings: changes
             });
             if (!response.success) {
                 console.error('Failed to save settings:', response.error);
+                this.showMessage(response.error || 'Failed to save settings', 'error');
+                return false;
             }
+            if (response.apiKeyStatus) {
+                this.apiKeyStatus = response.apiKeyStatus; // The key is removed when the provider or base URL changes
+            }
+            Object.keys(changes).forEach(key => {
+                this.savedSettings[key] = JSON.parse(JSON.stringify(changes[key]));
+            });
+            return true;
         } catch (error) {
             console.error('Error saving settings:', error);
+            return false;
         }
     }
 
@@ -73,18 +116,57 @@ class TunnlOptions {
             this.saveApiKey();
         });
 
-        // Tasks save
+        // Tasks
+        document.getElementById('add-task-row').addEventListener('click', () => {
+            this.addTaskRow();
+        });
         document.getElementById('save-tasks').addEventListener('click', () => {
             this.saveTasks();
         });
 
-        // Extension settings section removed
+        // Schedule
+        document.getElementById('save-schedule').addEventListener('click', () => {
+            this.saveSchedule();
+        });
+
+        // Blocking settings
+        document.getElementById('save-blocking').addEventListener('click', () => {
+            this.saveBlockingSettings();
+        });
+
+        document.getElementById('enforcement-mode').addEventListener('change', (e) => {
+            this.toggleSoftBlockCountdown(e.target.value);
+        });
+
+        document.getElementById('bypass-challenge').addEventListener('change', (e) => {
+            this.toggleBypassChallengeSeconds(e.target.value);
+        });
 
         // Reset stats
         document.getElementById('reset-stats').addEventListener('click', () => {
             this.resetStats();
         });
 
+        // Focus analytics dashboard
+        document.getElementById('open-dashboard').addEventListener('click', () => {
+            chrome.tabs.create({ url: chrome.runtime.getURL('dashboard.html') });
+        });
+
+        // AI budget
+        document.getElementById('save-budget').addEventListener('click', () => {
+            this.saveBudgetSettings();
+        });
+
+        // Clear analysis cache
+        document.getElementById('clear-cache').addEventListener('click', () => {
+            this.clearCache();
+        });
+
+        // Event log retention
+        document.getElementById('event-retention').addEventListener('change', (e) => {
+            this.saveEventRetention(e.target.value);
+        });
+
         // Clear all data
         document.getElementById('clear-all-data').addEventListener('click', () => {
             this.clearAllData();
@@ -92,7 +174,11 @@ class TunnlOptions {
 
         // Export data
         document.getElementById('export-data').addEventListener('click', () => {
-            this.exportData();
+            this.exportData('full');
+        });
+
+        document.getElementById('export-shared').addEventListener('click', () => {
+            this.exportData('shared');
         });
 
         // Import data
@@ -102,123 +188,1046 @@ class TunnlOptions {
 
         document.getElementById('import-file').addEventListener('change', (e) => {
             this.importData(e.target.files[0]);
+            e.target.value = ''; // Let the same file be picked again
+        });
+
+        document.querySelectorAll('input[name="import-mode"]').forEach(radio => {
+            radio.addEventListener('change', () => this.renderImportPreview());
+        });
+
+        document.getElementById('apply-import').addEventListener('click', () => {
+            this.applyImport();
+        });
+
+        document.getElementById('cancel-import').addEventListener('click', () => {
+            this.pendingImport = null;
+            this.renderImportPreview();
+        });
+
+        // Policy packs
+        document.getElementById('subscribe-policy-pack').addEventListener('click', () => {
+            this.subscribePolicyPack();
+        });
+
+        document.getElementById('import-policy-pack').addEventListener('click', () => {
+            document.getElementById('policy-pack-file').click();
+        });
+
+        document.getElementById('policy-pack-file').addEventListener('change', (e) => {
+            this.importPolicyPack(e.target.files[0]);
+            e.target.value = '';
+        });
+
+        document.getElementById('check-policy-packs').addEventListener('click', () => {
+            this.checkPolicyPacks();
+        });
+
+        // Classification settings
+        document.getElementById('save-classification').addEventListener('click', () => {
+            this.saveClassificationSettings();
+        });
+
+        // Provider selection
+        document.getElementById('llm-provider').addEventListener('change', (e) => {
+            this.renderProviderFields(e.target.value);
+            this.renderApiKeyStatus();
+        });
+
+        document.getElementById('test-provider').addEventListener('click', () => {
+            this.testProvider();
+        });
+
+        document.getElementById('clear-api-key').addEventListener('click', () => {
+            this.clearApiKey();
+        });
+
+        document.getElementById('unlock-api-key').addEventListener('click', () => {
+            this.unlockApiKey();
         });
 
         // Enter key handlers
         document.getElementById('api-key').addEventListener('keypress', (e) => {
             if (e.key === 'Enter') this.saveApiKey();
         });
+
+        document.getElementById('api-key-unlock-passphrase').addEventListener('keypress', (e) => {
+            if (e.key === 'Enter') this.unlockApiKey();
+        });
     }
 
     async saveApiKey() {
+        const type = document.getElementById('llm-provider').value;
+        const provider = TUNNL_LLM_PROVIDERS[type];
         const apiKey = document.getElementById('api-key').value.trim();
-        
-        if (!apiKey) {
-            this.showMessage('Please enter your OpenAI API key', 'error');
+        const llmProvider = {
+            type,
+            baseUrl: document.getElementById('llm-base-url').value.trim(),
+            model: document.getElementById('llm-model').value.trim(),
+            apiVersion: document.getElementById('llm-api-version').value.trim()
+        };
+
+        const passphrase = document.getElementById('api-key-passphrase').value;
+
+        // An empty field keeps the saved key, but only for the server it was saved for
+        const endpointChanged = this.apiKeyStatus.configured && this.llmEndpointChanged(llmProvider);
+        if (provider.requiresApiKey && !apiKey && (!this.apiKeyStatus.configured || endpointChanged)) {
+            this.showMessage(endpointChanged
+                ? `Please enter the ${provider.label} API key for this server; the saved key is only sent to the server it was saved for`
+                : `Please enter your ${provider.label} API key`, 'error');
             return;
         }
 
-        if (!apiKey.startsWith('sk-')) {
+        if (type === 'openai' && apiKey && !apiKey.startsWith('sk-')) {
             this.showMessage('Invalid API key format. Should start with "sk-"', 'error');
             return;
         }
 
-        this.settings.openaiApiKey = apiKey;
-        await this.saveSettings();
-        
-        this.showMessage('API key saved successfully!', 'success');
+        const resolved = resolveLlmProviderConfig(llmProvider);
+        if (!resolved.baseUrl) {
+            this.showMessage('Please enter the base URL', 'error');
+            return;
+        }
+        if (!resolved.model) {
+            this.showMessage(type === 'azure' ? 'Please enter the deployment name' : 'Please enter the model name', 'error');
+            return;
+        }
+
+        // Saved first: the background removes the old key when the provider or base URL changes
+        this.settings.llmProvider = llmProvider;
+        if (!await this.saveSettings()) return;
+
+        try {
+            let response = null;
+            if (apiKey) {
+                response = await chrome.runtime.sendMessage({ type: 'SET_API_KEY', apiKey, passphrase });
+            } else if (passphrase) {
+                response = await chrome.runtime.sendMessage({ type: 'SET_API_KEY_PASSPHRASE', passphrase });
+            }
+            if (response && !response.success) {
+                throw new Error(response.error);
+            }
+            if (response) {
+                this.apiKeyStatus = response.apiKeyStatus;
+            }
+        } catch (error) {
+            this.showMessage(`Failed to save API key: ${error.message}`, 'error');
+            return;
+        }
+
+        document.getElementById('api-key').value = '';
+        document.getElementById('api-key-passphrase').value = '';
+        this.renderApiKeyStatus();
+
+        this.showMessage('API configuration saved successfully!', 'success');
+    }
+
+    // Whether a provider config points at another server than the saved one (the background then removes the key)
+    llmEndpointChanged(llmProvider) {
+        const saved = resolveLlmProviderConfig(this.settings.llmProvider);
+        const next = resolveLlmProviderConfig(llmProvider);
+        return saved.type !== next.type || saved.baseUrl !== next.baseUrl;
+    }
+
+    async unlockApiKey() {
+        const input = document.getElementById('api-key-unlock-passphrase');
+        try {
+            const response = await chrome.runtime.sendMessage({ type: 'UNLOCK_API_KEY', passphrase: input.value });
+            if (!response.success) {
+                throw new Error(response.error);
+            }
+            this.apiKeyStatus = response.apiKeyStatus;
+            input.value = '';
+            this.renderApiKeyStatus();
+            this.showMessage('API key unlocked until the browser closes', 'success');
+        } catch (error) {
+            this.showMessage(`Unlock failed: ${error.message}`, 'error');
+        }
+    }
+
+    async clearApiKey() {
+        if (!confirm('Remove the saved API key from this browser?')) return;
+        try {
+            const response = await chrome.runtime.sendMessage({ type: 'CLEAR_API_KEY' });
+            if (!response.success) {
+                throw new Error(response.error);
+            }
+            this.apiKeyStatus = response.apiKeyStatus;
+            this.renderApiKeyStatus();
+            this.showMessage('API key removed', 'success');
+        } catch (error) {
+            this.showMessage(`Failed to remove API key: ${error.message}`, 'error');
+        }
+    }
+
+    // Only the masked key and how it is protected are ever shown
+    renderApiKeyStatus() {
+        const status = this.apiKeyStatus || { configured: false };
+        const input = document.getElementById('api-key');
+        const statusEl = document.getElementById('api-key-status');
+
+        if (status.configured) {
+            input.placeholder = `Saved key ${status.masked} - leave empty to keep it`;
+        }
+
+        let text = '';
+        if (status.error) {
+            text = `${status.error}. Enter the key again.`;
+        } else if (status.locked) {
+            text = `Saved key ${status.masked} is locked. Enter your passphrase to use AI analysis.`;
+        } else if (status.protection === 'passphrase') {
+            text = `Saved key ${status.masked}, encrypted with your passphrase (unlocked until the browser closes).`;
+        } else if (status.configured) {
+            text = `Saved key ${status.masked}, encrypted on this device.`;
+        }
+        statusEl.textContent = text;
+        statusEl.classList.toggle('hidden', !text);
+        statusEl.classList.toggle('locked', !!(status.locked || status.error));
+
+        document.getElementById('api-key-unlock-group').classList.toggle('hidden', !(status.locked && status.protection === 'passphrase' && !status.error));
+        document.getElementById('clear-api-key').classList.toggle('hidden', !status.configured);
+    }
+
+    async testProvider() {
+        const button = document.getElementById('test-provider');
+        button.disabled = true;
+        try {
+            // Test what is in the form, so a key can be checked before it is saved
+            const response = await chrome.runtime.sendMessage({
+                type: 'TEST_PROVIDER',
+                apiKey: document.getElementById('api-key').value.trim() || undefined,
+                llmProvider: {
+                    type: document.getElementById('llm-provider').value,
+                    baseUrl: document.getElementById('llm-base-url').value.trim(),
+                    model: document.getElementById('llm-model').value.trim(),
+                    apiVersion: document.getElementById('llm-api-version').value.trim()
+                }
+            });
+            if (response.success) {
+                this.showMessage(`Connection OK, provider replied: "${response.reply}"`, 'success');
+            } else {
+                this.showMessage(`Connection failed: ${response.error}`, 'error');
+            }
+        } catch (error) {
+            this.showMessage(`Connection failed: ${error.message}`, 'error');
+        } finally {
+            button.disabled = false;
+        }
+    }
+
+    // Show provider defaults as placeholders and only the fields the provider uses
+    renderProviderFields(type) {
+        const provider = TUNNL_LLM_PROVIDERS[type] || TUNNL_LLM_PROVIDERS.openai;
+
+        document.getElementById('llm-base-url').placeholder = provider.defaultBaseUrl || 'https://<resource>.openai.azure.com';
+        document.getElementById('llm-base-url-hint').textContent = provider.defaultBaseUrl
+            ? 'Leave empty to use the provider default'
+            : 'Your Azure OpenAI resource endpoint';
+        document.getElementById('llm-model').placeholder = provider.defaultModel || 'deployment name';
+        document.getElementById('llm-model-label').textContent = type === 'azure' ? 'Deployment' : 'Model';
+        document.getElementById('llm-api-version').placeholder = provider.defaultApiVersion || '';
+        document.getElementById('llm-api-version-group').classList.toggle('hidden', type !== 'azure');
+        document.getElementById('api-key').placeholder = type === 'openai' ? 'sk-...' : '';
+        document.getElementById('api-key-hint').textContent = provider.requiresApiKey
+            ? 'Your API key is stored locally and never shared'
+            : 'Optional - only if your local server requires one';
+    }
+
+    createTask(title = '') {
+        return {
+            id: `task-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+            title,
+            notes: '',
+            priority: 'normal',
+            dueDate: null,
+            estimateMinutes: null,
+            status: 'open',
+            tags: [],
+            createdAt: Date.now(),
+            completedAt: null,
+            allowlist: [],
+            blocklist: []
+        };
+    }
+
+    // Task editor: edits a draft copy, saved as a whole
+    renderTaskEditor() {
+        const container = document.getElementById('task-editor');
+        container.innerHTML = '';
+
+        if (this.tasksDraft.length === 0) {
+            const empty = document.createElement('div');
+            empty.className = 'empty-state';
+            empty.textContent = 'No tasks yet. Add one to get started.';
+            container.appendChild(empty);
+            return;
+        }
+
+        this.tasksDraft.forEach((task, idx) => {
+            const row = document.createElement('div');
+            row.className = 'task-editor-row';
+
+            const main = document.createElement('div');
+            main.className = 'task-editor-line';
+
+            const done = document.createElement('input');
+            done.type = 'checkbox';
+            done.title = 'Done';
+            done.checked = task.status === 'done';
+            done.addEventListener('change', () => { task.status = done.checked ? 'done' : 'open'; });
+
+            const title = document.createElement('input');
+            title.type = 'text';
+            title.className = 'task-editor-wide task-editor-title';
+            title.placeholder = 'What do you want to get done?';
+            title.value = task.title;
+            // Policy packs match their tasks by title
+            title.disabled = !!task.locked;
+            title.addEventListener('input', () => { task.title = title.value.trim(); });
+
+            const priority = document.createElement('select');
+            priority.title = 'Priority';
+            [['high', 'High'], ['normal', 'Normal'], ['low', 'Low']].forEach(([value, label]) => {
+                const option = document.createElement('option');
+                option.value = value;
+                option.textContent = label;
+                priority.appendChild(option);
+            });
+            priority.value = task.priority || 'normal';
+            priority.addEventListener('change', () => { task.priority = priority.value; });
+
+            const due = document.createElement('input');
+            due.type = 'date';
+            due.title = 'Due date';
+            due.value = task.dueDate || '';
+            due.addEventListener('change', () => { task.dueDate = due.value || null; });
+
+            const estimate = document.createElement('input');
+            estimate.type = 'number';
+            estimate.min = '1';
+            estimate.placeholder = 'Minutes';
+            estimate.title = 'Estimated time in minutes';
+            estimate.value = task.estimateMinutes || '';
+            estimate.addEventListener('input', () => { task.estimateMinutes = estimate.value; });
+
+            main.appendChild(done);
+            main.appendChild(title);
+            main.appendChild(priority);
+            main.appendChild(due);
+            main.appendChild(estimate);
+            if (task.locked) {
+                main.appendChild(this.createLockLabel());
+            } else {
+                const removeBtn = document.createElement('button');
+                removeBtn.className = 'btn btn-danger';
+                removeBtn.textContent = '×';
+                removeBtn.title = 'Remove task';
+                removeBtn.addEventListener('click', () => {
+                    this.tasksDraft.splice(idx, 1);
+                    this.renderTaskEditor();
+                });
+                main.appendChild(removeBtn);
+            }
+
+            const extra = document.createElement('div');
+            extra.className = 'task-editor-line';
+
+            const tags = document.createElement('input');
+            tags.type = 'text';
+            tags.placeholder = 'Tags (writing, client-a)';
+            tags.value = (task.tags || []).join(', ');
+            tags.addEventListener('input', () => {
+                task.tags = tags.value.split(',').map(tag => tag.trim()).filter(tag => tag.length > 0);
+            });
+
+            const notes = document.createElement('input');
+            notes.type = 'text';
+            notes.className = 'task-editor-wide';
+            notes.placeholder = 'Notes';
+            notes.maxLength = 500;
+            notes.value = task.notes || '';
+            notes.addEventListener('input', () => { task.notes = notes.value; });
+
+            extra.appendChild(tags);
+            extra.appendChild(notes);
+
+            row.appendChild(main);
+            row.appendChild(extra);
+            container.appendChild(row);
+        });
+    }
+
+    addTaskRow() {
+        this.tasksDraft.push(this.createTask());
+        this.renderTaskEditor();
+        const titles = document.querySelectorAll('#task-editor .task-editor-title');
+        titles[titles.length - 1]?.focus();
     }
 
     async saveTasks() {
-        const taskText = document.getElementById('tasks').value.trim();
-        
-        if (!taskText) {
+        const tasks = this.tasksDraft.filter(task => task.title);
+        if (tasks.length === 0) {
             this.showMessage('Please enter at least one task', 'error');
             return;
         }
 
-        const tasks = taskText.split('\n')
-            .map(task => task.trim())
-            .filter(task => task.length > 0);
+        const titles = tasks.map(task => task.title.toLowerCase());
+        const duplicate = tasks.find((task, idx) => titles.indexOf(task.title.toLowerCase()) !== idx);
+        if (duplicate) {
+            this.showMessage(`"${duplicate.title}" is listed twice`, 'error');
+            return;
+        }
+
+        for (const task of tasks) {
+            if (task.estimateMinutes === '' || task.estimateMinutes === null) {
+                task.estimateMinutes = null;
+                continue;
+            }
+            const minutes = Number(task.estimateMinutes);
+            if (!Number.isInteger(minutes) || minutes < 1 || minutes > 1440) {
+                this.showMessage(`Estimated time for "${task.title}" must be whole minutes between 1 and 1440`, 'error');
+                return;
+            }
+            task.estimateMinutes = minutes;
+        }
+
+        // Keep the completion time of tasks that were already done
+        const existing = this.settings.tasks || [];
+        tasks.forEach(task => {
+            const before = existing.find(candidate => candidate.id === task.id);
+            task.completedAt = task.status === 'done'
+                ? (before?.status === 'done' ? before.completedAt : Date.now())
+                : null;
+        });
+
+        // Tasks locked by a policy pack cannot be removed
+        const keptLocked = existing.filter(task => task.locked && !tasks.some(candidate => candidate.id === task.id));
+        tasks.push(...keptLocked);
 
         this.settings.tasks = tasks;
-        await this.saveSettings();
+        this.settings.carryOverUnfinishedTasks = document.getElementById('carry-over-unfinished-tasks').checked;
+        if (!(await this.saveSettings())) {
+            await this.loadSettings(); // Keep the draft so it can be shortened; saveSettings showed why
+            return;
+        }
+        // Re-read: the background normalizes tags and clears the current task if it was marked done
+        await this.loadSettings();
+        this.tasksDraft = JSON.parse(JSON.stringify(this.settings.tasks));
+        this.renderTaskEditor();
+        this.renderTaskRules();
         
-        this.showMessage(`Saved ${tasks.length} tasks!`, 'success');
+        this.showMessage(keptLocked.length > 0
+            ? `Saved ${tasks.length} tasks! Kept locked policy pack tasks: ${keptLocked.map(task => task.title).join(', ')}`
+            : `Saved ${tasks.length} tasks!`, 'success');
+    }
+
+    // Archived tasks from the event log, grouped by the day they were done (or left unfinished)
+    async renderTaskHistory() {
+        const container = document.getElementById('task-history-list');
+        if (!container) return;
+
+        let entries;
+        try {
+            const response = await chrome.runtime.sendMessage({ type: 'GET_TASK_HISTORY' });
+            if (!response.success) throw new Error(response.error);
+            entries = response.entries;
+        } catch (error) {
+            console.error('Error loading task history:', error);
+            return;
+        }
+
+        container.innerHTML = '';
+        if (entries.length === 0) {
+            const empty = document.createElement('div');
+            empty.className = 'empty-state';
+            empty.textContent = 'No archived tasks yet. Completed tasks move here the day after you finish them.';
+            container.appendChild(empty);
+            return;
+        }
+
+        const days = new Map();
+        entries.forEach(entry => {
+            if (!days.has(entry.day)) days.set(entry.day, []);
+            days.get(entry.day).push(entry);
+        });
+
+        [...days.keys()].sort().reverse().forEach(day => {
+            const header = document.createElement('div');
+            header.className = 'task-history-day';
+            header.textContent = new Date(`${day}T00:00`).toLocaleDateString(undefined, { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' });
+            container.appendChild(header);
+
+            days.get(day).forEach(entry => {
+                const row = document.createElement('div');
+                row.className = 'learned-rule';
+
+                const status = document.createElement('span');
+                status.className = `task-history-status ${entry.status === 'done' ? 'done' : 'open'}`;
+                status.textContent = entry.status === 'done' ? 'done' : 'not finished';
+
+                const text = document.createElement('div');
+                text.className = 'learned-rule-text';
+                const details = [
+                    entry.priority && entry.priority !== 'normal' ? `${entry.priority} priority` : '',
+                    entry.dueDate ? `due ${entry.dueDate}` : '',
+                    entry.estimateMinutes ? `~${entry.estimateMinutes} min` : '',
+                    ...(entry.tags || []).map(tag => `#${tag}`)
+                ].filter(Boolean);
+                text.textContent = details.length > 0 ? `${entry.title} (${details.join(', ')})` : entry.title;
+                if (entry.notes) text.title = entry.notes;
+
+                row.appendChild(status);
+                row.appendChild(text);
+                container.appendChild(row);
+            });
+        });
+    }
+
+    // Schedule editor: edits a draft copy, saved as a whole
+    renderSchedule() {
+        const dayNames = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+        const container = document.getElementById('schedule-days');
+        container.innerHTML = '';
+
+        const taskOptions = document.getElementById('schedule-task-options');
+        taskOptions.innerHTML = '';
+        (this.settings.tasks || []).forEach(task => {
+            const option = document.createElement('option');
+            option.value = task.title;
+            taskOptions.appendChild(option);
+        });
+
+        // Monday first
+        [1, 2, 3, 4, 5, 6, 0].forEach(day => {
+            const ranges = this.scheduleDraft.days[day] || (this.scheduleDraft.days[day] = []);
+
+            const dayRow = document.createElement('div');
+            dayRow.className = 'schedule-day';
+
+            const header = document.createElement('div');
+            header.className = 'schedule-day-header';
+            const name = document.createElement('span');
+            name.textContent = ranges.length > 0 ? dayNames[day] : `${dayNames[day]} (off)`;
+            const addBtn = document.createElement('button');
+            addBtn.className = 'btn btn-secondary';
+            addBtn.textContent = 'Add hours';
+            addBtn.addEventListener('click', () => {
+                ranges.push({ start: '09:00', end: '17:00', task: '' });
+                this.renderSchedule();
+            });
+            header.appendChild(name);
+            header.appendChild(addBtn);
+            dayRow.appendChild(header);
+
+            ranges.forEach((range, idx) => {
+                const row = document.createElement('div');
+                row.className = 'schedule-range';
+
+                const start = document.createElement('input');
+                start.type = 'time';
+                start.value = range.start;
+                start.addEventListener('change', () => { range.start = start.value; });
+
+                const end = document.createElement('input');
+                end.type = 'time';
+                end.value = range.end;
+                end.addEventListener('change', () => { range.end = end.value; });
+
+                const task = document.createElement('input');
+                task.type = 'text';
+                task.placeholder = 'Default task (optional)';
+                task.setAttribute('list', 'schedule-task-options');
+                task.value = range.task || '';
+                task.addEventListener('input', () => { range.task = task.value.trim(); });
+
+                const removeBtn = document.createElement('button');
+                removeBtn.className = 'btn btn-danger';
+                removeBtn.textContent = '×';
+                removeBtn.title = 'Remove time range';
+                removeBtn.addEventListener('click', () => {
+                    ranges.splice(idx, 1);
+                    this.renderSchedule();
+                });
+
+                row.appendChild(start);
+                row.appendChild(end);
+                row.appendChild(task);
+                row.appendChild(removeBtn);
+                dayRow.appendChild(row);
+            });
+
+            container.appendChild(dayRow);
+        });
+    }
+
+    async saveSchedule() {
+        const days = {};
+        for (const [day, ranges] of Object.entries(this.scheduleDraft.days)) {
+            for (const range of ranges) {
+                if (!/^\d{2}:\d{2}$/.test(range.start) || !/^\d{2}:\d{2}$/.test(range.end) || range.start >= range.end) {
+                    this.showMessage('Each time range needs a start time before its end time', 'error');
+                    return;
+                }
+            }
+            if (ranges.length > 0) {
+                days[day] = ranges
+                    .map(range => ({ start: range.start, end: range.end, task: range.task || '' }))
+                    .sort((a, b) => a.start.localeCompare(b.start));
+            }
+        }
+
+        const exceptions = document.getElementById('schedule-exceptions').value
+            .split('\n')
+            .map(line => line.trim())
+            .filter(line => line.length > 0);
+        const invalidDate = exceptions.find(date => !/^\d{4}-\d{2}-\d{2}$/.test(date) || isNaN(new Date(date)));
+        if (invalidDate) {
+            this.showMessage(`Invalid date: ${invalidDate} (use YYYY-MM-DD)`, 'error');
+            return;
+        }
+
+        const enabled = document.getElementById('schedule-enabled').checked;
+        if (enabled && Object.keys(days).length === 0) {
+            this.showMessage('Add at least one time range before enabling the schedule', 'error');
+            return;
+        }
+
+        this.settings.schedule = { enabled, days, exceptions };
+        await this.saveSettings();
+        this.showMessage('Schedule saved!', 'success');
+    }
+
+    async saveBlockingSettings() {
+        const mode = document.getElementById('enforcement-mode').value;
+        const countdown = parseInt(document.getElementById('soft-block-countdown').value, 10);
+
+        if (mode === 'soft' && (!Number.isFinite(countdown) || countdown < 3 || countdown > 300)) {
+            this.showMessage('Countdown must be between 3 and 300 seconds', 'error');
+            return;
+        }
+
+        const challenge = document.getElementById('bypass-challenge').value;
+        const challengeSeconds = parseInt(document.getElementById('bypass-challenge-seconds').value, 10);
+        if (challenge === 'countdown' && (!Number.isFinite(challengeSeconds) || challengeSeconds < 3 || challengeSeconds > 300)) {
+            this.showMessage('Unblock countdown must be between 3 and 300 seconds', 'error');
+            return;
+        }
+
+        const durations = document.getElementById('bypass-durations').value
+            .split(',')
+            .map(value => value.trim())
+            .filter(value => value.length > 0)
+            .map(value => Number(value));
+        if (durations.length === 0 || durations.some(minutes => !Number.isInteger(minutes) || minutes < 1 || minutes > 240)) {
+            this.showMessage('Unblock lengths must be whole minutes between 1 and 240, separated by commas', 'error');
+            return;
+        }
+
+        const limits = {};
+        for (const [key, id, max] of [
+            ['dailyLimitPerSite', 'bypass-limit-site', 100],
+            ['dailyLimitTotal', 'bypass-limit-total', 100],
+            ['cooldownMinutes', 'bypass-cooldown', 1440]
+        ]) {
+            const value = parseInt(document.getElementById(id).value || '0', 10);
+            if (!Number.isFinite(value) || value < 0 || value > max) {
+                this.showMessage(`${document.querySelector(`label[for="${id}"]`).textContent} must be between 0 and ${max}`, 'error');
+                return;
+            }
+            limits[key] = value;
+        }
+
+        this.settings.enforcementMode = mode;
+        if (Number.isFinite(countdown)) {
+            this.settings.softBlockCountdownSeconds = countdown;
+        }
+        this.settings.bypassFriction = {
+            requireReason: document.getElementById('bypass-require-reason').checked,
+            challenge,
+            challengeSeconds: Number.isFinite(challengeSeconds) ? challengeSeconds : 10,
+            durations,
+            ...limits
+        };
+        await this.saveSettings();
+
+        this.showMessage('Blocking settings saved!', 'success');
+    }
+
+    async saveClassificationSettings() {
+        const lines = document.getElementById('custom-rules').value
+            .split('\n')
+            .map(line => line.trim())
+            .filter(line => line.length > 0);
+
+        const cacheTtlHours = parseInt(document.getElementById('cache-ttl').value, 10);
+        if (!Number.isFinite(cacheTtlHours) || cacheTtlHours < 0 || cacheTtlHours > 720) {
+            this.showMessage('Cache duration must be between 0 and 720 hours', 'error');
+            return;
+        }
+
+        const aiRequestsPerMinute = parseInt(document.getElementById('ai-requests-per-minute').value, 10);
+        if (!Number.isFinite(aiRequestsPerMinute) || aiRequestsPerMinute < 1 || aiRequestsPerMinute > 600) {
+            this.showMessage('AI requests per minute must be between 1 and 600', 'error');
+            return;
+        }
+
+        const rules = [];
+        for (const line of lines) {
+            try {
+                rules.push(TunnlLocalClassifier.parseRule(line));
+            } catch (error) {
+                this.showMessage(`Invalid rule: ${error.message}`, 'error');
+                return;
+            }
+        }
+
+        this.settings.classificationMode = document.getElementById('classification-mode').value;
+        this.settings.customRules = rules;
+        this.settings.cacheTtlHours = cacheTtlHours;
+        this.settings.contentAnalysisEnabled = document.getElementById('content-analysis-enabled').checked;
+        this.settings.multiTaskAnalysis = document.getElementById('multi-task-analysis').checked;
+        this.settings.aiFailurePolicy = document.getElementById('ai-failure-policy').value;
+        this.settings.aiRequestsPerMinute = aiRequestsPerMinute;
+        await this.saveSettings();
+
+        this.showMessage(`Classification settings saved (${rules.length} custom rules)`, 'success');
     }
 
-    // saveExtensionSettings removed
+    toggleSoftBlockCountdown(mode) {
+        document.getElementById('soft-block-countdown-group').classList.toggle('hidden', mode !== 'soft');
+    }
+
+    toggleBypassChallengeSeconds(challenge) {
+        document.getElementById('bypass-challenge-seconds-group').classList.toggle('hidden', challenge !== 'countdown');
+    }
 
     async resetStats() {
         if (confirm('Are you sure you want to reset all statistics? This cannot be undone.')) {
-            this.settings.stats = { blockedCount: 0, analyzedCount: 0 };
-            await this.saveSettings();
+            await chrome.runtime.sendMessage({ type: 'RESET_STATS' });
+            await chrome.runtime.sendMessage({ type: 'CLEAR_ACTIVITY' });
             this.updateUI();
             this.showMessage('Statistics reset successfully!', 'success');
         }
     }
 
+    async clearCache() {
+        try {
+            const response = await chrome.runtime.sendMessage({ type: 'CLEAR_CACHE' });
+            if (!response.success) {
+                throw new Error(response.error);
+            }
+            await this.renderCacheStats();
+            this.showMessage('Analysis cache cleared', 'success');
+        } catch (error) {
+            this.showMessage(`Failed to clear cache: ${error.message}`, 'error');
+        }
+    }
+
+    async renderUsage() {
+        const prices = this.settings.modelPrices && Object.keys(this.settings.modelPrices).length > 0
+            ? this.settings.modelPrices
+            : TUNNL_DEFAULT_MODEL_PRICES;
+        document.getElementById('monthly-budget').value = this.settings.monthlyBudgetUsd || 0;
+        document.getElementById('model-prices').value = Object.entries(prices)
+            .map(([model, price]) => `${model} ${price.input} ${price.output}`)
+            .join('\n');
+
+        try {
+            const response = await chrome.runtime.sendMessage({ type: 'GET_USAGE' });
+            if (!response.success) return;
+            const usage = response.usage;
+
+            const pad = n => String(n).padStart(2, '0');
+            const dateKey = date => `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+            const now = new Date();
+            const monthKey = dateKey(now).slice(0, 7);
+            const monthDays = Object.entries(usage.days).filter(([key]) => key.startsWith(monthKey)).map(([, day]) => day);
+            const formatCost = cost => `$${cost < 0.01 && cost > 0 ? cost.toFixed(4) : cost.toFixed(2)}`;
+
+            document.getElementById('usage-month-cost').textContent = formatCost(usage.monthSpend);
+            document.getElementById('usage-month-calls').textContent = monthDays.reduce((sum, day) => sum + day.calls, 0);
+            document.getElementById('usage-month-tokens').textContent = monthDays
+                .reduce((sum, day) => sum + day.promptTokens + day.completionTokens, 0)
+                .toLocaleString();
+            document.getElementById('usage-today-cost').textContent = formatCost(usage.days[dateKey(now)]?.cost || 0);
+
+            const status = document.getElementById('usage-budget-status');
+            status.classList.toggle('hidden', !(usage.monthlyBudgetUsd > 0));
+            status.classList.toggle('over', usage.overBudget);
+            if (usage.monthlyBudgetUsd > 0) {
+                status.textContent = usage.overBudget
+                    ? `Monthly budget of ${formatCost(usage.monthlyBudgetUsd)} reached - using cached verdicts and local rules only until next month.`
+                    : `${formatCost(usage.monthSpend)} of ${formatCost(usage.monthlyBudgetUsd)} budget used this month.`;
+            }
+
+            const daily = [];
+            for (let i = 29; i >= 0; i--) {
+                const date = new Date(now.getFullYear(), now.getMonth(), now.getDate() - i);
+                const key = dateKey(date);
+                daily.push({ label: String(date.getDate()), title: key, cost: usage.days[key]?.cost || 0 });
+            }
+            this.renderUsageChart('usage-daily-chart', daily, formatCost);
+
+            const monthly = [];
+            for (let i = 11; i >= 0; i--) {
+                const date = new Date(now.getFullYear(), now.getMonth() - i, 1);
+                const key = dateKey(date).slice(0, 7);
+                const cost = Object.entries(usage.days)
+                    .filter(([dayKey]) => dayKey.startsWith(key))
+                    .reduce((sum, [, day]) => sum + day.cost, 0);
+                monthly.push({ label: date.toLocaleString(undefined, { month: 'short' }), title: key, cost });
+            }
+            this.renderUsageChart('usage-monthly-chart', monthly, formatCost);
+
+            const purposes = {};
+            monthDays.forEach(day => Object.entries(day.byPurpose || {}).forEach(([purpose, totals]) => {
+                const entry = purposes[purpose] || (purposes[purpose] = { calls: 0, cost: 0 });
+                entry.calls += totals.calls;
+                entry.cost += totals.cost;
+            }));
+            const purposeLabels = { analyze: 'URL analysis', content: 'Page content analysis', validate: 'Task validation', test: 'Connection tests' };
+            document.getElementById('usage-purpose-list').textContent = Object.keys(purposes).length > 0
+                ? 'This month: ' + Object.entries(purposes)
+                    .map(([purpose, totals]) => `${purposeLabels[purpose] || purpose} ${totals.calls} calls (${formatCost(totals.cost)})`)
+                    .join(' · ')
+                : 'No AI calls this month.';
+        } catch (error) {
+            console.error('Error loading AI usage:', error);
+        }
+    }
+
+    renderUsageChart(containerId, bars, formatCost) {
+        const container = document.getElementById(containerId);
+        container.innerHTML = '';
+        const max = Math.max(...bars.map(bar => bar.cost), 0);
+
+        bars.forEach(bar => {
+            const column = document.createElement('div');
+            column.className = 'usage-bar';
+            column.title = `${bar.title}: ${formatCost(bar.cost)}`;
+
+            const fill = document.createElement('div');
+            fill.className = 'usage-bar-fill';
+            fill.style.height = `${max > 0 ? Math.round((bar.cost / max) * 85) : 0}%`;
+
+            const label = document.createElement('span');
+            label.textContent = bar.label;
+
+            column.appendChild(fill);
+            column.appendChild(label);
+            container.appendChild(column);
+        });
+    }
+
+    async saveBudgetSettings() {
+        const budget = parseFloat(document.getElementById('monthly-budget').value);
+        if (!Number.isFinite(budget) || budget < 0) {
+            this.showMessage('Monthly budget must be 0 or more', 'error');
+            return;
+        }
+
+        const prices = {};
+        const lines = document.getElementById('model-prices').value
+            .split('\n')
+            .map(line => line.trim())
+            .filter(line => line.length > 0);
+        for (const line of lines) {
+            const [model, input, output] = line.split(/\s+/);
+            const inputPrice = Number(input);
+            const outputPrice = Number(output);
+            if (!model || !Number.isFinite(inputPrice) || !Number.isFinite(outputPrice) || inputPrice < 0 || outputPrice < 0) {
+                this.showMessage(`Invalid price line: "${line}" (expected: model input output)`, 'error');
+                return;
+            }
+            prices[model.toLowerCase()] = { input: inputPrice, output: outputPrice };
+        }
+
+        this.settings.monthlyBudgetUsd = budget;
+        this.settings.modelPrices = prices;
+        await this.saveSettings();
+        this.renderUsage();
+
+        this.showMessage('Budget settings saved', 'success');
+    }
+
+    async renderCacheStats() {
+        try {
+            const response = await chrome.runtime.sendMessage({ type: 'GET_CACHE_STATS' });
+            if (!response.success) return;
+
+            const { hits, misses, entries } = response.stats;
+            const lookups = hits + misses;
+            document.getElementById('cache-hits').textContent = hits;
+            document.getElementById('cache-misses').textContent = misses;
+            document.getElementById('cache-hit-rate').textContent = `${lookups > 0 ? Math.round((hits / lookups) * 100) : 0}%`;
+            document.getElementById('cache-entries').textContent = entries;
+        } catch (error) {
+            console.error('Error loading cache stats:', error);
+        }
+    }
+
+    async saveEventRetention(value) {
+        this.settings.eventRetentionDays = parseInt(value, 10);
+        await this.saveSettings();
+        this.showMessage(this.settings.eventRetentionDays > 0
+            ? `History older than ${this.settings.eventRetentionDays} days will be deleted`
+            : 'History will be kept until you clear it', 'success');
+    }
+
     async clearAllData() {
         if (confirm('Are you sure you want to clear ALL data? This will remove your API key, tasks, and all statistics. This cannot be undone.')) {
+            await chrome.runtime.sendMessage({ type: 'CLEAR_EVENTS' });
+            await chrome.runtime.sendMessage({ type: 'CLEAR_API_KEY' });
             await chrome.storage.sync.clear();
             await chrome.storage.local.clear();
+            this.apiKeyStatus = { configured: false };
             this.settings = {
-                openaiApiKey: '',
                 tasks: [],
-                extensionEnabled: true,
-                blockedSites: [],
-                stats: { blockedCount: 0, analyzedCount: 0 }
+                extensionEnabled: true
             };
             this.updateUI();
             this.showMessage('All data cleared successfully!', 'success');
         }
     }
 
-    exportData() {
-        const data = {
-            settings: this.settings,
-            exportDate: new Date().toISOString(),
-            version: '1.0.0'
-        };
+    // scope 'full' backs up every setting; 'shared' only tasks and rules (see backup-schema.js)
+    async exportData(scope) {
+        let stats = null;
+        let apiKey = '';
 
+        if (scope === 'full') {
+            const response = await chrome.runtime.sendMessage({ type: 'GET_HISTORY' });
+            stats = response?.success ? response.history.stats : null;
+
+            // The API key is left out unless the user opts in for this export
+            if (document.getElementById('export-include-api-key').checked) {
+                if (!confirm('The exported file will contain your API key in plain text. Anyone with the file can use it. Continue?')) return;
+                const response = await chrome.runtime.sendMessage({ type: 'EXPORT_API_KEY', confirmed: true });
+                if (!response.success) {
+                    this.showMessage(`Export failed: ${response.error}`, 'error');
+                    return;
+                }
+                apiKey = response.apiKey;
+            }
+        }
+
+        const data = createTunnlBackup(this.settings, { scope, stats, apiKey });
         const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
         const url = URL.createObjectURL(blob);
         
         const a = document.createElement('a');
         a.href = url;
-        a.download = `taskfocus-backup-${new Date().toISOString().split('T')[0]}.json`;
+        a.download = `taskfocus-${scope === 'shared' ? 'tasks-and-rules' : 'backup'}-${new Date().toISOString().split('T')[0]}.json`;
         document.body.appendChild(a);
         a.click();
         document.body.removeChild(a);
         URL.revokeObjectURL(url);
 
-        this.showMessage('Data exported successfully!', 'success');
+        this.showMessage(scope === 'shared' ? 'Tasks and rules exported successfully!' : 'Data exported successfully!', 'success');
     }
 
+    // Imports are parsed, upgraded and validated first, then shown as a preview until applied
     async importData(file) {
         if (!file) return;
 
         try {
-            const text = await file.text();
-            const data = JSON.parse(text);
+            const { backup, notes, fromVersion } = parseTunnlBackup(await file.text());
+            this.pendingImport = { backup, notes, fromVersion, fileName: file.name };
+            // Shared files are meant to be added to what you have
+            document.querySelector(`input[name="import-mode"][value="${backup.scope === 'shared' ? 'merge' : 'replace'}"]`).checked = true;
+            this.renderImportPreview();
+        } catch (error) {
+            this.pendingImport = null;
+            this.renderImportPreview();
+            this.showMessage(`Import failed: ${error.message}`, 'error');
+        }
+    }
+
+    importMode() {
+        return document.querySelector('input[name="import-mode"]:checked').value;
+    }
 
-            if (!data.settings) {
-                throw new Error('Invalid backup file format');
+    renderImportPreview() {
+        const panel = document.getElementById('import-preview');
+        const pending = this.pendingImport;
+        panel.classList.toggle('hidden', !pending);
+        if (!pending) return;
+
+        const { backup, notes, fromVersion, fileName } = pending;
+        const mode = this.importMode();
+        const exported = backup.exportedAt ? new Date(backup.exportedAt).toLocaleString() : 'unknown date';
+        document.getElementById('import-summary').textContent =
+            `${fileName}: ${backup.scope === 'shared' ? 'tasks and rules' : 'full backup'} from ${exported}` +
+            (fromVersion < TUNNL_BACKUP_VERSION ? ` (upgraded from format version ${fromVersion})` : '');
+
+        const noteItems = [...notes];
+        if (backup.apiKey) {
+            noteItems.push('The file contains an API key; it replaces your saved key');
+        } else if (this.apiKeyStatus.configured && this.llmEndpointChanged(applyTunnlBackup(this.settings, backup, mode).llmProvider)) {
+            noteItems.push('The file uses another AI provider or server; your saved API key is removed and you need to enter the key for that server');
+        }
+        if (backup.stats && mode === 'replace') noteItems.push(`Counters are restored from the file (${backup.stats.blockedCount} blocked, ${backup.stats.analyzedCount} analyzed)`);
+        const notesEl = document.getElementById('import-notes');
+        notesEl.innerHTML = '';
+        noteItems.forEach(note => {
+            const li = document.createElement('li');
+            li.textContent = note;
+            notesEl.appendChild(li);
+        });
+
+        const body = document.getElementById('import-diff');
+        body.innerHTML = '';
+        const changes = diffTunnlBackup(this.settings, backup, mode);
+        if (changes.length === 0) {
+            const row = document.createElement('tr');
+            const cell = document.createElement('td');
+            cell.colSpan = 2;
+            cell.textContent = 'No setting changes';
+            row.appendChild(cell);
+            body.appendChild(row);
+        }
+        changes.forEach(change => {
+            const row = document.createElement('tr');
+            const label = document.createElement('td');
+            label.textContent = change.label;
+            const summary = document.createElement('td');
+            summary.textContent = change.summary;
+            row.append(label, summary);
+            body.appendChild(row);
+        });
+    }
+
+    async applyImport() {
+        const pending = this.pendingImport;
+        if (!pending) return;
+        const { backup } = pending;
+        const mode = this.importMode();
+
+        try {
+            if (backup.stats && mode === 'replace') {
+                const response = await chrome.runtime.sendMessage({ type: 'RESTORE_STATS', stats: backup.stats });
+                if (!response.success) throw new Error(response.error);
             }
 
-            // Validate the data structure
-            const requiredFields = ['openaiApiKey', 'tasks', 'extensionEnabled'];
-            for (const field of requiredFields) {
-                if (!(field in data.settings)) {
-                    throw new Error(`Missing required field: ${field}`);
-                }
+            // Saved before the key: a new provider or base URL removes the saved key in the background
+            this.settings = applyTunnlBackup(this.settings, backup, mode);
+            if (!await this.saveSettings()) {
+                await this.loadSettings();
+                return;
             }
 
-            // Import the settings
-            this.settings = { ...this.settings, ...data.settings };
-            await this.saveSettings();
+            // A key in the backup goes to the encrypted vault, never into settings
+            if (backup.apiKey) {
+                const response = await chrome.runtime.sendMessage({ type: 'SET_API_KEY', apiKey: backup.apiKey });
+                if (!response.success) throw new Error(response.error);
+                this.apiKeyStatus = response.apiKeyStatus;
+            }
+            // Re-read so tasks get their ids and list entries their normalized form
+            await this.loadSettings();
             this.updateUI();
+            await this.renderHistory();
 
+            this.pendingImport = null;
+            this.renderImportPreview();
             this.showMessage('Data imported successfully!', 'success');
 
         } catch (error) {
@@ -228,41 +1237,71 @@ class TunnlOptions {
 
     updateUI() {
         // Populate form fields
-        document.getElementById('api-key').value = this.settings.openaiApiKey;
-        document.getElementById('tasks').value = this.settings.tasks.join('\n');
+        const llmProvider = this.settings.llmProvider || { type: 'openai' };
+        document.getElementById('llm-provider').value = TUNNL_LLM_PROVIDERS[llmProvider.type] ? llmProvider.type : 'openai';
+        document.getElementById('llm-base-url').value = llmProvider.baseUrl || '';
+        document.getElementById('llm-model').value = llmProvider.model || '';
+        document.getElementById('llm-api-version').value = llmProvider.apiVersion || '';
+        this.renderProviderFields(document.getElementById('llm-provider').value);
+        document.getElementById('api-key').value = '';
+        this.renderApiKeyStatus();
+        this.tasksDraft = JSON.parse(JSON.stringify(this.settings.tasks || []));
+        this.renderTaskEditor();
+        document.getElementById('carry-over-unfinished-tasks').checked = this.settings.carryOverUnfinishedTasks !== false;
         // extension-enabled removed from UI
-        this.renderAllowlist();
+        const schedule = this.settings.schedule || { enabled: false, days: {}, exceptions: [] };
+        this.scheduleDraft = JSON.parse(JSON.stringify({ days: schedule.days || {} }));
+        document.getElementById('schedule-enabled').checked = !!schedule.enabled;
+        document.getElementById('schedule-exceptions').value = (schedule.exceptions || []).join('\n');
+        this.renderSchedule();
 
-        // Update statistics
-        document.getElementById('total-blocked').textContent = this.settings.stats.blockedCount;
-        document.getElementById('total-analyzed').textContent = this.settings.stats.analyzedCount;
-        
-        // Calculate today's blocked count
-        const today = new Date().toDateString();
-        const todayBlocked = this.settings.blockedSites.filter(site => 
-            new Date(site.timestamp).toDateString() === today
-        ).length;
-        document.getElementById('today-blocked').textContent = todayBlocked;
-
-        // Calculate focus score
-        const focusScore = this.settings.stats.analyzedCount > 0 
-            ? Math.round((this.settings.stats.blockedCount / this.settings.stats.analyzedCount) * 100)
-            : 0;
-        document.getElementById('focus-score').textContent = `${focusScore}%`;
+        const mode = this.settings.enforcementMode || 'suggest';
+        document.getElementById('enforcement-mode').value = mode;
+        document.getElementById('soft-block-countdown').value = this.settings.softBlockCountdownSeconds || 15;
+        this.toggleSoftBlockCountdown(mode);
+        const friction = this.settings.bypassFriction || {};
+        document.getElementById('bypass-require-reason').checked = friction.requireReason !== false;
+        document.getElementById('bypass-challenge').value = friction.challenge || 'none';
+        document.getElementById('bypass-challenge-seconds').value = friction.challengeSeconds || 10;
+        document.getElementById('bypass-durations').value = (friction.durations || [5, 10, 30]).join(', ');
+        document.getElementById('bypass-limit-site').value = friction.dailyLimitPerSite || 0;
+        document.getElementById('bypass-limit-total').value = friction.dailyLimitTotal || 0;
+        document.getElementById('bypass-cooldown').value = friction.cooldownMinutes || 0;
+        this.toggleBypassChallengeSeconds(friction.challenge || 'none');
+        document.getElementById('classification-mode').value = this.settings.classificationMode || 'hybrid';
+        document.getElementById('custom-rules').value = (this.settings.customRules || [])
+            .map(rule => `${rule.action} ${rule.pattern}`)
+            .join('\n');
+        document.getElementById('content-analysis-enabled').checked = this.settings.contentAnalysisEnabled === true;
+        document.getElementById('multi-task-analysis').checked = this.settings.multiTaskAnalysis === true;
+        document.getElementById('ai-failure-policy').value = this.settings.aiFailurePolicy || 'open';
+        document.getElementById('ai-requests-per-minute').value = Number.isFinite(this.settings.aiRequestsPerMinute) ? this.settings.aiRequestsPerMinute : 20;
+        document.getElementById('cache-ttl').value = Number.isFinite(this.settings.cacheTtlHours) ? this.settings.cacheTtlHours : 24;
+        this.renderDomainList('allowlist');
+        this.renderDomainList('blocklist');
+        this.renderTaskRules();
+        this.renderLearnedRules();
+        this.renderPolicyPacks();
+        this.renderManagedLocks();
 
-        // Render recently blocked
-        this.renderBlockedHistory();
+        document.getElementById('event-retention').value = String(Number.isFinite(this.settings.eventRetentionDays) ? this.settings.eventRetentionDays : 90);
+
+        // Statistics, recently blocked and archived tasks come from the background's event log
+        this.renderHistory();
+        this.renderTaskHistory();
+        this.renderCacheStats();
+        this.renderUsage();
     }
 
-    // Allowlist UI
-    renderAllowlist() {
-        const container = document.getElementById('allowlist-list');
+    // Global allowlist / blocklist UI
+    renderDomainList(key) {
+        const container = document.getElementById(`${key}-list`);
         if (!container) return;
         container.innerHTML = '';
 
         const list = document.createElement('div');
-        this.settings.allowlist = Array.isArray(this.settings.allowlist) ? this.settings.allowlist : [];
-        this.settings.allowlist.forEach((domain, idx) => {
+        this.settings[key] = Array.isArray(this.settings[key]) ? this.settings[key] : [];
+        this.settings[key].forEach((domain, idx) => {
             const row = document.createElement('div');
             row.style.display = 'flex';
             row.style.justifyContent = 'space-between';
@@ -277,9 +1316,9 @@ class TunnlOptions {
             removeBtn.className = 'btn btn-danger';
             removeBtn.textContent = 'Remove';
             removeBtn.addEventListener('click', async () => {
-                this.settings.allowlist.splice(idx, 1);
+                this.settings[key].splice(idx, 1);
                 await this.saveSettings();
-                this.renderAllowlist();
+                this.renderDomainList(key);
             });
             
             row.appendChild(text);
@@ -287,35 +1326,464 @@ class TunnlOptions {
             list.appendChild(row);
         });
 
+        // Entries pushed by the admin policy always apply and cannot be removed here
+        (this.managed[key] || []).forEach(domain => {
+            const row = document.createElement('div');
+            row.style.display = 'flex';
+            row.style.justifyContent = 'space-between';
+            row.style.alignItems = 'center';
+            row.style.padding = '8px 0';
+
+            const text = document.createElement('div');
+            text.textContent = domain;
+            text.style.fontFamily = 'monospace';
+
+            row.appendChild(text);
+            row.appendChild(this.createLockLabel('Set by your organization'));
+            list.appendChild(row);
+        });
+
         container.appendChild(list);
 
-        const addBtn = document.getElementById('allowlist-add');
+        const input = document.getElementById(`${key}-input`);
+        const testUrl = document.getElementById(`${key}-test-url`);
+        if (input) input.oninput = () => this.renderPatternPreview(key);
+        if (testUrl) testUrl.oninput = () => this.renderPatternPreview(key);
+
+        const addBtn = document.getElementById(`${key}-add`);
         if (addBtn) {
             addBtn.onclick = async () => {
-                const input = document.getElementById('allowlist-input');
-                let domain = (input.value || '').trim().toLowerCase();
-                if (!domain) return;
-                // Normalize: remove scheme and path
+                if (!(input.value || '').trim()) return;
+                let entry;
                 try {
-                    if (domain.includes('://')) domain = new URL(domain).hostname.toLowerCase();
-                } catch {}
-                domain = domain.replace(/^\*\.?/, '').replace(/^\./, '');
-                if (!this.settings.allowlist.includes(domain)) {
-                    this.settings.allowlist.push(domain);
+                    entry = TunnlUrlPattern.normalize(input.value);
+                } catch (error) {
+                    this.showMessage(error.message, 'error');
+                    this.renderPatternPreview(key);
+                    return;
+                }
+                if (!this.settings[key].includes(entry)) {
+                    this.settings[key].push(entry);
                     await this.saveSettings();
-                    input.value = '';
-                    this.renderAllowlist();
                 }
+                input.value = '';
+                this.renderDomainList(key);
+                this.renderPatternPreview(key);
             };
         }
     }
 
-    renderBlockedHistory() {
+    // Show which sample URLs (and the optional test URL) the pattern being typed would match
+    renderPatternPreview(key) {
+        const preview = document.getElementById(`${key}-preview`);
+        const value = document.getElementById(`${key}-input`).value.trim();
+        const testUrl = document.getElementById(`${key}-test-url`).value.trim();
+        preview.innerHTML = '';
+        preview.classList.toggle('hidden', !value);
+        if (!value) return;
+
+        let entry;
+        try {
+            entry = TunnlUrlPattern.normalize(value);
+        } catch (error) {
+            const message = document.createElement('div');
+            message.className = 'pattern-preview-error';
+            message.textContent = error.message;
+            preview.appendChild(message);
+            return;
+        }
+
+        const urls = TunnlUrlPattern.sampleUrls(entry);
+        if (testUrl && !urls.includes(testUrl)) urls.unshift(testUrl);
+
+        urls.forEach(url => {
+            const matched = TunnlUrlPattern.matches(url, entry);
+            const row = document.createElement('div');
+            row.className = `pattern-preview-row ${matched ? 'match' : 'no-match'}`;
+            const mark = document.createElement('span');
+            mark.textContent = matched ? '✓' : '✗';
+            const text = document.createElement('span');
+            text.textContent = url;
+            row.appendChild(mark);
+            row.appendChild(text);
+            preview.appendChild(row);
+        });
+    }
+
+    // Sites added per task from the popup ("Always allow/block for this task")
+    renderTaskRules() {
+        const container = document.getElementById('task-rules-list');
+        if (!container) return;
+        container.innerHTML = '';
+
+        const tasks = (this.settings.tasks || []).filter(task => task.allowlist.length > 0 || task.blocklist.length > 0);
+        if (tasks.length === 0) {
+            const empty = document.createElement('div');
+            empty.className = 'empty-state';
+            empty.textContent = 'No per-task sites yet. Use the popup to always allow or block a site for the current task.';
+            container.appendChild(empty);
+            return;
+        }
+
+        tasks.forEach(task => {
+            const group = document.createElement('div');
+            group.className = 'task-rules-group';
+
+            const title = document.createElement('div');
+            title.className = 'task-rules-title';
+            title.textContent = task.locked ? `${task.title} 🔒` : task.title;
+            group.appendChild(title);
+
+            // Sites from a locked task template stay with the task
+            const template = task.locked ? this.findPolicyTemplate(task) : null;
+            const lockedSites = {
+                allowlist: template?.locked ? template.allowlist : [],
+                blocklist: template?.locked ? template.blocklist : []
+            };
+
+            ['allowlist', 'blocklist'].forEach(key => {
+                task[key].forEach((domain, idx) => {
+                    const row = document.createElement('div');
+                    row.className = 'learned-rule';
+
+                    const action = document.createElement('span');
+                    action.className = `learned-rule-action ${key === 'allowlist' ? 'allow' : 'block'}`;
+                    action.textContent = key === 'allowlist' ? 'allow' : 'block';
+
+                    const text = document.createElement('div');
+                    text.className = 'learned-rule-text';
+                    text.textContent = domain;
+
+                    row.appendChild(action);
+                    row.appendChild(text);
+                    if (lockedSites[key].includes(domain)) {
+                        row.appendChild(this.createLockLabel());
+                    } else {
+                        const removeBtn = document.createElement('button');
+                        removeBtn.className = 'btn btn-secondary';
+                        removeBtn.textContent = 'Remove';
+                        removeBtn.addEventListener('click', async () => {
+                            task[key].splice(idx, 1);
+                            await this.saveSettings();
+                            this.renderTaskRules();
+                        });
+                        row.appendChild(removeBtn);
+                    }
+                    group.appendChild(row);
+                });
+            });
+
+            container.appendChild(group);
+        });
+    }
+
+    async loadPolicyPacks() {
+        try {
+            const response = await chrome.runtime.sendMessage({ type: 'GET_POLICY_PACKS' });
+            this.policyPacks = response?.success ? response.packs : [];
+        } catch (error) {
+            console.error('Error loading policy packs:', error);
+            this.policyPacks = [];
+        }
+    }
+
+    // Send a policy pack message; pack changes can add or unlock tasks, so settings are reloaded too
+    async sendPolicyMessage(message, successText) {
+        try {
+            const response = await chrome.runtime.sendMessage(message);
+            if (!response.success) throw new Error(response.error);
+            this.policyPacks = response.packs;
+            await this.loadSettings();
+            this.updateUI();
+            if (successText) this.showMessage(successText, 'success');
+            return true;
+        } catch (error) {
+            this.showMessage(`Policy pack error: ${error.message}`, 'error');
+            return false;
+        }
+    }
+
+    async subscribePolicyPack() {
+        const input = document.getElementById('policy-pack-url');
+        const url = input.value.trim();
+        if (!url) {
+            this.showMessage('Enter the URL of a policy pack', 'error');
+            return;
+        }
+        if (await this.sendPolicyMessage({ type: 'INSTALL_POLICY_PACK', url }, 'Policy pack installed; it will be checked for updates every hour')) {
+            input.value = '';
+        }
+    }
+
+    async importPolicyPack(file) {
+        if (!file) return;
+        let pack;
+        try {
+            pack = JSON.parse(await file.text());
+        } catch (error) {
+            this.showMessage(`Policy pack is not valid JSON: ${error.message}`, 'error');
+            return;
+        }
+        await this.sendPolicyMessage({ type: 'INSTALL_POLICY_PACK', pack }, 'Policy pack installed');
+    }
+
+    async checkPolicyPacks() {
+        if (!this.policyPacks.some(record => record.url)) {
+            this.showMessage('No policy packs are subscribed by URL', 'error');
+            return;
+        }
+        await this.sendPolicyMessage({ type: 'CHECK_POLICY_PACKS' }, 'Policy packs checked');
+    }
+
+    // The template a policy pack task came from
+    findPolicyTemplate(task) {
+        const record = this.policyPacks.find(pack => pack.id === task.policyPackId);
+        return record?.pack.taskTemplates.find(template => template.title.toLowerCase() === task.title.toLowerCase()) || null;
+    }
+
+    createLockLabel(title = 'Locked by a team policy pack') {
+        const label = document.createElement('span');
+        label.className = 'policy-locked';
+        label.textContent = '🔒 Locked';
+        label.title = title;
+        return label;
+    }
+
+    // Disable the controls of settings set by the admin (chrome.storage.managed) and say why
+    renderManagedLocks() {
+        const controls = {
+            llmProvider: ['llm-provider', 'llm-base-url', 'llm-model', 'llm-api-version'],
+            enforcementMode: ['enforcement-mode'],
+            softBlockCountdownSeconds: ['soft-block-countdown'],
+            classificationMode: ['classification-mode'],
+            aiFailurePolicy: ['ai-failure-policy'],
+            monthlyBudgetUsd: ['monthly-budget']
+        };
+        const labels = {
+            llmProvider: 'AI provider',
+            enforcementMode: 'enforcement mode',
+            softBlockCountdownSeconds: 'soft block countdown',
+            classificationMode: 'classification mode',
+            aiFailurePolicy: 'AI failure policy',
+            monthlyBudgetUsd: 'monthly AI budget',
+            extensionEnabled: 'extension always on'
+        };
+        const locked = this.managed.lockedKeys || [];
+
+        document.querySelectorAll('.managed-note').forEach(note => note.remove());
+        Object.entries(controls).forEach(([key, ids]) => {
+            ids.forEach(id => {
+                const control = document.getElementById(id);
+                if (control) control.disabled = locked.includes(key);
+            });
+            if (!locked.includes(key)) return;
+            const note = document.createElement('small');
+            note.className = 'managed-note';
+            note.textContent = '🔒 Set by your organization';
+            document.getElementById(ids[ids.length - 1]).parentNode.appendChild(note);
+        });
+
+        if (this.managed.allowDisable === false) {
+            const note = document.createElement('small');
+            note.className = 'managed-note';
+            note.textContent = '🔒 Your organization keeps blocking on, so working hours only select default tasks';
+            document.getElementById('schedule-enabled').closest('.form-group').appendChild(note);
+        }
+
+        const parts = locked.map(key => labels[key]).filter(Boolean);
+        if (this.managed.allowlist.length > 0) parts.push(`${this.managed.allowlist.length} allowed sites`);
+        if (this.managed.blocklist.length > 0) parts.push(`${this.managed.blocklist.length} blocked sites`);
+        if (!this.managed.allowBypass) parts.push('no bypassing blocks');
+
+        const banner = document.getElementById('managed-banner');
+        banner.textContent = parts.length > 0 ? `🏢 Some settings are managed by your organization: ${parts.join(', ')}.` : '';
+        banner.classList.toggle('hidden', parts.length === 0);
+    }
+
+    renderPolicyPacks() {
+        const container = document.getElementById('policy-packs-list');
+        if (!container) return;
+        container.innerHTML = '';
+
+        if (this.policyPacks.length === 0) {
+            const empty = document.createElement('div');
+            empty.className = 'empty-state';
+            empty.textContent = 'No policy packs installed.';
+            container.appendChild(empty);
+            return;
+        }
+
+        this.policyPacks.forEach(record => {
+            const { pack } = record;
+            const group = document.createElement('div');
+            group.className = 'task-rules-group';
+
+            const title = document.createElement('div');
+            title.className = 'task-rules-title';
+            title.textContent = `${pack.name} (version ${pack.version})`;
+            group.appendChild(title);
+
+            const meta = document.createElement('div');
+            meta.className = 'policy-pack-meta';
+            const source = record.url ? `From ${record.url}, checked ${new Date(record.checkedAt).toLocaleString()}` : 'Imported from a file';
+            meta.textContent = [pack.description, source].filter(Boolean).join(' - ');
+            group.appendChild(meta);
+
+            if (record.lastError) {
+                const error = document.createElement('div');
+                error.className = 'policy-pack-meta error';
+                error.textContent = `Last update failed: ${record.lastError}. The previous version stays in effect.`;
+                group.appendChild(error);
+            }
+
+            const entries = [
+                ...tunnlActivePolicyEntries(record, 'allowlist').map(entry => ({ kind: 'allowlist', entry, action: 'allow', text: entry.pattern })),
+                ...tunnlActivePolicyEntries(record, 'blocklist').map(entry => ({ kind: 'blocklist', entry, action: 'block', text: entry.pattern })),
+                ...tunnlActivePolicyEntries(record, 'rules').map(entry => ({ kind: 'rules', entry, action: entry.action, text: `rule: ${entry.pattern}` })),
+                ...tunnlActivePolicyEntries(record, 'taskTemplates').map(entry => ({ kind: 'taskTemplates', entry, action: 'task', text: entry.title }))
+            ];
+            entries.forEach(({ kind, entry, action, text }) => {
+                const row = document.createElement('div');
+                row.className = 'learned-rule';
+
+                const chip = document.createElement('span');
+                chip.className = `learned-rule-action ${action}`;
+                chip.textContent = action;
+
+                const label = document.createElement('div');
+                label.className = 'learned-rule-text';
+                label.textContent = text;
+
+                row.appendChild(chip);
+                row.appendChild(label);
+                if (entry.locked) {
+                    row.appendChild(this.createLockLabel());
+                } else {
+                    const hideBtn = document.createElement('button');
+                    hideBtn.className = 'btn btn-secondary';
+                    hideBtn.textContent = 'Hide';
+                    hideBtn.addEventListener('click', () => {
+                        this.sendPolicyMessage({ type: 'DISMISS_POLICY_ENTRY', id: record.id, kind, entry });
+                    });
+                    row.appendChild(hideBtn);
+                }
+                group.appendChild(row);
+            });
+
+            if (record.dismissed.length > 0) {
+                const restoreBtn = document.createElement('button');
+                restoreBtn.className = 'btn btn-secondary';
+                restoreBtn.textContent = `Restore Hidden Entries (${record.dismissed.length})`;
+                restoreBtn.addEventListener('click', () => {
+                    this.sendPolicyMessage({ type: 'RESTORE_POLICY_ENTRIES', id: record.id }, 'Hidden entries restored');
+                });
+                group.appendChild(restoreBtn);
+            }
+
+            // Packs with locked entries stay installed; only a newer version of the pack can change them
+            if (tunnlPolicyPackHasLockedEntries(pack)) {
+                const note = document.createElement('div');
+                note.className = 'policy-pack-meta';
+                note.textContent = 'This pack has locked entries and cannot be removed.';
+                group.appendChild(note);
+            } else {
+                const removeBtn = document.createElement('button');
+                removeBtn.className = 'btn btn-danger';
+                removeBtn.textContent = 'Remove Pack';
+                removeBtn.addEventListener('click', () => {
+                    if (!confirm(`Remove "${pack.name}"? Its entries stop applying. Tasks it added are kept as your own.`)) return;
+                    this.sendPolicyMessage({ type: 'REMOVE_POLICY_PACK', id: record.id }, 'Policy pack removed');
+                });
+                group.appendChild(removeBtn);
+            }
+
+            container.appendChild(group);
+        });
+    }
+
+    renderLearnedRules() {
+        const container = document.getElementById('learned-rules-list');
+        if (!container) return;
+        container.innerHTML = '';
+
+        const rules = Array.isArray(this.settings.learnedRules) ? this.settings.learnedRules : [];
+        if (rules.length === 0) {
+            const empty = document.createElement('div');
+            empty.className = 'empty-state';
+            empty.textContent = 'No learned rules yet.';
+            container.appendChild(empty);
+            return;
+        }
+
+        rules.forEach(rule => {
+            const row = document.createElement('div');
+            row.className = 'learned-rule';
+
+            const action = document.createElement('span');
+            action.className = `learned-rule-action ${rule.action}`;
+            action.textContent = rule.action;
+
+            const text = document.createElement('div');
+            text.className = 'learned-rule-text';
+            text.textContent = `${rule.host} while "${rule.task}" (${rule.count} corrections)`;
+
+            const revokeBtn = document.createElement('button');
+            revokeBtn.className = 'btn btn-secondary';
+            revokeBtn.textContent = 'Revoke';
+            revokeBtn.addEventListener('click', async () => {
+                try {
+                    const response = await chrome.runtime.sendMessage({
+                        type: 'REVOKE_LEARNED_RULE',
+                        task: rule.task,
+                        host: rule.host
+                    });
+                    if (!response.success) throw new Error(response.error);
+                    this.settings.learnedRules = response.learnedRules;
+                    this.renderLearnedRules();
+                    this.showMessage('Learned rule revoked', 'success');
+                } catch (error) {
+                    this.showMessage(`Failed to revoke rule: ${error.message}`, 'error');
+                }
+            });
+
+            row.appendChild(action);
+            row.appendChild(text);
+            row.appendChild(revokeBtn);
+            container.appendChild(row);
+        });
+    }
+
+    async renderHistory() {
+        let history;
+        try {
+            const response = await chrome.runtime.sendMessage({ type: 'GET_HISTORY' });
+            if (!response.success) throw new Error(response.error);
+            history = response.history;
+        } catch (error) {
+            console.error('Error loading history:', error);
+            return;
+        }
+
+        const { stats } = history;
+        document.getElementById('total-blocked').textContent = stats.blockedCount;
+        document.getElementById('total-analyzed').textContent = stats.analyzedCount;
+        document.getElementById('today-blocked').textContent = history.blockedToday;
+        document.getElementById('today-bypasses').textContent = history.bypassesToday || 0;
+
+        // Share of analyzed URLs that were blocked (the focus score lives on the dashboard)
+        const distractionRate = stats.analyzedCount > 0
+            ? Math.round((stats.blockedCount / stats.analyzedCount) * 100)
+            : 0;
+        document.getElementById('distraction-rate').textContent = `${distractionRate}%`;
+
+        this.renderBlockedHistory(history.recent);
+    }
+
+    renderBlockedHistory(recentBlocked) {
         const container = document.getElementById('options-blocked-list');
         if (!container) return;
         container.innerHTML = '';
 
-        const recentBlocked = (this.settings.blockedSites || []).slice(-50).reverse();
         recentBlocked.forEach(site => {
             const row = document.createElement('div');
             row.className = 'blocked-item';
@@ -324,11 +1792,22 @@ class TunnlOptions {
             urlSpan.className = 'blocked-url';
             urlSpan.textContent = site.url;
 
+            const modeSpan = document.createElement('span');
+            modeSpan.className = ['failed', 'bypass'].includes(site.mode) ? `blocked-mode ${site.mode}` : 'blocked-mode';
+            modeSpan.textContent = site.mode === 'failed' ? 'analysis failed' : (site.mode || 'suggest');
+            if (site.reason) row.title = site.reason;
+            if (site.mode === 'bypass') {
+                // Bypasses show the user's reason and how long the site was unblocked
+                modeSpan.textContent = site.kind === 'temporary' ? `bypass ${site.minutes}m` : 'bypass once';
+                if (site.reason) urlSpan.textContent = `${site.url} - "${site.reason}"`;
+            }
+
             const timeSpan = document.createElement('span');
             timeSpan.className = 'blocked-time';
             timeSpan.textContent = new Date(site.timestamp).toLocaleString();
 
             row.appendChild(urlSpan);
+            row.appendChild(modeSpan);
             row.appendChild(timeSpan);
             container.appendChild(row);
         });
@@ -336,10 +1815,8 @@ class TunnlOptions {
         const clearBtn = document.getElementById('options-clear-blocked');
         if (clearBtn) {
             clearBtn.onclick = async () => {
-                this.settings.blockedSites = [];
-                this.settings.stats.blockedCount = 0;
-                await this.saveSettings();
-                this.updateUI();
+                await chrome.runtime.sendMessage({ type: 'CLEAR_BLOCK_HISTORY' });
+                this.renderHistory();
                 this.showMessage('Blocked history cleared', 'success');
             };
         }
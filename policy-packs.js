@@ -0,0 +1,169 @@
+// Team policy packs for tunnl.ai Chrome Extension
+// A policy pack is a shared baseline - allowlist, blocklist, custom rules and task templates - that a team
+// imports from a file or subscribes to by URL. Pack entries are layered around the user's own:
+// locked pack entries win over personal ones, unlocked pack entries only apply where no personal entry does.
+// Users may hide unlocked entries; locked entries cannot be removed or overridden.
+//
+// {
+//   format: 'tunnl-policy-pack',
+//   name: 'Acme Engineering',
+//   version: '2025.06.1',
+//   description?: string,
+//   locked?: boolean,            // lock every entry in the pack
+//   allowlist?: [pattern | { pattern, locked? }],
+//   blocklist?: [pattern | { pattern, locked? }],
+//   rules?: [{ action: 'allow' | 'block', pattern, locked? }],
+//   taskTemplates?: [{ title, allowlist?: [pattern], blocklist?: [pattern], locked? }]
+// }
+
+const TUNNL_POLICY_PACK_FORMAT = 'tunnl-policy-pack';
+
+const TUNNL_POLICY_ENTRY_SCHEMA = {
+    type: 'object',
+    properties: {
+        pattern: { type: 'string', minLength: 1 },
+        locked: { type: 'boolean' }
+    },
+    required: ['pattern']
+};
+
+const TUNNL_POLICY_PACK_SCHEMA = {
+    type: 'object',
+    properties: {
+        format: { type: 'string', enum: [TUNNL_POLICY_PACK_FORMAT] },
+        name: { type: 'string', minLength: 1 },
+        version: { type: 'string', minLength: 1 },
+        description: { type: 'string' },
+        locked: { type: 'boolean' },
+        allowlist: { type: 'array', items: TUNNL_POLICY_ENTRY_SCHEMA },
+        blocklist: { type: 'array', items: TUNNL_POLICY_ENTRY_SCHEMA },
+        rules: {
+            type: 'array',
+            items: {
+                type: 'object',
+                properties: {
+                    action: { type: 'string', enum: ['allow', 'block'] },
+                    pattern: { type: 'string', minLength: 1 },
+                    locked: { type: 'boolean' }
+                },
+                required: ['action', 'pattern']
+            }
+        },
+        taskTemplates: {
+            type: 'array',
+            items: {
+                type: 'object',
+                properties: {
+                    title: { type: 'string', minLength: 1 },
+                    allowlist: { type: 'array', items: { type: 'string' } },
+                    blocklist: { type: 'array', items: { type: 'string' } },
+                    locked: { type: 'boolean' }
+                },
+                required: ['title']
+            }
+        }
+    },
+    required: ['format', 'name', 'version']
+};
+
+// Validate a pack and return it normalized: list entries as { pattern, locked } with normalized patterns,
+// every `locked` resolved against the pack-wide flag. Throws with every problem found.
+function parseTunnlPolicyPack(data) {
+    if (typeof data === 'string') {
+        try {
+            data = JSON.parse(data);
+        } catch (error) {
+            throw new Error(`Policy pack is not valid JSON: ${error.message}`);
+        }
+    }
+
+    // Plain strings are shorthand for unlocked list entries
+    const input = data && typeof data === 'object' && !Array.isArray(data) ? { ...data } : data;
+    ['allowlist', 'blocklist'].forEach(key => {
+        if (Array.isArray(input?.[key])) {
+            input[key] = input[key].map(entry => (typeof entry === 'string' ? { pattern: entry } : entry));
+        }
+    });
+
+    const errors = validateLlmSchema(TUNNL_POLICY_PACK_SCHEMA, input, 'pack');
+    if (errors.length > 0) {
+        throw new Error(`Invalid policy pack: ${errors.slice(0, 10).join('; ')}`);
+    }
+
+    const packLocked = input.locked === true;
+    const problems = [];
+    const normalizePattern = (pattern, path) => {
+        try {
+            return TunnlUrlPattern.normalize(pattern);
+        } catch (error) {
+            problems.push(`${path}: ${error.message}`);
+            return null;
+        }
+    };
+    const normalizeList = (entries, path) => entries
+        .map((entry, i) => normalizePattern(entry, `${path}[${i}]`))
+        .filter(Boolean);
+
+    const pack = {
+        format: TUNNL_POLICY_PACK_FORMAT,
+        name: input.name.trim(),
+        version: input.version,
+        description: input.description || '',
+        allowlist: [],
+        blocklist: [],
+        rules: [],
+        taskTemplates: []
+    };
+    ['allowlist', 'blocklist'].forEach(key => {
+        (input[key] || []).forEach((entry, i) => {
+            const pattern = normalizePattern(entry.pattern, `pack.${key}[${i}]`);
+            if (pattern && !pack[key].some(existing => existing.pattern === pattern)) {
+                pack[key].push({ pattern, locked: packLocked || entry.locked === true });
+            }
+        });
+    });
+    (input.rules || []).forEach((rule, i) => {
+        try {
+            TunnlUrlPattern.compile(rule.pattern);
+            pack.rules.push({ action: rule.action, pattern: rule.pattern.trim(), locked: packLocked || rule.locked === true });
+        } catch (error) {
+            problems.push(`pack.rules[${i}]: ${error.message}`);
+        }
+    });
+    (input.taskTemplates || []).forEach((template, i) => {
+        pack.taskTemplates.push({
+            title: template.title.trim(),
+            allowlist: normalizeList(template.allowlist || [], `pack.taskTemplates[${i}].allowlist`),
+            blocklist: normalizeList(template.blocklist || [], `pack.taskTemplates[${i}].blocklist`),
+            locked: packLocked || template.locked === true
+        });
+    });
+
+    if (problems.length > 0) {
+        throw new Error(`Invalid policy pack: ${problems.slice(0, 10).join('; ')}`);
+    }
+    return pack;
+}
+
+// Packs are identified by name, so a newer version of the same pack replaces the old one
+function tunnlPolicyPackId(name) {
+    return String(name || '').trim().toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'pack';
+}
+
+// Key under which a hidden entry is remembered: 'allowlist:example.com', 'rule:block *.reddit.com', 'task:title'
+function tunnlPolicyEntryKey(kind, entry) {
+    if (kind === 'rules') return `rule:${entry.action} ${entry.pattern}`;
+    if (kind === 'taskTemplates') return `task:${entry.title.toLowerCase()}`;
+    return `${kind}:${entry.pattern}`;
+}
+
+// Whether any entry of the pack is locked; such a pack can only be replaced by a newer version, not removed
+function tunnlPolicyPackHasLockedEntries(pack) {
+    return ['allowlist', 'blocklist', 'rules', 'taskTemplates'].some(kind => (pack[kind] || []).some(entry => entry.locked));
+}
+
+// The entries of an installed pack that are in effect: locked ones always, unlocked ones unless hidden
+function tunnlActivePolicyEntries(record, kind) {
+    const dismissed = new Set(record.dismissed || []);
+    return (record.pack[kind] || []).filter(entry => entry.locked || !dismissed.has(tunnlPolicyEntryKey(kind, entry)));
+}
@@ -2,11 +2,24 @@
 
 class TunnlPopup {
     constructor() {
+        this.apiKeyStatus = { configured: false }; // Masked status only; the key stays in the background
+        this.aiConfigured = false;
+        this.managed = null; // Admin policy from chrome.storage.managed, as summarized by the background
+        this.bypasses = []; // Active temporary unblocks, one per origin
+        this.taskSuggestion = null; // { index, title, matches } when browsing keeps matching another task
+        this.bypassRefreshTimer = null;
+        this.savedSettings = {}; // Settings as last loaded or saved, to send only what this popup changed
         this.init();
     }
 
     async init() {
         await this.loadSettings();
+        chrome.storage.onChanged.addListener((changes, area) => {
+            if (area === 'sync') this.refreshSettings();
+        });
+        await this.loadFocusSession();
+        await this.loadBypasses();
+        await this.loadTaskSuggestion();
         this.setupEventListeners();
         this.updateUI();
     }
@@ -39,6 +52,9 @@ class TunnlPopup {
             const response = await this.sendMessageWithRetry({ type: 'GET_SETTINGS' }, 5, 200);
             if (response.success) {
                 this.settings = response.settings;
+                this.apiKeyStatus = response.apiKeyStatus || { configured: false };
+                this.aiConfigured = !!response.aiConfigured;
+                this.managed = response.managed || null;
             } else {
                 console.error('Failed to load settings:', response.error);
                 this.settings = this.defaultSettings();
@@ -47,16 +63,31 @@ class TunnlPopup {
             console.error('Error loading settings:', error);
             this.settings = this.defaultSettings();
         }
+        this.savedSettings = JSON.parse(JSON.stringify(this.settings));
+    }
+
+    // Pick up settings saved elsewhere (popup, options, daily rollover) for every key this page has not changed
+    async refreshSettings() {
+        try {
+            const response = await chrome.runtime.sendMessage({ type: 'GET_SETTINGS' });
+            if (!response?.success) return;
+            Object.keys(response.settings).forEach(key => {
+                if (JSON.stringify(this.settings[key]) === JSON.stringify(this.savedSettings[key])) {
+                    this.settings[key] = response.settings[key];
+                }
+                this.savedSettings[key] = JSON.parse(JSON.stringify(response.settings[key]));
+            });
+        } catch (error) {
+            console.error('Error refreshing settings:', error);
+        }
     }
 
     defaultSettings() {
         return {
-            openaiApiKey: '',
-            tasks: [],
-            currentTask: null, // { text, index?, setAt }
+            llmProvider: { type: 'openai', baseUrl: '', model: '', apiVersion: '' },
+            tasks: [], // [{ id, title, notes, priority, dueDate, estimateMinutes, status, tags, allowlist, blocklist }]
+            currentTask: null, // { text, taskId?, index?, setAt }
             extensionEnabled: true,
-            blockedSites: [],
-            stats: { blockedCount: 0, analyzedCount: 0 },
             taskValidationEnabled: true
         };
     }
@@ -64,15 +95,31 @@ class TunnlPopup {
     async saveSettings() {
         // Send settings to background script instead of writing storage directly
         try {
+            // Only the keys this page changed: the rest may have been saved since by another page or the background
+            const changes = {};
+            Object.keys(this.settings).forEach(key => {
+                if (JSON.stringify(this.settings[key]) !== JSON.stringify(this.savedSettings[key])) {
+                    changes[key] = this.settings[key];
+                }
+            });
+            if (Object.keys(changes).length === 0) return true;
+
             const response = await chrome.runtime.sendMessage({
                 type: 'UPDATE_SETTINGS',
-                settings: this.settings
+                settings: changes
             });
             if (!response.success) {
                 console.error('Failed to save settings:', response.error);
+                this.showMessage(response.error || 'Failed to save settings', 'error');
+                return false;
             }
+            Object.keys(changes).forEach(key => {
+                this.savedSettings[key] = JSON.parse(JSON.stringify(changes[key]));
+            });
+            return true;
         } catch (error) {
             console.error('Error saving settings:', error);
+            return false;
         }
     }
 
@@ -100,6 +147,14 @@ class TunnlPopup {
             });
         }
 
+        // Dashboard button
+        const dashboardBtn = document.getElementById('dashboard-btn');
+        if (dashboardBtn) {
+            dashboardBtn.addEventListener('click', () => {
+                chrome.tabs.create({ url: chrome.runtime.getURL('dashboard.html') });
+            });
+        }
+
         // Settings button
         const settingsBtn = document.getElementById('settings-btn');
         if (settingsBtn) {
@@ -114,6 +169,20 @@ class TunnlPopup {
             });
         }
 
+        // Multi-task analysis: offer to switch to the task the browsing matches
+        document.getElementById('switch-task-suggestion')?.addEventListener('click', async () => {
+            const suggestion = this.taskSuggestion;
+            this.taskSuggestion = null;
+            if (suggestion) await this.setCurrentTaskByIndex(suggestion.index);
+        });
+
+        document.getElementById('dismiss-task-suggestion')?.addEventListener('click', async () => {
+            const suggestion = this.taskSuggestion;
+            this.taskSuggestion = null;
+            this.renderTaskSuggestion();
+            if (suggestion) await this.sendMessageWithRetry({ type: 'DISMISS_TASK_SUGGESTION', title: suggestion.title });
+        });
+
         // Task validation toggle
         const toggle = document.getElementById('task-validation-toggle');
         if (toggle) {
@@ -123,6 +192,17 @@ class TunnlPopup {
             });
         }
 
+        // Focus session controls
+        const startSessionBtn = document.getElementById('start-focus-session');
+        if (startSessionBtn) {
+            startSessionBtn.addEventListener('click', () => this.startFocusSession());
+        }
+
+        const stopSessionBtn = document.getElementById('stop-focus-session');
+        if (stopSessionBtn) {
+            stopSessionBtn.addEventListener('click', () => this.stopFocusSession());
+        }
+
         // Clear current task button (created dynamically, but support if it exists initially)
         const clearBtn = document.getElementById('clear-current-task');
         if (clearBtn) {
@@ -134,16 +214,25 @@ class TunnlPopup {
         const apiKey = document.getElementById('api-key').value.trim();
 
         if (!apiKey) {
-            this.showMessage('Please enter your OpenAI API key', 'error');
+            this.showMessage(`Please enter your ${TUNNL_LLM_PROVIDERS[this.providerType()].label} API key`, 'error');
             return;
         }
-        if (!apiKey.startsWith('sk-')) {
+        if (this.providerType() === 'openai' && !apiKey.startsWith('sk-')) {
             this.showMessage('Invalid API key format. Should start with "sk-"', 'error');
             return;
         }
 
-        this.settings.openaiApiKey = apiKey;
-        await this.saveSettings();
+        try {
+            const response = await chrome.runtime.sendMessage({ type: 'SET_API_KEY', apiKey });
+            if (!response.success) {
+                throw new Error(response.error);
+            }
+            this.apiKeyStatus = response.apiKeyStatus;
+            this.aiConfigured = response.aiConfigured;
+        } catch (error) {
+            this.showMessage(`Failed to save API key: ${error.message}`, 'error');
+            return;
+        }
 
         this.showMessage('API key saved successfully!', 'success');
         this.updateUI();
@@ -157,7 +246,7 @@ class TunnlPopup {
             this.showMessage('Please enter a task', 'error');
             return;
         }
-        if (this.settings.tasks.includes(taskText)) {
+        if (this.settings.tasks.some(task => task.title === taskText)) {
             this.showMessage('Task already exists', 'error');
             return;
         }
@@ -180,7 +269,9 @@ class TunnlPopup {
 
                 if (response.success) {
                     const validation = response.result;
-                    if (!validation.isValid) {
+                    if (validation.analysisFailed) {
+                        this.showMessage(`${validation.reason} - adding task anyway`, 'warning');
+                    } else if (!validation.isValid) {
                         let errorMessage = `Task needs improvement: ${validation.reason}`;
                         if (validation.suggestions && validation.suggestions.length > 0) {
                             errorMessage += '\n\nSuggestions:\n• ' + validation.suggestions.join('\n• ');
@@ -200,8 +291,11 @@ class TunnlPopup {
             }
 
             // Add the task
-            this.settings.tasks.push(taskText);
-            await this.saveSettings();
+            this.settings.tasks.push(this.createTask(taskText));
+            if (!(await this.saveSettings())) {
+                this.settings.tasks.pop(); // e.g. the task list is full; saveSettings showed why
+                return;
+            }
 
             taskInput.value = '';
             this.showMessage('Task added!', 'success');
@@ -218,6 +312,52 @@ class TunnlPopup {
         }
     }
 
+    createTask(title) {
+        return {
+            id: `task-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+            title,
+            notes: '',
+            priority: 'normal',
+            dueDate: null,
+            estimateMinutes: null,
+            status: 'open',
+            tags: [],
+            createdAt: Date.now(),
+            completedAt: null,
+            allowlist: [],
+            blocklist: []
+        };
+    }
+
+    // The background clears the current task when it is completed
+    async setTaskDone(task, done) {
+        try {
+            const response = await this.sendMessageWithRetry({ type: 'SET_TASK_DONE', taskId: task.id, done }, 5, 200);
+            if (!response?.success) {
+                this.showMessage(response?.error || 'Failed to update task', 'error');
+                return;
+            }
+            Object.assign(task, response.task);
+            this.settings.currentTask = response.currentTask;
+            this.showMessage(done ? 'Task done! It moves to the history tomorrow.' : 'Task reopened.', 'success');
+            this.updateUI();
+        } catch (error) {
+            console.error('SET_TASK_DONE error', error);
+            this.showMessage('Error updating task', 'error');
+        }
+    }
+
+    // "High priority · due 2026-10-20 · ~30 min · #writing"
+    describeTask(task) {
+        const parts = [];
+        if (task.priority === 'high') parts.push('High priority');
+        if (task.priority === 'low') parts.push('Low priority');
+        if (task.dueDate) parts.push(`due ${task.dueDate}`);
+        if (task.estimateMinutes) parts.push(`~${task.estimateMinutes} min`);
+        (task.tags || []).forEach(tag => parts.push(`#${tag}`));
+        return parts.join(' · ');
+    }
+
     async removeTask(taskIndex) {
         const removed = this.settings.tasks[taskIndex];
         this.settings.tasks.splice(taskIndex, 1);
@@ -225,7 +365,7 @@ class TunnlPopup {
 
         // If the removed task was the current one, clear currentTask in background
         const cur = this.settings.currentTask;
-        if (cur && (cur.index === taskIndex || cur.text === removed)) {
+        if (cur && (cur.taskId === removed.id || cur.text === removed.title)) {
             await this.clearCurrentTask(true); // silent = true
         }
 
@@ -237,28 +377,223 @@ class TunnlPopup {
         chrome.runtime.openOptionsPage();
     }
 
+    providerType() {
+        return resolveLlmProviderConfig(this.settings.llmProvider).type;
+    }
+
     updateUI() {
         // Show/hide sections based on setup status
-        const hasApiKey = !!this.settings.openaiApiKey;
+        // A locked key counts as set up; the notice below points to Settings to unlock it
+        const keyLocked = !!this.apiKeyStatus?.locked;
+        const isConfigured = this.settings.classificationMode === 'offline' || this.aiConfigured || keyLocked;
 
         const setupSection = document.getElementById('setup-section');
-        if (setupSection) setupSection.style.display = hasApiKey ? 'none' : 'block';
+        if (setupSection) setupSection.style.display = isConfigured ? 'none' : 'block';
 
         const tasksSection = document.getElementById('tasks-section');
-        if (tasksSection) tasksSection.style.display = hasApiKey ? 'block' : 'none';
+        if (tasksSection) tasksSection.style.display = isConfigured ? 'block' : 'none';
 
         // Populate form fields
+        const apiKeyLabel = document.querySelector('label[for="api-key"]');
+        if (apiKeyLabel) apiKeyLabel.textContent = `${TUNNL_LLM_PROVIDERS[this.providerType()].label} API Key:`;
+
         const apiKeyEl = document.getElementById('api-key');
-        if (apiKeyEl) apiKeyEl.value = this.settings.openaiApiKey || '';
+        if (apiKeyEl) {
+            apiKeyEl.value = '';
+            if (this.apiKeyStatus?.configured) apiKeyEl.placeholder = this.apiKeyStatus.masked;
+        }
+
+        const lockedNotice = document.getElementById('api-key-locked');
+        if (lockedNotice) lockedNotice.style.display = keyLocked && this.settings.classificationMode !== 'offline' ? 'block' : 'none';
+
+        const managedNotice = document.getElementById('managed-notice');
+        if (managedNotice) {
+            const parts = [];
+            if (this.managed?.lockedKeys?.length > 0) parts.push('some settings are set by your organization');
+            if (this.managed && !this.managed.allowBypass) parts.push('blocks cannot be bypassed');
+            managedNotice.textContent = parts.length > 0 ? `🏢 Managed: ${parts.join('; ')}.` : '';
+            managedNotice.style.display = parts.length > 0 ? 'block' : 'none';
+        }
 
         const valToggle = document.getElementById('task-validation-toggle');
         if (valToggle) valToggle.checked = !!this.settings.taskValidationEnabled;
 
         // Render current task banner
         this.renderCurrentTaskBanner();
+        this.renderTaskSuggestion();
 
         // Update task list
         this.updateTaskList();
+
+        this.renderFocusSession();
+
+        this.renderBypasses();
+    }
+
+    async loadTaskSuggestion() {
+        try {
+            const response = await this.sendMessageWithRetry({ type: 'GET_TASK_SUGGESTION' }, 5, 200);
+            this.taskSuggestion = response?.success ? response.suggestion : null;
+        } catch (error) {
+            console.error('Error loading task suggestion:', error);
+            this.taskSuggestion = null;
+        }
+    }
+
+    renderTaskSuggestion() {
+        const container = document.getElementById('task-suggestion');
+        if (!container) return;
+        const suggestion = this.taskSuggestion;
+        container.classList.toggle('hidden', !suggestion || suggestion.title === this.settings.currentTask?.text);
+        if (!suggestion) return;
+        document.getElementById('task-suggestion-text').textContent =
+            `Your last ${suggestion.matches} pages look like "${suggestion.title}". Switch current task to it?`;
+    }
+
+    async loadBypasses() {
+        try {
+            const response = await this.sendMessageWithRetry({ type: 'GET_BYPASSES' }, 5, 200);
+            this.bypasses = response?.success ? response.bypasses : [];
+        } catch (error) {
+            console.error('Error loading bypasses:', error);
+            this.bypasses = [];
+        }
+    }
+
+    renderBypasses() {
+        const container = document.getElementById('active-bypasses');
+        const list = document.getElementById('active-bypasses-list');
+        if (!container || !list) return;
+
+        clearInterval(this.bypassRefreshTimer);
+        this.bypasses = this.bypasses.filter(bypass => bypass.until > Date.now());
+        container.classList.toggle('hidden', this.bypasses.length === 0);
+        list.innerHTML = '';
+
+        this.bypasses.forEach(bypass => {
+            const item = document.createElement('div');
+            item.className = 'task-item';
+            if (bypass.reason) item.title = bypass.reason;
+
+            const text = document.createElement('span');
+            text.className = 'task-item-text';
+            const minutesLeft = Math.max(1, Math.ceil((bypass.until - Date.now()) / 60000));
+            text.textContent = `${new URL(bypass.origin).hostname} - ${minutesLeft} min left`;
+
+            const revokeButton = document.createElement('button');
+            revokeButton.className = 'task-item-remove';
+            revokeButton.textContent = 'Revoke';
+            revokeButton.title = 'Block this site again now';
+            revokeButton.addEventListener('click', async () => {
+                try {
+                    const response = await this.sendMessageWithRetry({ type: 'REVOKE_BYPASS', origin: bypass.origin });
+                    this.bypasses = response?.success ? response.bypasses : this.bypasses.filter(b => b.origin !== bypass.origin);
+                } catch (error) {
+                    console.error('Error revoking bypass:', error);
+                }
+                this.renderBypasses();
+            });
+
+            item.appendChild(text);
+            item.appendChild(revokeButton);
+            list.appendChild(item);
+        });
+
+        // Keep the minutes left current while the popup is open
+        if (this.bypasses.length > 0) {
+            this.bypassRefreshTimer = setInterval(() => this.renderBypasses(), 30000);
+        }
+    }
+
+    async loadFocusSession() {
+        try {
+            const response = await this.sendMessageWithRetry({ type: 'GET_FOCUS_SESSION' }, 5, 200);
+            this.focusSession = response?.success ? response.session : null;
+        } catch (error) {
+            console.error('Error loading focus session:', error);
+            this.focusSession = null;
+        }
+    }
+
+    async startFocusSession() {
+        const current = this.settings.currentTask;
+        if (!current) {
+            this.showMessage('Select an activity before starting a focus session', 'error');
+            return;
+        }
+
+        try {
+            // Without a taskId (tasks from older versions) the background uses the current task
+            const response = await this.sendMessageWithRetry({
+                type: 'START_FOCUS_SESSION',
+                taskId: current.taskId,
+                focusMinutes: parseInt(document.getElementById('focus-minutes').value, 10),
+                breakMinutes: parseInt(document.getElementById('break-minutes').value, 10),
+                autoAdvance: document.getElementById('focus-auto-advance').checked
+            }, 5, 200);
+
+            if (response?.success) {
+                this.focusSession = response.session;
+                this.showMessage('Focus session started. Good luck!', 'success');
+                this.updateUI();
+            } else {
+                this.showMessage(response?.error || 'Failed to start focus session', 'error');
+            }
+        } catch (error) {
+            console.error('START_FOCUS_SESSION error', error);
+            this.showMessage('Error starting focus session', 'error');
+        }
+    }
+
+    async stopFocusSession() {
+        try {
+            const response = await this.sendMessageWithRetry({ type: 'STOP_FOCUS_SESSION' }, 5, 200);
+            if (response?.success) {
+                this.focusSession = null;
+                this.showMessage('Focus session stopped.', 'success');
+                this.updateUI();
+            }
+        } catch (error) {
+            console.error('STOP_FOCUS_SESSION error', error);
+            this.showMessage('Error stopping focus session', 'error');
+        }
+    }
+
+    renderFocusSession() {
+        const container = document.getElementById('focus-session');
+        if (!container) return;
+
+        const session = this.focusSession;
+        document.getElementById('focus-session-idle').classList.toggle('hidden', !!session);
+        document.getElementById('focus-session-active').classList.toggle('hidden', !session);
+        container.classList.toggle('on-break', session?.phase === 'break');
+
+        clearInterval(this.focusCountdownTimer);
+        if (!session) return;
+
+        document.getElementById('focus-session-phase').textContent = session.phase === 'break'
+            ? `Break ${session.cycle} - blocking paused`
+            : `Focus ${session.cycle}: ${session.taskText}`;
+
+        const countdown = document.getElementById('focus-session-countdown');
+        const tick = async () => {
+            const remainingMs = Math.max(0, session.phaseEndsAt - Date.now());
+            const minutes = Math.floor(remainingMs / 60000);
+            const seconds = Math.floor((remainingMs % 60000) / 1000);
+            countdown.textContent = `${String(minutes).padStart(2, '0')}:${String(seconds).padStart(2, '0')}`;
+
+            if (remainingMs === 0) {
+                // Phase ended - pick up the next phase from the background
+                clearInterval(this.focusCountdownTimer);
+                setTimeout(async () => {
+                    await this.loadFocusSession();
+                    await this.loadSettings();
+                    this.updateUI();
+                }, 1500);
+            }
+        };
+        tick();
+        this.focusCountdownTimer = setInterval(tick, 1000);
     }
 
     renderCurrentTaskBanner() {
@@ -304,6 +639,83 @@ class TunnlPopup {
         banner.appendChild(label);
         banner.appendChild(value);
         banner.appendChild(btnWrap);
+
+        this.renderCurrentSiteRules(banner);
+    }
+
+    // "Always allow / block for this task" for the site in the active tab
+    async renderCurrentSiteRules(banner) {
+        const cur = this.settings.currentTask;
+        if (!cur?.text) return;
+
+        let host = null;
+        try {
+            const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+            const url = new URL(tab?.url || '');
+            if (url.protocol === 'http:' || url.protocol === 'https:') {
+                host = url.hostname.replace(/^www\./, '');
+                this.activeTabUrl = tab.url;
+            }
+        } catch {
+            // No tab or a non-web URL - nothing to offer
+        }
+        if (!host || document.getElementById('current-site-rules')) return;
+
+        const task = this.settings.tasks.find(t => t.id === cur.taskId) || this.settings.tasks.find(t => t.title === cur.text);
+        if (!task) return;
+
+        const wrap = document.createElement('div');
+        wrap.id = 'current-site-rules';
+        wrap.className = 'current-site-rules';
+
+        const status = document.createElement('div');
+        status.className = 'current-site-status';
+        if (task.allowlist.includes(host)) {
+            status.textContent = `${host} is always allowed for this task`;
+        } else if (task.blocklist.includes(host)) {
+            status.textContent = `${host} is always blocked for this task`;
+        } else {
+            status.textContent = `This site: ${host}`;
+        }
+
+        const allowBtn = document.createElement('button');
+        allowBtn.className = 'btn btn-secondary btn-small';
+        allowBtn.textContent = 'Always allow for this task';
+        allowBtn.disabled = task.allowlist.includes(host);
+        allowBtn.addEventListener('click', () => this.addTaskRule('allow'));
+
+        const blockBtn = document.createElement('button');
+        blockBtn.className = 'btn btn-secondary btn-small';
+        blockBtn.textContent = 'Always block for this task';
+        blockBtn.disabled = task.blocklist.includes(host);
+        blockBtn.addEventListener('click', () => this.addTaskRule('block'));
+
+        wrap.appendChild(status);
+        wrap.appendChild(allowBtn);
+        wrap.appendChild(blockBtn);
+        banner.appendChild(wrap);
+    }
+
+    async addTaskRule(list) {
+        try {
+            const response = await this.sendMessageWithRetry({
+                type: 'ADD_TASK_RULE',
+                list,
+                url: this.activeTabUrl
+            }, 5, 200);
+
+            if (response?.success) {
+                const index = this.settings.tasks.findIndex(t => t.id === response.task.id);
+                if (index >= 0) this.settings.tasks[index] = response.task;
+                this.showMessage(list === 'allow' ? 'Site will always be allowed for this task' : 'Site will always be blocked for this task', 'success');
+                this.updateUI();
+            } else {
+                this.showMessage(response?.error || 'Failed to save rule', 'error');
+            }
+        } catch (error) {
+            console.error('ADD_TASK_RULE error', error);
+            this.showMessage('Error saving rule', 'error');
+        }
     }
 
     updateTaskList() {
@@ -312,10 +724,15 @@ class TunnlPopup {
 
         taskList.innerHTML = '';
         const curText = this.settings.currentTask?.text;
+        const now = new Date();
+        const pad = n => String(n).padStart(2, '0');
+        const today = `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`;
 
         this.settings.tasks.forEach((task, index) => {
+            const isCurrent = curText === task.title;
+            const isDone = task.status === 'done';
             const taskItem = document.createElement('div');
-            taskItem.className = 'task-item';
+            taskItem.className = isDone ? 'task-item done' : 'task-item';
             taskItem.style.display = 'flex';
             taskItem.style.alignItems = 'center';
             taskItem.style.gap = '8px';
@@ -325,38 +742,69 @@ class TunnlPopup {
             const selectBtn = document.createElement('button');
             selectBtn.className = 'task-item-select';
             selectBtn.title = 'Set as current task';
-            selectBtn.textContent = curText === task ? '✓' : '○';
+            selectBtn.textContent = isCurrent ? '✓' : '○';
+            selectBtn.disabled = isDone; // Completed tasks cannot be selected until reopened
             selectBtn.addEventListener('click', () => {
                 this.setCurrentTaskByIndex(index);
             });
 
+            const doneBox = document.createElement('input');
+            doneBox.type = 'checkbox';
+            doneBox.className = 'task-item-done';
+            doneBox.title = isDone ? 'Reopen task' : 'Mark as done';
+            doneBox.checked = isDone;
+            doneBox.addEventListener('change', () => {
+                this.setTaskDone(task, doneBox.checked);
+            });
+
             const taskText = document.createElement('span');
             taskText.className = 'task-item-text';
-            taskText.textContent = `${index + 1}. ${task}`;
+            taskText.textContent = `${index + 1}. ${task.title}`;
             taskText.style.flex = '1';
-            taskText.style.cursor = 'pointer';
+            taskText.style.cursor = isDone ? 'default' : 'pointer';
+            taskText.title = task.notes || '';
+
+            const details = this.describeTask(task);
+            if (details) {
+                const meta = document.createElement('span');
+                meta.className = 'task-item-meta';
+                meta.textContent = details;
+                // Due today or earlier and still open
+                if (!isDone && task.dueDate && task.dueDate <= today) {
+                    meta.classList.add('overdue');
+                }
+                taskText.appendChild(meta);
+            }
 
             // Clicking the text also selects
             taskText.addEventListener('click', () => {
-                this.setCurrentTaskByIndex(index);
+                if (!isDone) this.setCurrentTaskByIndex(index);
             });
 
             const removeButton = document.createElement('button');
             removeButton.className = 'task-item-remove';
-            removeButton.textContent = '×';
-            removeButton.title = 'Remove task';
-            removeButton.addEventListener('click', (e) => {
-                e.stopPropagation();
-                this.removeTask(index);
-            });
+            if (task.locked) {
+                // Locked by a team policy pack; the background would put it back anyway
+                removeButton.textContent = '🔒';
+                removeButton.title = 'Locked by a team policy pack';
+                removeButton.disabled = true;
+            } else {
+                removeButton.textContent = '×';
+                removeButton.title = 'Remove task';
+                removeButton.addEventListener('click', (e) => {
+                    e.stopPropagation();
+                    this.removeTask(index);
+                });
+            }
 
             // Highlight current
-            if (curText === task) {
+            if (isCurrent) {
                 taskItem.style.background = '#f3f0ff';
                 taskItem.style.borderRadius = '6px';
                 taskItem.style.padding = '6px 8px';
             }
 
+            taskItem.appendChild(doneBox);
             taskItem.appendChild(selectBtn);
             taskItem.appendChild(taskText);
             taskItem.appendChild(removeButton);
@@ -373,7 +821,8 @@ class TunnlPopup {
 
             if (response?.success) {
                 // Trust background as source of truth
-                this.settings.currentTask = response.currentTask || { text: this.settings.tasks[index], index, setAt: Date.now() };
+                const task = this.settings.tasks[index];
+                this.settings.currentTask = response.currentTask || { text: task.title, taskId: task.id, index, setAt: Date.now() };
                 this.showMessage('Current task set.', 'success');
                 this.updateUI();
             } else {
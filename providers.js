@@ -0,0 +1,184 @@
+// LLM provider definitions for tunnl.ai Chrome Extension
+// Shared by the background service worker (via importScripts) and the popup/options pages.
+// Each provider knows its defaults, how to build a chat request and how to read the reply.
+// When a responseSchema (see llm-schemas.js) is passed, providers ask for JSON output:
+// JSON mode for OpenAI-style APIs, a forced tool call for Anthropic.
+
+const TUNNL_LLM_PROVIDERS = {
+    openai: {
+        label: 'OpenAI',
+        defaultBaseUrl: 'https://api.openai.com/v1',
+        defaultModel: 'gpt-3.5-turbo',
+        requiresApiKey: true,
+        buildRequest(config, apiKey, { messages, temperature, maxTokens, responseSchema }) {
+            return {
+                url: `${config.baseUrl}/chat/completions`,
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Authorization': `Bearer ${apiKey}`
+                },
+                body: withJsonMode({ model: config.model, messages, temperature, max_tokens: maxTokens }, responseSchema)
+            };
+        },
+        parseResponse: parseChatCompletionResponse
+    },
+
+    // Ollama, llama.cpp server, vLLM, LM Studio... anything exposing /v1/chat/completions
+    'openai-compatible': {
+        label: 'OpenAI-compatible (local)',
+        defaultBaseUrl: 'http://localhost:11434/v1',
+        defaultModel: 'llama3.1',
+        requiresApiKey: false,
+        buildRequest(config, apiKey, { messages, temperature, maxTokens, responseSchema }) {
+            const headers = { 'Content-Type': 'application/json' };
+            if (apiKey) headers['Authorization'] = `Bearer ${apiKey}`;
+            return {
+                url: `${config.baseUrl}/chat/completions`,
+                headers,
+                body: withJsonMode({ model: config.model, messages, temperature, max_tokens: maxTokens }, responseSchema)
+            };
+        },
+        parseResponse: parseChatCompletionResponse
+    },
+
+    // Base URL is the resource endpoint (https://<resource>.openai.azure.com), model is the deployment name
+    azure: {
+        label: 'Azure OpenAI',
+        defaultBaseUrl: '',
+        defaultModel: '',
+        defaultApiVersion: '2024-06-01',
+        requiresApiKey: true,
+        buildRequest(config, apiKey, { messages, temperature, maxTokens, responseSchema }) {
+            const deployment = encodeURIComponent(config.model);
+            const apiVersion = encodeURIComponent(config.apiVersion);
+            return {
+                url: `${config.baseUrl}/openai/deployments/${deployment}/chat/completions?api-version=${apiVersion}`,
+                headers: {
+                    'Content-Type': 'application/json',
+                    'api-key': apiKey
+                },
+                body: withJsonMode({ messages, temperature, max_tokens: maxTokens }, responseSchema)
+            };
+        },
+        parseResponse: parseChatCompletionResponse
+    },
+
+    anthropic: {
+        label: 'Anthropic',
+        defaultBaseUrl: 'https://api.anthropic.com',
+        defaultModel: 'claude-3-5-haiku-latest',
+        requiresApiKey: true,
+        buildRequest(config, apiKey, { messages, temperature, maxTokens, responseSchema }) {
+            // Anthropic takes the system prompt as a top-level field
+            const system = messages.filter(m => m.role === 'system').map(m => m.content).join('\n\n');
+            const conversation = messages.filter(m => m.role !== 'system');
+            const body = { model: config.model, messages: conversation, temperature, max_tokens: maxTokens };
+            if (system) body.system = system;
+            if (responseSchema) {
+                // Structured output through a single tool the model is forced to call
+                body.tools = [{
+                    name: responseSchema.name,
+                    description: responseSchema.description,
+                    input_schema: responseSchema.schema
+                }];
+                body.tool_choice = { type: 'tool', name: responseSchema.name };
+            }
+            return {
+                url: `${config.baseUrl}/v1/messages`,
+                headers: {
+                    'Content-Type': 'application/json',
+                    'x-api-key': apiKey,
+                    'anthropic-version': '2023-06-01',
+                    'anthropic-dangerous-direct-browser-access': 'true'
+                },
+                body
+            };
+        },
+        parseResponse(data) {
+            const blocks = Array.isArray(data?.content) ? data.content : [];
+            const toolBlock = blocks.find(block => block.type === 'tool_use');
+            const textBlock = blocks.find(block => block.type === 'text');
+            if (!toolBlock && !textBlock) {
+                throw new Error('Provider response has no text content');
+            }
+            return {
+                content: toolBlock ? JSON.stringify(toolBlock.input) : textBlock.text,
+                usage: {
+                    promptTokens: data.usage?.input_tokens || 0,
+                    completionTokens: data.usage?.output_tokens || 0
+                }
+            };
+        }
+    }
+};
+
+// Default prices in USD per 1M tokens, used for cost estimates until the user edits the table.
+// Models match by exact name or longest prefix (gpt-4o-mini-2024-07-18 -> gpt-4o-mini);
+// unknown models (local servers, Azure deployment names) count as free.
+const TUNNL_DEFAULT_MODEL_PRICES = {
+    'gpt-3.5-turbo': { input: 0.5, output: 1.5 },
+    'gpt-4o-mini': { input: 0.15, output: 0.6 },
+    'gpt-4o': { input: 2.5, output: 10 },
+    'gpt-4.1-nano': { input: 0.1, output: 0.4 },
+    'gpt-4.1-mini': { input: 0.4, output: 1.6 },
+    'gpt-4.1': { input: 2, output: 8 },
+    'claude-3-5-haiku': { input: 0.8, output: 4 },
+    'claude-3-5-sonnet': { input: 3, output: 15 },
+    'claude-3-7-sonnet': { input: 3, output: 15 }
+};
+
+function findModelPrice(prices, model) {
+    const name = String(model || '').toLowerCase();
+    if (prices[name]) return prices[name];
+    const prefix = Object.keys(prices)
+        .filter(key => name.startsWith(key.toLowerCase()))
+        .sort((a, b) => b.length - a.length)[0];
+    return prefix ? prices[prefix] : null;
+}
+
+// Estimated cost in USD of one call's { promptTokens, completionTokens }
+function estimateLlmCost(prices, model, usage) {
+    const price = findModelPrice(prices, model);
+    if (!price) return 0;
+    return ((usage?.promptTokens || 0) * price.input + (usage?.completionTokens || 0) * price.output) / 1e6;
+}
+
+// OpenAI-style JSON mode; the schema itself is spelled out in the prompt and checked on our side
+function withJsonMode(body, responseSchema) {
+    return responseSchema ? { ...body, response_format: { type: 'json_object' } } : body;
+}
+
+function parseChatCompletionResponse(data) {
+    const content = data?.choices?.[0]?.message?.content;
+    if (typeof content !== 'string') {
+        throw new Error('Provider response has no message content');
+    }
+    return {
+        content,
+        usage: {
+            promptTokens: data.usage?.prompt_tokens || 0,
+            completionTokens: data.usage?.completion_tokens || 0
+        }
+    };
+}
+
+// Fill in provider defaults for any blank field of the stored provider settings
+function resolveLlmProviderConfig(llmProvider) {
+    const type = TUNNL_LLM_PROVIDERS[llmProvider?.type] ? llmProvider.type : 'openai';
+    const provider = TUNNL_LLM_PROVIDERS[type];
+    const baseUrl = (llmProvider?.baseUrl || provider.defaultBaseUrl || '').trim().replace(/\/+$/, '');
+    return {
+        type,
+        baseUrl,
+        model: (llmProvider?.model || provider.defaultModel || '').trim(),
+        apiVersion: (llmProvider?.apiVersion || provider.defaultApiVersion || '').trim()
+    };
+}
+
+// True when the provider has everything it needs to make a request
+function isLlmProviderConfigured(llmProvider, apiKey) {
+    const config = resolveLlmProviderConfig(llmProvider);
+    const provider = TUNNL_LLM_PROVIDERS[config.type];
+    if (provider.requiresApiKey && !apiKey) return false;
+    return !!(config.baseUrl && config.model);
+}
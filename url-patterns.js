@@ -0,0 +1,192 @@
+// URL pattern matching for tunnl.ai Chrome Extension
+// Backs the allowlist, blocklist, per-task site lists and custom classification rules.
+// Shared by the background service worker (via importScripts) and the options page.
+//
+// Supported entry syntax:
+//   example.com              exact host (a leading www. is ignored on both sides)
+//   localhost:3000           a host with a port matches that port only; without one any port matches
+//   *.example.com            example.com and any of its subdomains
+//   example.com/docs/*       path prefix on that host; * matches anything, a path without * is a prefix
+//   https://*.example.com/*  Chrome match pattern (scheme://host/path), also <all_urls>
+//   /docs\.example\.com/i    regular expression tested against the full URL (opt-in by the slashes)
+
+const TUNNL_MATCH_PATTERN_SCHEMES = ['*', 'http', 'https', 'file', 'ftp', 'ws', 'wss'];
+const TUNNL_DEFAULT_PORTS = { 'http:': '80', 'https:': '443', 'ws:': '80', 'wss:': '443', 'ftp:': '21' };
+
+class TunnlUrlPattern {
+    // Parse an entry into { type, pattern, ... }. Throws with a readable message when invalid.
+    static parse(entry) {
+        const pattern = String(entry || '').trim();
+        if (!pattern) {
+            throw new Error('Pattern is empty');
+        }
+        if (/\s/.test(pattern)) {
+            throw new Error(`Pattern must not contain spaces: ${pattern}`);
+        }
+
+        const regexMatch = pattern.match(/^\/(.+)\/([gimsuy]*)$/);
+        if (regexMatch) {
+            let regex;
+            try {
+                regex = new RegExp(regexMatch[1], regexMatch[2].replace('g', ''));
+            } catch (error) {
+                throw new Error(`Invalid regular expression ${pattern}: ${error.message}`);
+            }
+            return { type: 'regex', pattern, regex };
+        }
+
+        if (pattern === '<all_urls>') {
+            return { type: 'match', pattern, scheme: '*', host: '*', path: '/*' };
+        }
+
+        const schemeMatch = pattern.match(/^([^:/]+):\/\/(.*)$/);
+        if (schemeMatch) {
+            const scheme = schemeMatch[1].toLowerCase();
+            if (!TUNNL_MATCH_PATTERN_SCHEMES.includes(scheme)) {
+                throw new Error(`Unsupported scheme "${scheme}" in ${pattern}`);
+            }
+            const rest = schemeMatch[2];
+            const slash = rest.indexOf('/');
+            if (slash < 0) {
+                throw new Error(`Match pattern needs a path, e.g. ${pattern}/*`);
+            }
+            const host = TunnlUrlPattern.parseHost(rest.slice(0, slash), pattern, scheme !== 'file');
+            return { type: 'match', pattern, scheme, ...host, path: rest.slice(slash) };
+        }
+
+        const slash = pattern.indexOf('/');
+        const hostPart = slash < 0 ? pattern : pattern.slice(0, slash);
+        const host = TunnlUrlPattern.parseHost(hostPart, pattern, true);
+        if (host.host === '*') {
+            throw new Error(`Pattern matches every site; use <all_urls> if that is intended`);
+        }
+        if (slash < 0) {
+            return { type: 'host', pattern, ...host };
+        }
+        return { type: 'path', pattern, ...host, path: pattern.slice(slash) };
+    }
+
+    static parseHost(hostPart, pattern, required) {
+        const portMatch = hostPart.match(/:(\d+)$/);
+        const port = portMatch ? String(Number(portMatch[1])) : '';
+        let host = hostPart.toLowerCase().replace(/:\d+$/, '');
+        if (!host) {
+            if (required) throw new Error(`Missing host in ${pattern}`);
+            return { host: '', subdomains: false, port: '' };
+        }
+        if (host === '*') {
+            return { host: '*', subdomains: true, port };
+        }
+
+        let subdomains = false;
+        if (host.startsWith('*.')) {
+            subdomains = true;
+            host = host.slice(2);
+        }
+        if (host.includes('*')) {
+            throw new Error(`* is only allowed as a leading "*." in the host: ${pattern}`);
+        }
+        if (!/^[a-z0-9.-]+$/.test(host) || host.startsWith('.') || host.endsWith('.') || host.includes('..')) {
+            throw new Error(`Invalid host "${hostPart}" in ${pattern}`);
+        }
+        return { host: host.replace(/^www\./, ''), subdomains, port };
+    }
+
+    // Compile an entry (string or parsed) into a predicate over URL objects
+    static compile(entry) {
+        const parsed = typeof entry === 'string' ? TunnlUrlPattern.parse(entry) : entry;
+
+        if (parsed.type === 'regex') {
+            return url => parsed.regex.test(url.href);
+        }
+
+        const hostMatches = url => {
+            if (parsed.port && (url.port || TUNNL_DEFAULT_PORTS[url.protocol]) !== parsed.port) return false;
+            if (parsed.host === '*') return true;
+            const host = url.hostname.toLowerCase().replace(/^www\./, '');
+            return host === parsed.host || (parsed.subdomains && host.endsWith(`.${parsed.host}`));
+        };
+
+        if (parsed.type === 'host') {
+            return hostMatches;
+        }
+
+        const pathRegex = TunnlUrlPattern.pathRegex(parsed.path, parsed.type === 'path');
+        if (parsed.type === 'path') {
+            return url => hostMatches(url) && pathRegex.test(`${url.pathname}${url.search}`);
+        }
+
+        // Chrome match pattern: "*" scheme means http or https only
+        return url => {
+            const scheme = url.protocol.slice(0, -1);
+            const schemeOk = parsed.scheme === '*' ? (scheme === 'http' || scheme === 'https') : scheme === parsed.scheme;
+            if (!schemeOk) return false;
+            if (parsed.scheme !== 'file' && !hostMatches(url)) return false;
+            return pathRegex.test(`${url.pathname}${url.search}`);
+        };
+    }
+
+    // * matches anything; without a * a plain path is a prefix that ends on a segment boundary
+    static pathRegex(path, prefixWhenPlain) {
+        const source = path.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+        if (prefixWhenPlain && !path.includes('*')) {
+            return new RegExp(`^${source}${path.endsWith('/') ? '' : '(?:[/?]|$)'}`, 'i');
+        }
+        return new RegExp(`^${source}$`, 'i');
+    }
+
+    static matches(url, entry) {
+        let parsedUrl;
+        try {
+            parsedUrl = url instanceof URL ? url : new URL(url);
+        } catch {
+            return false;
+        }
+        try {
+            return TunnlUrlPattern.compile(entry)(parsedUrl);
+        } catch {
+            return false;
+        }
+    }
+
+    static matchesAny(url, entries) {
+        if (!Array.isArray(entries) || entries.length === 0) return false;
+        return entries.some(entry => TunnlUrlPattern.matches(url, entry));
+    }
+
+    // Turn user input into a storable entry: full page URLs lose their scheme, query and hash but keep their port
+    // (https://github.com/foo/bar becomes github.com/foo/bar, a path prefix), patterns pass through
+    static normalize(input) {
+        const value = String(input || '').trim();
+        if (/^https?:\/\//i.test(value) && !value.includes('*')) {
+            try {
+                const parsedUrl = new URL(value);
+                const host = parsedUrl.hostname.toLowerCase().replace(/^www\./, '');
+                const port = parsedUrl.port ? `:${parsedUrl.port}` : ''; // empty for the scheme's default port
+                const path = parsedUrl.pathname.replace(/\/+$/, '');
+                return `${host}${port}${path}`;
+            } catch { }
+        }
+        const parsed = TunnlUrlPattern.parse(value);
+        return parsed.type === 'host' ? `${parsed.subdomains ? '*.' : ''}${parsed.host}${parsed.port ? `:${parsed.port}` : ''}` : parsed.pattern;
+    }
+
+    // A handful of URLs around an entry, including look-alikes it must not match, for previews
+    static sampleUrls(entry) {
+        const parsed = typeof entry === 'string' ? TunnlUrlPattern.parse(entry) : entry;
+        if (parsed.type === 'regex' || !parsed.host || parsed.host === '*') {
+            return ['https://example.com/', 'https://docs.example.com/guide', 'https://www.google.com/search?q=example'];
+        }
+
+        const host = parsed.port ? `${parsed.host}:${parsed.port}` : parsed.host;
+        const path = parsed.type === 'host' ? '/' : parsed.path.replace(/\*.*$/, '') || '/';
+        return [
+            `https://${host}/`,
+            `https://${host}${path === '/' ? '/some/page' : `${path}${path.endsWith('/') ? '' : '/'}page`}`,
+            `https://www.${host}/`,
+            `https://sub.${host}/`,
+            `https://not${host}/`,
+            `https://example.com/?q=${host}`
+        ];
+    }
+}